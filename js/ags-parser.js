@@ -0,0 +1,213 @@
+/**
+ * AGS4 Parser — CPT data from AGS4 files (groups SCPG and SCPT)
+ *
+ * AGS4 data is comma separated and quoted, in groups of a GROUP, HEADING,
+ * UNIT and TYPE row followed by DATA rows:
+ *
+ *   "GROUP","SCPT"
+ *   "HEADING","LOCA_ID","SCPG_TESN","SCPT_DPTH","SCPT_RES","SCPT_FRES"
+ *   "UNIT","","","m","MPa","kPa"
+ *   "TYPE","ID","X","2DP","2DP","0DP"
+ *   "DATA","CPT01","1","0.02","1.23","12"
+ *
+ * One file may hold several CPTs: parse() returns a dataset per location and
+ * test (LOCA_ID, SCPG_TESN), each { header, columns, data, diagnostics } as
+ * from the GEF and BRO-XML parsers. Values are converted from the units of
+ * the UNIT row to the viewer's units (kPa to MPa, ...). Metadata comes from
+ * the groups PROJ (project), LOCA (location) and SCPG (test). LOCA_DATM is
+ * optional: a ground level without it has an unknown datum and is not used
+ * as NAP level.
+ */
+
+// SCPT headings by viewer column
+const AGS_SCPT_COLUMNS = {
+    SCPT_DPTH: { key: 'length',        label: 'Sondeerlengte' },
+    SCPT_RES:  { key: 'qc',            label: 'Conusweerstand' },
+    SCPT_FRES: { key: 'fs',            label: 'Plaatselijke wrijving' },
+    SCPT_PWP1: { key: 'u1',            label: 'Waterspanning u1' },
+    SCPT_PWP2: { key: 'u2',            label: 'Waterspanning u2' },
+    SCPT_PWP3: { key: 'u3',            label: 'Waterspanning u3' },
+    SCPT_FRR:  { key: 'rf',            label: 'Wrijvingsgetal' },
+    SCPT_QT:   { key: 'corrected_qc',  label: 'Gecorr. conusweerstand' },
+    SCPT_QNET: { key: 'net_qc',        label: 'Netto conusweerstand' },
+    SCPT_BQ:   { key: 'pore_ratio',    label: 'Poriënratio' },
+    SCPT_SLP1: { key: 'incl_x',        label: 'Inclinatie X' },
+    SCPT_SLP2: { key: 'incl_y',        label: 'Inclinatie Y' },
+    SCPT_TEMP: { key: 'temp',          label: 'Temperatuur' },
+    SCPT_CON:  { key: 'electric_cond', label: 'Elektrische geleidbaarheid' },
+};
+
+// Header fields from the LOCA and SCPG groups: [heading, header key, numeric]
+const AGS_LOCA_FIELDS = [
+    ['LOCA_NATE', 'x', false],
+    ['LOCA_NATN', 'y', false],
+    ['LOCA_GREF', 'coordSystem', false],
+    ['LOCA_LAT', 'lat', false],
+    ['LOCA_LON', 'lon', false],
+    ['LOCA_GL', 'surfaceLevel', true],
+    ['LOCA_DATM', 'verticalDatum', false],
+    ['LOCA_FDEP', 'finalDepth', true],
+];
+const AGS_SCPG_FIELDS = [
+    ['SCPG_TYPE', 'coneType', false],
+    ['SCPG_CAR', 'coneAreaRatio', true],
+    ['SCPG_SLAR', 'sleeveAreaRatio', true],
+    ['SCPG_REM', 'remarks', false],
+];
+
+class AgsParser {
+    /**
+     * @param {string} text - AGS4 file contents
+     * @returns {Array} Datasets { header, columns, data, diagnostics }, one per CPT
+     */
+    parse(text) {
+        const fileDiag = new ParserDiagnostics();
+        const groups = this._parseGroups(text, fileDiag);
+
+        const scpt = groups.SCPT;
+        if (!scpt || !scpt.rows.length) {
+            throw new Error('Geen SCPT-groep gevonden — geen sondeerdata in dit AGS-bestand');
+        }
+        if (!scpt.headings.includes('SCPT_DPTH')) {
+            throw new Error('SCPT-groep zonder SCPT_DPTH — geen diepte per meting');
+        }
+
+        // Readings per location and test
+        const tests = new Map();
+        for (const r of scpt.rows) {
+            const id = `${r.values.LOCA_ID || ''}\u0000${r.values.SCPG_TESN || ''}`;
+            if (!tests.has(id)) tests.set(id, { loca: r.values.LOCA_ID || '', tesn: r.values.SCPG_TESN || '', rows: [] });
+            tests.get(id).rows.push(r);
+        }
+
+        const project = groups.PROJ && groups.PROJ.rows[0] ? groups.PROJ.rows[0].values : {};
+        const perLocation = loca => [...tests.values()].filter(t => t.loca === loca).length;
+        return [...tests.values()].map(test => {
+            const meta = this._metadata(groups, project, test, perLocation(test.loca) > 1);
+            return this._dataset(scpt, test, meta, fileDiag);
+        });
+    }
+
+    // ---- Groups ----
+
+    /** Groups by name: { headings, units, rows: [{ line, values: { heading: text } }] } */
+    _parseGroups(text, diag) {
+        const groups = {};
+        let group = null;
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim()) return;
+            const fields = CsvImport.splitLine(line, ',');
+            const type = fields[0];
+            if (type === 'GROUP') {
+                group = { name: fields[1], headings: [], units: {}, rows: [] };
+                groups[group.name] = group;
+                return;
+            }
+            if (!group) {
+                diag.add('warning', 'ags-structure', 'Regel buiten een groep overgeslagen', { line: i + 1 });
+                return;
+            }
+            const values = fields.slice(1);
+            if (type === 'HEADING') {
+                group.headings = values;
+            } else if (type === 'UNIT') {
+                group.headings.forEach((h, j) => { group.units[h] = values[j] || ''; });
+            } else if (type === 'DATA') {
+                if (values.length !== group.headings.length) {
+                    diag.add('warning', 'short-row', `${group.name}: ${values.length} van ${group.headings.length} velden, rij overgeslagen`, { line: i + 1 });
+                    return;
+                }
+                const row = {};
+                group.headings.forEach((h, j) => { row[h] = values[j]; });
+                group.rows.push({ line: i + 1, values: row });
+            } else if (type !== 'TYPE') {
+                diag.add('info', 'ags-structure', `Regeltype '${type}' niet ondersteund`, { line: i + 1 });
+            }
+        });
+        return groups;
+    }
+
+    // ---- Dataset ----
+
+    _metadata(groups, project, test, numbered) {
+        const meta = {};
+        if (project.PROJ_ID) meta.projectId = project.PROJ_ID;
+        if (project.PROJ_NAME) meta.projectName = project.PROJ_NAME;
+        if (project.PROJ_CONT) meta.company = project.PROJ_CONT;
+
+        const find = name => {
+            const g = groups[name];
+            const row = g && g.rows.find(r => r.values.LOCA_ID === test.loca
+                && (name !== 'SCPG' || !r.values.SCPG_TESN || r.values.SCPG_TESN === test.tesn));
+            return row ? row.values : {};
+        };
+        const set = (values, fields) => {
+            for (const [heading, key, numeric] of fields) {
+                const v = values[heading];
+                if (v === undefined || v === '') continue;
+                if (!numeric) meta[key] = v;
+                else if (!isNaN(parseFloat(v))) meta[key] = parseFloat(v);
+            }
+        };
+        const loca = find('LOCA');
+        set(loca, AGS_LOCA_FIELDS);
+        set(find('SCPG'), AGS_SCPG_FIELDS);
+        if (loca.LOCA_STAR) meta.date = loca.LOCA_STAR.slice(0, 10);
+
+        meta.testId = test.loca;
+        meta.name = numbered ? `${test.loca} (${test.tesn})` : (test.loca || 'Onbekend');
+        return meta;
+    }
+
+    _dataset(scpt, test, meta, fileDiag) {
+        const diag = new ParserDiagnostics();
+        this._checkDatum(meta, diag);
+        const mapped = [];
+        for (const heading of scpt.headings) {
+            const def = AGS_SCPT_COLUMNS[heading];
+            if (!def) continue;
+            const unit = scpt.units[heading];
+            let factor = CptFormats.unitFactor(def.key, unit);
+            if (factor === null) {
+                diag.add('warning', 'unit', `${heading}: eenheid '${unit}' onbekend, waarden niet omgerekend`);
+                factor = 1;
+            }
+            mapped.push({ heading, factor, key: def.key, label: def.label, unit: CptFormats.standardUnit(def.key) || unit || '-' });
+        }
+
+        const rows = test.rows.map(r => {
+            const row = {};
+            for (const m of mapped) {
+                const text = r.values[m.heading];
+                const v = text === '' || text === undefined ? null : parseFloat(text);
+                if (v !== null && isNaN(v)) {
+                    diag.add('warning', 'not-a-number', `${m.heading}: '${text}' is geen getal`, { line: r.line });
+                }
+                row[m.key] = v !== null && !isNaN(v) ? CptFormats.convert(v, m.factor) : null;
+            }
+            return { row, line: r.line };
+        });
+        rows.sort((a, b) => a.row.length - b.row.length);
+
+        const data = rows.map(r => r.row);
+        const where = rows.map((r, i) => ({ line: r.line, row: i + 1 }));
+        const columns = mapped.map(m => ({ key: m.key, label: m.label, unit: m.unit }));
+
+        CptValidation.checkUnits(diag, data, columns);
+        CptValidation.checkData(diag, data, columns, where);
+        CptFormats.computeDerived(data, columns, meta);
+        return { header: meta, columns, data, diagnostics: [...fileDiag.list(), ...diag.list()] };
+    }
+
+    /** Datum of the ground level: 'NAP' for its spellings (mNAP, m NAP), else as given, with a warning. */
+    _checkDatum(meta, diag) {
+        if (meta.surfaceLevel === undefined) return;
+        if (!meta.verticalDatum) {
+            diag.add('warning', 'datum', 'LOCA_GL zonder LOCA_DATM: referentievlak van de maaiveldhoogte onbekend, geen NAP-niveau');
+        } else if (/^m?\s*NAP$/i.test(meta.verticalDatum.trim())) {
+            meta.verticalDatum = 'NAP';
+        } else {
+            diag.add('warning', 'datum', `LOCA_DATM '${meta.verticalDatum}': maaiveldhoogte niet in NAP, geen NAP-niveau`);
+        }
+    }
+}
@@ -2,15 +2,38 @@
  * CPT Viewer — Main application logic
  *
  * Features:
- * - Ribbon UI with Start / Kaart tabs
- * - Multiple CPT charts side-by-side
+ * - Ribbon UI with Start / Berekening / Weergave / Kaart tabs
+ * - Multiple CPT charts side-by-side, optionally linked in depth or NAP level
+ * - Depth axis in m below surface, m NAP or both
+ * - Configurable chart panels (columns, order, width, colors, scales), stored per user
  * - BRO PDOK map with CPT locations
- * - Robertson SBT classification + legend
+ * - Dissipation tests (BRO, GEF-DISS): log-time chart, t50, ch, ueq, depths marked on the CPT chart
+ * - Depth from penetration length corrected for inclination when not measured
+ * - Computed qt / qnet / Bq / Rf(qt) columns for CPTu data, optional panels and table columns
+ * - Validation report of the parsers: skipped rows, void values, units, depth order
+ * - Quality checks against the NEN-EN-ISO 22476-1 application class, failing depths flagged in the chart
+ * - Soil classification per CPT (Robertson, Begemann, ...) + legend
+ * - Robertson Qt–Fr scatter chart linked to the active CPT chart
+ * - Koppejan pile bearing capacity with CSV export
+ * - Derived parameters (su, φ', Dr, OCR, E', M) as extra panels and table columns
+ * - Liquefaction triggering (FoS, CSR/CRR panels, LPI / LSN summary)
+ * - Cross-section along a line drawn on the map (CPTs by chainage, layers connected)
+ * - A4 / A3 sondeerplot report with title block as PDF or SVG, single or batch
+ * - Save as GEF (GEF-CPT-Report 1.1), also for BRO-XML CPTs
+ * - Format detection by content; AGS4 import and a CSV import wizard with reusable column mappings
+ * - ZIP archives (BRO bulk downloads, project deliveries) unpacked in the browser, result per file
+ * - CPT locations from the GEF / BRO / AGS coordinate system (RD, ETRS89, UTM 31/32N, WGS84), RD and WGS84 in the info panel
+ * - Data source of the map: BRO / PDOK, a mirror under its own base URL, or the offline store (IndexedDB)
+ * - Map locations loaded in pages beyond the WFS limit, clustered, and loaded automatically after each move
+ * - Map filters on final depth, report date, quality class, CPT standard and party; markers colored and sized by depth or age
+ * - Selection on the map (rectangle, polygon, buffer around a line) and batch loading of the selected BRO CPTs
  */
 
 (function () {
     const gefParser = new GefParser();
     const broParser = new BroXmlParser();
+    const agsParser = new AgsParser();
+    const gefWriter = new GefWriter();
 
     // State
     const cptDataSets = [];      // All loaded CPTs
@@ -18,6 +41,17 @@
     let activeIndex = -1;
     let broMap = null;
 
+    // Classification method for newly loaded CPTs (see SoilClassifiers)
+    let defaultMethod = 'robertson';
+    const stressOptions = { ...ROBERTSON_STRESS_DEFAULTS };
+
+    // Data panels shared by all CPT charts (see PanelConfig)
+    let panelConfig = PanelConfig.load();
+
+    // Zoom / pan / crosshair linking between charts, depth axis labelling
+    const chartLink = new ChartLink();
+    let axisMode = 'depth';
+
     // DOM elements
     const fileInput = document.getElementById('file-input');
     const dropZone = document.getElementById('drop-zone');
@@ -26,6 +60,20 @@
     const cptInfo = document.getElementById('cpt-info');
     const sbtLegend = document.getElementById('sbt-legend');
     const sbtDistBar = document.getElementById('sbt-distribution-bar');
+    const sbtTitle = document.getElementById('sbt-title');
+    const sbtColorMode = document.getElementById('sbt-color-mode');
+    const classMethodSelect = document.getElementById('class-method');
+    const pileSection = document.getElementById('pile-section');
+    const pileSummary = document.getElementById('pile-summary');
+    const liqSection = document.getElementById('liq-section');
+    const liqSummary = document.getElementById('liq-summary');
+    const validationSection = document.getElementById('validation-section');
+    const validationCounts = document.getElementById('validation-counts');
+    const validationList = document.getElementById('validation-list');
+    const qualitySection = document.getElementById('quality-section');
+    const qualityClassSelect = document.getElementById('quality-class');
+    const qualitySummary = document.getElementById('quality-summary');
+    const qualityFlags = document.getElementById('quality-flags');
     const mapStatus = document.getElementById('map-status');
 
     // Status bar
@@ -34,6 +82,7 @@
     const statusFs = document.getElementById('status-fs');
     const statusRf = document.getElementById('status-rf');
     const statusSoil = document.getElementById('status-soil');
+    const statusIc = document.getElementById('status-ic');
     const statusInfo = document.getElementById('status-info');
 
     // ============================================
@@ -74,42 +123,85 @@
 
     function handleFiles(fileList) {
         for (const file of fileList) {
-            const name = file.name.toLowerCase();
-            const isGef = name.endsWith('.gef');
-            const isXml = name.endsWith('.xml');
-            if (!isGef && !isXml) continue;
-
             const reader = new FileReader();
             reader.onload = () => {
-                try {
-                    const result = isXml ? broParser.parse(reader.result) : gefParser.parse(reader.result);
-                    result.fileName = file.name;
-                    result.format = isXml ? 'BRO-XML' : 'GEF';
-                    addDataSet(result);
-                } catch (err) {
-                    console.error(err);
-                    statusInfo.textContent = `Fout: ${err.message}`;
+                if (ZipArchive.isZip(reader.result)) {
+                    queueZipImport(reader.result, file.name);
+                    return;
                 }
+                const { format, text } = CptFormats.decode(reader.result, file.name);
+                loadText(text, file.name, format);
             };
-            reader.readAsText(file, isXml ? 'utf-8' : 'iso-8859-1');
+            reader.readAsArrayBuffer(file);
+        }
+    }
+
+    /**
+     * Parse a file by its format (see CptFormats.detect) and add its CPTs.
+     * CSV files go through the import wizard first.
+     */
+    function loadText(text, fileName, format) {
+        if (!format) {
+            statusInfo.textContent = `${fileName}: bestandsformaat niet herkend`;
+            return;
+        }
+        if (format === 'csv') {
+            openCsvWizard(text, fileName);
+            return;
+        }
+        try {
+            parseText(text, fileName, format).forEach(addDataSet);
+        } catch (err) {
+            console.error(err);
+            statusInfo.textContent = `Fout: ${err.message}`;
+        }
+    }
+
+    /**
+     * Datasets of a GEF, BRO-XML or AGS4 file; throws when the file cannot be parsed.
+     */
+    function parseText(text, fileName, format) {
+        let results;
+        if (format === 'ags4') results = agsParser.parse(text);
+        else if (format === 'bro') results = [broParser.parse(text)];
+        else results = [gefParser.parse(text)];
+        for (const result of results) {
+            result.fileName = fileName;
+            result.format = CPT_FORMATS[format].label;
         }
+        return results;
     }
 
+    // Save the active CPT as GEF (also converts BRO-XML)
+    document.getElementById('btn-save-gef').addEventListener('click', () => {
+        const ds = cptDataSets[activeIndex];
+        if (!ds) {
+            statusInfo.textContent = 'Geen sondering geselecteerd';
+            return;
+        }
+        try {
+            const text = gefWriter.write(ds);
+            const name = (ds.header.name || ds.fileName).replace(/\.(gef|xml)$/i, '');
+            downloadFile(`${name}.gef`, GefWriter.encode(text), 'text/plain');
+            const { skipped } = GefWriter.writableColumns(ds.columns);
+            statusInfo.textContent = skipped.length
+                ? `${name}.gef opgeslagen, zonder GEF-code: ${skipped.map(c => c.label).join(', ')}`
+                : `${name}.gef opgeslagen`;
+        } catch (err) {
+            console.error('GEF-fout:', err);
+            statusInfo.textContent = `Fout: ${err.message}`;
+        }
+    });
+
     // ============================================
     // SAMPLE FILES
     // ============================================
 
     function loadSampleFile(url, fileName) {
-        const isXml = fileName.toLowerCase().endsWith('.xml');
         statusInfo.textContent = `Laden: ${fileName}...`;
         fetch(url)
             .then(r => r.text())
-            .then(text => {
-                const result = isXml ? broParser.parse(text) : gefParser.parse(text);
-                result.fileName = fileName;
-                result.format = isXml ? 'BRO-XML' : 'GEF';
-                addDataSet(result);
-            })
+            .then(text => loadText(text, fileName, CptFormats.detect(text, fileName)))
             .catch(err => {
                 console.error(`Kon ${fileName} niet laden:`, err);
                 statusInfo.textContent = `Fout bij laden ${fileName}`;
@@ -124,21 +216,279 @@
         });
     });
 
+    // ============================================
+    // ZIP IMPORT
+    // ============================================
+
+    const zipDialog = document.getElementById('zip-import');
+    const zipTitle = document.getElementById('zip-title');
+    const zipProgress = document.getElementById('zip-progress');
+    const zipCounts = document.getElementById('zip-counts');
+    const zipFiles = document.querySelector('#zip-files tbody');
+    const zipStop = document.getElementById('zip-stop');
+
+    const zipStatusLabels = { pending: '', loaded: 'Geladen', failed: 'Mislukt', skipped: 'Overgeslagen' };
+
+    let zipImports = Promise.resolve();   // Archives are imported one after another
+    let zipRunning = false;
+    let zipStopped = false;               // Stop requested; ends the import after the current file
+
+    function queueZipImport(buffer, fileName) {
+        zipImports = zipImports.then(() => importZip(buffer, fileName));
+    }
+
+    /**
+     * Parse the CPT files in a ZIP archive (by extension, see CPT_FORMAT_EXTENSIONS)
+     * and add their CPTs, with progress and the result per file in the ZIP dialog.
+     */
+    async function importZip(buffer, fileName) {
+        let archive;
+        try {
+            archive = new ZipArchive(buffer);
+        } catch (err) {
+            console.error(err);
+            statusInfo.textContent = `${fileName}: ${err.message}`;
+            return;
+        }
+
+        const entries = archive.entries;
+        const results = entries.map(() => ({ status: 'pending', message: '' }));
+        zipRunning = true;
+        zipStopped = false;
+        zipTitle.textContent = `ZIP importeren — ${fileName}`;
+        zipFiles.innerHTML = entries.map(e => `<tr><td title="${escapeHtml(e.name)}">${escapeHtml(e.name)}</td><td></td><td></td></tr>`).join('');
+        zipStop.textContent = 'Stoppen';
+        zipDialog.classList.remove('hidden');
+
+        for (let i = 0; i < entries.length && !zipStopped; i++) {
+            updateZipProgress(results, i);
+            results[i] = await importZipEntry(archive, entries[i]);
+            const row = zipFiles.rows[i];
+            row.className = `result-${results[i].status}`;
+            row.cells[1].textContent = zipStatusLabels[results[i].status];
+            row.cells[2].textContent = results[i].message;
+            // Let the browser draw the progress
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        updateZipProgress(results, results.filter(r => r.status !== 'pending').length);
+        zipRunning = false;
+        zipStop.textContent = 'Sluiten';
+
+        const count = status => results.filter(r => r.status === status).length;
+        statusInfo.textContent = `${fileName}: ${count('loaded')} geladen, ${count('failed')} mislukt, ${count('skipped')} overgeslagen`
+            + (zipStopped ? ' (gestopt)' : '');
+    }
+
+    /** Result of one archive entry: { status: 'loaded' | 'failed' | 'skipped', message } */
+    async function importZipEntry(archive, entry) {
+        const name = entry.name.split('/').pop();
+        const format = CptFormats.formatByExtension(name);
+        // macOS puts resource forks (__MACOSX/, ._name) next to the files
+        if (!format || name.startsWith('.') || entry.name.startsWith('__MACOSX/')) {
+            return { status: 'skipped', message: 'geen sondeerbestand' };
+        }
+        try {
+            const decoded = CptFormats.decode(await archive.read(entry), name);
+            if (!decoded.format) return { status: 'skipped', message: 'bestandsformaat niet herkend' };
+            if (decoded.format === 'csv') {
+                openCsvWizard(decoded.text, name);
+                return { status: 'loaded', message: 'CSV — kolommen koppelen in de wizard' };
+            }
+            const datasets = parseText(decoded.text, name, decoded.format);
+            datasets.forEach(addDataSet);
+
+            const label = CPT_FORMATS[decoded.format].label;
+            const notes = diagnosticNotes(datasets);
+            if (datasets.length > 1) notes.unshift(`${datasets.length} sonderingen`);
+            return { status: 'loaded', message: [label, ...notes].join(', ') };
+        } catch (err) {
+            console.warn(`${entry.name}:`, err);
+            return { status: 'failed', message: err.message };
+        }
+    }
+
+    /** Numbers of parser errors and warnings of datasets, for a result message. */
+    function diagnosticNotes(datasets) {
+        const counts = CptValidation.summary(datasets.flatMap(ds => ds.diagnostics || []));
+        return ['error', 'warning']
+            .filter(severity => counts[severity])
+            .map(severity => `${counts[severity]} ${VALIDATION_SEVERITIES[severity].toLowerCase()}`);
+    }
+
+    function updateZipProgress(results, done) {
+        const count = status => results.filter(r => r.status === status).length;
+        zipProgress.max = Math.max(results.length, 1);
+        zipProgress.value = done;
+        zipCounts.textContent = `${done} / ${results.length} — ${count('loaded')} geladen, `
+            + `${count('failed')} mislukt, ${count('skipped')} overgeslagen`;
+    }
+
+    // Closing the dialog also stops a running import
+    function closeZipDialog() {
+        zipStopped = true;
+        zipDialog.classList.add('hidden');
+    }
+
+    zipStop.addEventListener('click', () => {
+        if (zipRunning) zipStopped = true;
+        else closeZipDialog();
+    });
+    document.getElementById('zip-close').addEventListener('click', closeZipDialog);
+
+    // ============================================
+    // CSV IMPORT WIZARD
+    // ============================================
+
+    const csvWizard = document.getElementById('csv-wizard');
+    const csvTitle = document.getElementById('csv-title');
+    const csvDelimiter = document.getElementById('csv-delimiter');
+    const csvDecimal = document.getElementById('csv-decimal');
+    const csvMappingSelect = document.getElementById('csv-mapping');
+    const csvMappingName = document.getElementById('csv-mapping-name');
+    const csvColumns = document.querySelector('#csv-columns tbody');
+
+    const csvQueue = [];    // CSV files { text, fileName } waiting for the wizard, the first one open
+    let csvTable = null;    // Table of the open file (CsvImport.table)
+    let csvMapping = null;  // Mapping being edited
+
+    function openCsvWizard(text, fileName) {
+        csvQueue.push({ text, fileName });
+        if (csvQueue.length === 1) showCsvWizard();
+    }
+
+    function showCsvWizard() {
+        const { text, fileName } = csvQueue[0];
+        const dialect = CsvImport.dialect(text) || { delimiter: ';', decimal: '.' };
+        csvTable = CsvImport.table(text, dialect);
+        csvMapping = alignCsvMapping(CsvImport.guess(csvTable, dialect));
+        csvTitle.textContent = `CSV importeren — ${fileName}` + (csvQueue.length > 1 ? ` (nog ${csvQueue.length - 1})` : '');
+        csvMappingName.value = csvMapping.name || '';
+        renderCsvWizard();
+        csvWizard.classList.remove('hidden');
+    }
+
+    function closeCsvWizard() {
+        csvQueue.shift();
+        if (csvQueue.length) showCsvWizard();
+        else csvWizard.classList.add('hidden');
+    }
+
+    /** Mapping with one entry per column of the open table, in table order. */
+    function alignCsvMapping(mapping) {
+        const columns = csvTable.headers.map(header =>
+            mapping.columns.find(c => c.header.toLowerCase() === header.toLowerCase()) || { header, key: null, unit: '' });
+        return { ...mapping, columns: columns.map(c => ({ ...c })) };
+    }
+
+    function renderCsvWizard() {
+        csvDelimiter.value = csvMapping.delimiter === '\t' ? 'tab' : csvMapping.delimiter;
+        csvDecimal.value = csvMapping.decimal;
+
+        const stored = CsvImport.loadMappings();
+        csvMappingSelect.innerHTML = '<option value="">Automatisch</option>' +
+            stored.map(m => `<option value="${escapeHtml(m.name)}">${escapeHtml(m.name)}</option>`).join('');
+        csvMappingSelect.value = stored.some(m => m.name === csvMapping.name) ? csvMapping.name : '';
+
+        document.querySelector('#csv-columns thead').innerHTML =
+            '<tr><th>Kolom</th><th>Voorbeeld</th><th>Koppelen aan</th><th>Eenheid</th></tr>';
+        const samples = csvTable.rows.slice(0, 3);
+        csvColumns.innerHTML = csvMapping.columns.map((col, i) => {
+            const keys = Object.entries(CSV_IMPORT_TARGETS).map(([key, label]) =>
+                `<option value="${key}"${key === col.key ? ' selected' : ''}>${key} — ${label}</option>`).join('');
+            const units = col.key ? CptFormats.unitsFor(col.key) : [];
+            if (col.unit && units.length && !units.includes(col.unit)) units.push(col.unit);
+            const unitOptions = units.map(u => `<option${u === col.unit ? ' selected' : ''}>${escapeHtml(u)}</option>`).join('');
+            return `<tr>
+                <td>${escapeHtml(col.header)}</td>
+                <td class="sample">${escapeHtml(samples.map(r => r.cells[i] || '').join(' | '))}</td>
+                <td><select data-key="${i}"><option value="">— niet importeren —</option>${keys}</select></td>
+                <td><select data-unit="${i}"${units.length ? '' : ' disabled'}>${unitOptions}</select></td>
+            </tr>`;
+        }).join('');
+    }
+
+    csvColumns.addEventListener('change', e => {
+        const el = e.target;
+        if (el.dataset.key !== undefined) {
+            const col = csvMapping.columns[parseInt(el.dataset.key, 10)];
+            col.key = el.value || null;
+            // Keep the unit when it converts to the new column, else its standard unit
+            if (!col.key) col.unit = '';
+            else if (!col.unit || CptFormats.unitFactor(col.key, col.unit) === null) col.unit = CptFormats.standardUnit(col.key) || col.unit;
+            renderCsvWizard();
+        } else if (el.dataset.unit !== undefined) {
+            csvMapping.columns[parseInt(el.dataset.unit, 10)].unit = el.value;
+        }
+    });
+
+    // Another delimiter or decimal mark splits the file again
+    const onCsvDialect = () => {
+        const dialect = { delimiter: csvDelimiter.value === 'tab' ? '\t' : csvDelimiter.value, decimal: csvDecimal.value };
+        csvTable = CsvImport.table(csvQueue[0].text, dialect);
+        csvMapping = alignCsvMapping({ ...csvMapping, ...dialect });
+        renderCsvWizard();
+    };
+    csvDelimiter.addEventListener('change', onCsvDialect);
+    csvDecimal.addEventListener('change', onCsvDialect);
+
+    csvMappingSelect.addEventListener('change', () => {
+        const stored = CsvImport.loadMappings().find(m => m.name === csvMappingSelect.value);
+        if (stored && stored.delimiter !== csvMapping.delimiter) {
+            csvTable = CsvImport.table(csvQueue[0].text, stored);
+        }
+        const dialect = { delimiter: csvMapping.delimiter, decimal: csvMapping.decimal };
+        csvMapping = alignCsvMapping(stored || CsvImport.guess(csvTable, dialect));
+        csvMappingName.value = csvMapping.name || '';
+        renderCsvWizard();
+    });
+
+    document.getElementById('csv-import').addEventListener('click', () => {
+        const { fileName } = csvQueue[0];
+        let result;
+        try {
+            result = CsvImport.apply(csvTable, csvMapping, fileName);
+        } catch (err) {
+            statusInfo.textContent = `Fout: ${err.message}`;
+            return;
+        }
+        const name = csvMappingName.value.trim();
+        if (name) CsvImport.saveMapping({ ...csvMapping, name, signature: CsvImport.signature(csvTable.headers) });
+        result.fileName = fileName;
+        result.format = CPT_FORMATS.csv.label;
+        closeCsvWizard();
+        addDataSet(result);
+    });
+
+    document.getElementById('csv-cancel').addEventListener('click', closeCsvWizard);
+    document.getElementById('csv-close').addEventListener('click', closeCsvWizard);
+
     // ============================================
     // DATA MANAGEMENT + MULTI-CHART
     // ============================================
 
     function addDataSet(ds) {
-        // Robertson classification
-        const classifications = Robertson.classifyDataset(ds.data);
-        ds.layers = Robertson.mergeLayers(classifications, 0.2);
-        ds.distribution = Robertson.computeDistribution(ds.layers);
+        // Dissipation file without CPT data
+        if (!ds.data.length && ds.dissipationTests) {
+            attachDissipation(ds);
+            return;
+        }
+
+        // Soil classification per point
+        ds.classMethod = defaultMethod;
+        ds.classification = {};
+        CptCorrections.applyStress(ds.data, ds.columns, stressOptions);
+        applyClassification(ds);
+        ds.qualityClass = null;   // null: the class claimed in the metadata
+        ds.quality = CptQuality.assess(ds);
 
         cptDataSets.push(ds);
         const index = cptDataSets.length - 1;
 
         // Create chart panel
         createChartPanel(ds, index);
+        applyDissipationMarkers(chartInstances[index]);
+        applyQualityFlags(chartInstances[index]);
+        attachPendingDissipation(index);
 
         // Select this CPT
         selectCpt(index);
@@ -149,9 +499,27 @@
         // Add to map
         if (broMap) broMap.addLoadedCpt(ds);
 
+        renderPanelControls();
+        renderSection();
         updateStatusInfo();
     }
 
+    /**
+     * Per-point classification of a dataset by method id (computed once, cached on ds).
+     */
+    function getClassification(ds, methodId) {
+        if (!ds.classification[methodId]) {
+            ds.classification[methodId] = SoilClassifiers.get(methodId).classifyDataset(ds.data, stressOptions);
+        }
+        return ds.classification[methodId];
+    }
+
+    function applyClassification(ds) {
+        const method = SoilClassifiers.get(ds.classMethod);
+        ds.layers = method.mergeLayers(getClassification(ds, ds.classMethod), 0.2);
+        ds.distribution = method.computeDistribution(ds.layers);
+    }
+
     function createChartPanel(ds, index) {
         const panel = document.createElement('div');
         panel.className = 'chart-panel';
@@ -161,7 +529,11 @@
         const header = document.createElement('div');
         header.className = 'chart-panel-header';
         const label = ds.header.name || ds.fileName;
-        header.innerHTML = `<span>${label}</span>`;
+        const corr = ds.header.depthCorrection;
+        const note = corr && corr.inclination
+            ? `<small class="chart-panel-note" title="Diepte hellingsgecorrigeerd: ${corr.offset.toFixed(2)} m minder dan sondeerlengte">Δz ${corr.offset.toFixed(2)} m</small>`
+            : '';
+        header.innerHTML = `<span>${label}${note}</span>`;
 
         const closeBtn = document.createElement('button');
         closeBtn.className = 'chart-panel-close';
@@ -188,9 +560,13 @@
 
         // Create chart instance
         const chart = new CptChart(canvas);
+        chart.setPanels(panelConfig);
         chart.onHover = (info) => onChartHover(info, index);
 
         chartInstances[index] = { ds, chart, panel, canvasWrap };
+        chart.setSurfaceLevel(surfaceLevelOf(ds));
+        chart.setAxisMode(axisMode);
+        chartLink.add(chart);
 
         // Observe resize
         const ro = new ResizeObserver(() => chart.resize());
@@ -199,6 +575,8 @@
         // Set data after a tick so canvas has dimensions
         requestAnimationFrame(() => {
             chart.setData(ds.data, ds.columns, ds.layers);
+            applyDerivedPanels(chartInstances[index]);
+            if (chartLink.mode !== 'off') chartLink.fit();
         });
     }
 
@@ -207,6 +585,7 @@
         if (!inst) return;
 
         inst.panel.remove();
+        chartLink.remove(inst.chart);
         chartInstances[index] = null;
         cptDataSets[index] = null;
 
@@ -222,14 +601,22 @@
             }
         }
 
+        renderSection();
         updateStatusInfo();
     }
 
     function selectCpt(index) {
+        const changed = index !== activeIndex;
         activeIndex = index;
         const ds = cptDataSets[index];
         if (!ds) return;
 
+        if (changed) {
+            chartInstances.forEach(inst => { if (inst) inst.chart.setHighlightIndices(null); });
+            sbtChart.setData(getClassification(ds, 'robertson-sbtn'), sbtnZones(ds));
+        }
+        classMethodSelect.value = ds.classMethod;
+
         // Update panel highlights
         chartInstances.forEach((inst, i) => {
             if (inst) {
@@ -238,17 +625,32 @@
         });
 
         renderInfo(ds);
+        renderValidation(ds);
+        renderQuality(ds);
         renderTable(ds);
         renderSbtLegend(ds);
+        renderPileResults(ds);
+        renderLiquefaction(ds);
+        renderDissipation(ds);
+        // A section without its own method follows the active CPT
+        if (changed && !sectionOptions.method) renderSection();
         updateStatusInfo();
     }
 
     function clearInfoPanel() {
         cptInfo.innerHTML = '';
+        validationSection.classList.add('hidden');
+        validationList.innerHTML = '';
+        qualitySection.classList.add('hidden');
         document.querySelector('#data-table thead').innerHTML = '';
         document.querySelector('#data-table tbody').innerHTML = '';
         sbtLegend.innerHTML = '';
         sbtDistBar.innerHTML = '';
+        sbtChart.clear();
+        pileSection.classList.add('hidden');
+        liqSection.classList.add('hidden');
+        dissSection.classList.add('hidden');
+        dissChart.clear();
     }
 
     // Close all
@@ -256,9 +658,11 @@
         chartInstances.forEach((inst, i) => {
             if (inst) inst.panel.remove();
         });
+        chartLink.clear();
         chartInstances.length = 0;
         cptDataSets.length = 0;
         activeIndex = -1;
+        renderSection();
         clearInfoPanel();
         welcomeOverlay.classList.remove('hidden');
         statusInfo.textContent = 'Geen data geladen';
@@ -280,9 +684,51 @@
 
     document.getElementById('btn-zoom-fit').addEventListener('click', () => {
         const inst = chartInstances[activeIndex];
-        if (inst) inst.chart.zoomFit();
+        if (!inst) return;
+        if (chartLink.mode !== 'off') chartLink.fit();
+        else inst.chart.zoomFit();
+    });
+
+    const chartLinkSelect = document.getElementById('chart-link');
+    chartLinkSelect.innerHTML = Object.entries(CHART_LINK_MODES)
+        .map(([id, label]) => `<option value="${id}">${label}</option>`)
+        .join('');
+    chartLinkSelect.value = chartLink.mode;
+    chartLinkSelect.addEventListener('change', () => setLinkMode(chartLinkSelect.value));
+
+    function setLinkMode(mode) {
+        const inst = chartInstances[activeIndex];
+        chartLink.setMode(mode, inst ? inst.chart : null);
+        chartLinkSelect.value = mode;
+        if (mode === 'nap') {
+            const missing = chartInstances.filter(i => i && surfaceLevelOf(i.ds) === null).length;
+            if (missing) statusInfo.textContent = `${missing} sondering(en) zonder maaiveldhoogte in NAP niet gekoppeld`;
+        }
+    }
+
+    // NAP axis: label all charts in NAP and align them on level
+    document.getElementById('depth-axis').addEventListener('change', e => {
+        axisMode = e.target.value;
+        chartInstances.forEach(inst => { if (inst) inst.chart.setAxisMode(axisMode); });
+        if (axisMode !== 'depth' && chartLink.mode !== 'nap') {
+            setLinkMode('nap');
+            chartLink.fit();
+        }
+        // Charts without a NAP level keep the depth axis
+        const missing = chartInstances.filter(i => i && surfaceLevelOf(i.ds) === null).length;
+        if (axisMode !== 'depth' && missing) {
+            statusInfo.textContent = `${missing} sondering(en) zonder maaiveldhoogte in NAP: as in m-mv`;
+        }
     });
 
+    /**
+     * Surface level in m NAP from the parsed header; null if unknown or in
+     * another datum (GEF #ZID Oostends peil, an AGS LOCA_DATM other than NAP).
+     */
+    function surfaceLevelOf(ds) {
+        return ds.header.surfaceLevel != null && ds.header.verticalDatum === 'NAP' ? ds.header.surfaceLevel : null;
+    }
+
     // ============================================
     // HOVER → STATUS BAR
     // ============================================
@@ -293,25 +739,52 @@
             selectCpt(index);
         }
 
+        sbtChart.setHoverIndex(info ? info.index : -1);
+
         if (!info) {
             statusDepth.textContent = '—';
             statusQc.textContent = '—';
             statusFs.textContent = '—';
             statusRf.textContent = '—';
             statusSoil.textContent = '—';
+            statusIc.textContent = '—';
             return;
         }
-        statusDepth.textContent = info.depth !== null ? info.depth.toFixed(2) + ' m' : '—';
+        const surface = cptDataSets[index] ? surfaceLevelOf(cptDataSets[index]) : null;
+        statusDepth.textContent = info.depth === null ? '—'
+            : axisMode !== 'depth' && surface !== null
+                ? `${info.depth.toFixed(2)} m-mv / ${(surface - info.depth).toFixed(2)} m NAP`
+                : info.depth.toFixed(2) + ' m';
         statusQc.textContent = info.qc !== null && info.qc !== undefined ? info.qc.toFixed(3) + ' MPa' : '—';
         statusFs.textContent = info.fs !== null && info.fs !== undefined ? info.fs.toFixed(4) + ' MPa' : '—';
         statusRf.textContent = info.rf !== null && info.rf !== undefined ? info.rf.toFixed(1) + ' %' : '—';
-        statusSoil.textContent = info.zone ? info.zone.name : '—';
+
+        const ds = cptDataSets[index];
+        const point = ds ? getClassification(ds, ds.classMethod)[info.index] : null;
+        statusSoil.textContent = point && point.zone ? point.zone.name : '—';
+        const ic = ds ? getClassification(ds, 'robertson-sbtn')[info.index].Ic : null;
+        statusIc.textContent = ic != null ? ic.toFixed(2) : '—';
     }
 
     // ============================================
     // INFO PANEL
     // ============================================
 
+    /** RD and WGS84 coordinates of a CPT, and those of the file when in another system. */
+    function locationItems(meta) {
+        const loc = Coordinates.location(meta);
+        if (!loc) {
+            return meta.x && meta.y ? [['Coördinaten', `${meta.x}, ${meta.y} (stelsel ${meta.coordSystem || 'onbekend'})`]] : [];
+        }
+        const items = [];
+        if (loc.system && loc.system !== 'rd' && !COORD_SYSTEMS[loc.system].geographic) {
+            items.push([COORD_SYSTEMS[loc.system].label, `${loc.x.toFixed(2)}, ${loc.y.toFixed(2)}`]);
+        }
+        if (loc.rd) items.push(['RD', `${loc.rd.x.toFixed(2)}, ${loc.rd.y.toFixed(2)}`]);
+        items.push(['WGS84', `${loc.lat.toFixed(7)}, ${loc.lon.toFixed(7)}`]);
+        return items;
+    }
+
     function renderInfo(ds) {
         const meta = ds.header;
         const items = [];
@@ -323,11 +796,29 @@
         if (meta.qualityRegime) items.push(['Kwaliteitsregime', meta.qualityRegime]);
         if (meta.qualityClass) items.push(['Kwaliteitsklasse', meta.qualityClass]);
         if (meta.cptStandard) items.push(['Norm', meta.cptStandard]);
+        if (meta.coneType) items.push(['Conustype', meta.coneType]);
         if (meta.date) items.push(['Datum', meta.date]);
-        if (meta.surfaceLevel) items.push(['Maaiveld', meta.surfaceLevel]);
-        if (meta.x && meta.y) items.push(['RD', `${meta.x}, ${meta.y}`]);
-        if (meta.lat && meta.lon) items.push(['WGS84', `${meta.lat}, ${meta.lon}`]);
-        if (meta.finalDepth) items.push(['Einddiepte', `${meta.finalDepth} m`]);
+        if (meta.surfaceLevel != null) {
+            items.push(['Maaiveld', `${meta.surfaceLevel.toFixed(2)} m ${meta.verticalDatum || '(referentievlak onbekend)'}`]);
+        }
+        items.push(...locationItems(meta));
+        if (meta.client) items.push(['Opdrachtgever', meta.client]);
+        if (meta.location) items.push(['Plaatsnaam', meta.location]);
+        if (meta.equipment) items.push(['Sondeerequipment', meta.equipment]);
+
+        // Cone and test fields (#MEASUREMENTVAR, BRO conePenetrometerSurvey)
+        for (const def of Object.values(GEF_MEASUREMENT_VARS)) {
+            const v = meta[def.key];
+            if (v === undefined || v === null || v === '') continue;
+            items.push([def.label, typeof v === 'number' && def.unit && def.unit !== '-' ? `${v} ${def.unit}` : v]);
+        }
+        const corr = meta.depthCorrection;
+        if (corr) {
+            // Depth computed by the parser for corr.rows points
+            items.push(['Diepte', corr.inclination
+                ? `${corr.rows} punten hellingsgecorrigeerd, ${corr.offset.toFixed(3)} m minder dan sondeerlengte ${corr.length.toFixed(2)} m`
+                : `${corr.rows} punten gelijk aan sondeerlengte`]);
+        }
         items.push(['Meetpunten', `${ds.data.length}`]);
 
         cptInfo.innerHTML = items.map(([label, value]) => `
@@ -342,36 +833,50 @@
     // DATA TABLE
     // ============================================
 
+    // Optional qt / qnet / Bq / Rf(qt) columns
+    const tableCorrections = document.getElementById('table-corrections');
+    tableCorrections.addEventListener('change', () => {
+        const ds = cptDataSets[activeIndex];
+        if (ds) renderTable(ds);
+    });
+
     function renderTable(ds) {
         const thead = document.querySelector('#data-table thead');
         const tbody = document.querySelector('#data-table tbody');
-        const displayCols = ds.columns.filter(c => ['length', 'depth', 'qc', 'fs', 'rf'].includes(c.key));
+        const displayCols = ds.columns.filter(c => ['length', 'depth', 'qc', 'fs', 'rf'].includes(c.key)
+            || (tableCorrections.checked && CPT_CORRECTION_COLUMNS[c.key]));
+        const derivedKeys = visibleDerivedKeys();
+        const derived = derivedKeys.length ? getDerived(ds) : null;
 
         thead.innerHTML = '<tr>' + displayCols.map(c =>
             `<th>${c.key}<br><small>${c.unit}</small></th>`
+        ).join('') + derivedKeys.map(k =>
+            `<th>${DERIVED_PARAMETERS[k].label}<br><small>${DERIVED_PARAMETERS[k].unit}</small></th>`
         ).join('') + '</tr>';
 
+        const fmt = (v, dec) => v !== null && v !== undefined ? v.toFixed(dec) : '—';
         const maxRows = 300;
         const rows = ds.data.slice(0, maxRows);
-        tbody.innerHTML = rows.map(row =>
-            '<tr>' + displayCols.map(c => {
-                const v = row[c.key];
-                return `<td>${v !== null && v !== undefined ? v.toFixed(3) : '—'}</td>`;
-            }).join('') + '</tr>'
+        tbody.innerHTML = rows.map((row, i) =>
+            '<tr>' + displayCols.map(c => `<td>${fmt(row[c.key], 3)}</td>`).join('') +
+            derivedKeys.map(k => `<td>${fmt(derived[i][k], 1)}</td>`).join('') + '</tr>'
         ).join('');
 
         if (ds.data.length > maxRows) {
-            tbody.innerHTML += `<tr><td colspan="${displayCols.length}" style="text-align:center;color:var(--text-muted);padding:8px">
+            tbody.innerHTML += `<tr><td colspan="${displayCols.length + derivedKeys.length}" style="text-align:center;color:var(--text-muted);padding:8px">
                 ... ${ds.data.length - maxRows} rijen niet getoond
             </td></tr>`;
         }
     }
 
     // ============================================
-    // ROBERTSON SBT LEGEND
+    // SOIL CLASSIFICATION LEGEND
     // ============================================
 
     function renderSbtLegend(ds) {
+        const method = SoilClassifiers.get(ds.classMethod);
+        sbtTitle.textContent = method.name;
+
         if (ds.distribution && ds.distribution.length > 0) {
             sbtDistBar.innerHTML = ds.distribution.map(d =>
                 `<div class="segment" style="width:${d.percentage}%;background:${d.zone.color}"></div>`
@@ -385,7 +890,7 @@
             for (const d of ds.distribution) distMap[d.zone.zone] = d.percentage;
         }
 
-        sbtLegend.innerHTML = ROBERTSON_ZONES.map(z => {
+        sbtLegend.innerHTML = method.zones.map(z => {
             const pct = distMap[z.zone];
             const dimmed = pct === undefined;
             return `
@@ -399,53 +904,1349 @@
     }
 
     // ============================================
-    // BRO MAP (always visible)
+    // ROBERTSON QT–FR CHART
     // ============================================
 
-    function initMap() {
-        if (broMap) return;
-        broMap = new BroMap('map');
+    const sbtChart = new SbtChart(document.getElementById('sbt-chart'));
+    new ResizeObserver(() => sbtChart.resize()).observe(document.getElementById('sbt-chart-wrap'));
 
-        broMap.onCptSelect = (broId) => {
-            statusInfo.textContent = `Laden BRO sondering ${broId}...`;
-            loadBroCpt(broId);
-        };
+    // Brushing points highlights the matching depth intervals in the active CPT chart
+    sbtChart.onBrush = indices => {
+        const inst = chartInstances[activeIndex];
+        if (inst) inst.chart.setHighlightIndices(indices);
+    };
+
+    sbtColorMode.addEventListener('change', () => sbtChart.setColorMode(sbtColorMode.value));
+
+    // The chart plots Robertson Qtn / Fr over the SBTn zones: color points by
+    // those zones, whatever the classification method of the CPT
+    function sbtnZones(ds) {
+        return getClassification(ds, 'robertson-sbtn').map(p => p.zone);
     }
 
-    // Initialize map immediately
-    initMap();
+    // ============================================
+    // DISSIPATION TESTS
+    // ============================================
 
-    // Load area button
-    document.getElementById('btn-load-area').addEventListener('click', () => {
-        broMap.loadArea(msg => { mapStatus.textContent = msg; });
+    const dissSection = document.getElementById('diss-section');
+    const dissTestSelect = document.getElementById('diss-test');
+    const dissSummary = document.getElementById('diss-summary');
+    const dissChart = new DissipationChart(document.getElementById('diss-chart'));
+    new ResizeObserver(() => dissChart.resize()).observe(document.getElementById('diss-chart-wrap'));
+
+    // Dissipation files loaded before their CPT, attached when it is loaded
+    const pendingDissipation = [];
+
+    dissTestSelect.addEventListener('change', () => {
+        const ds = cptDataSets[activeIndex];
+        if (ds) renderDissipation(ds);
     });
 
-    // Clear markers
-    document.getElementById('btn-map-clear').addEventListener('click', () => {
-        broMap.clearMarkers();
-        mapStatus.textContent = 'Markers gewist';
+    function renderDissipation(ds) {
+        const tests = ds.dissipationTests || [];
+        if (!tests.length) {
+            dissSection.classList.add('hidden');
+            dissChart.clear();
+            return;
+        }
+        dissSection.classList.remove('hidden');
+
+        const selected = Math.min(parseInt(dissTestSelect.value, 10) || 0, tests.length - 1);
+        dissTestSelect.innerHTML = tests.map((t, i) =>
+            `<option value="${i}">${t.depth !== null ? t.depth.toFixed(2) + ' m-mv' : `Test ${i + 1}`}</option>`
+        ).join('');
+        dissTestSelect.value = String(selected);
+
+        const test = tests[selected];
+        const options = ds.header.coneTipArea > 0 ? { coneTipArea: ds.header.coneTipArea } : {};
+        const a = Dissipation.analyze(test, options);
+        const u0 = test.depth !== null
+            ? Math.max(test.depth - stressOptions.groundwaterDepth, 0) * stressOptions.gammaWater / 1000
+            : null;
+        dissChart.setData(test, a, u0);
+
+        const mpa = v => v !== null ? `${v.toFixed(3)} MPa` : '-';
+        const items = [['Sondeerlengte', test.length !== null ? `${test.length.toFixed(2)} m` : '-']];
+        if (test.startTime) items.push(['Start', test.startTime]);
+        if (a) {
+            items.push(
+                [`${a.key} initieel`, mpa(a.ui) + (a.dilatory ? ` (dilatant, na ${Math.round(a.tStart)} s)` : '')],
+                [`${a.key} evenwicht`, mpa(a.ueq) + (a.levelled ? '' : ' (geëxtrapoleerd)')],
+                ['u0 hydrostatisch', `${mpa(u0)} (GWS ${stressOptions.groundwaterDepth} m-mv)`],
+                ['t50', a.t50 !== null ? `${Math.round(a.t50)} s` : 'niet bereikt'],
+                ['ch', a.ch !== null
+                    ? `${Dissipation.chPerYear(a.ch).toFixed(1)} m²/jaar (Ir = ${DISSIPATION_DEFAULTS.rigidityIndex})`
+                    : '-'],
+            );
+        } else {
+            items.push(['Waterspanning', 'geen metingen']);
+        }
+        dissSummary.innerHTML = items.map(([label, value]) => `
+            <div class="info-item">
+                <div class="label">${label}</div>
+                <div class="value">${value}</div>
+            </div>
+        `).join('');
+    }
+
+    /** Mark the dissipation test depths on the CPT chart. */
+    function applyDissipationMarkers(inst) {
+        if (!inst) return;
+        const tests = inst.ds.dissipationTests || [];
+        inst.chart.setMarkers(tests.filter(t => t.depth !== null).map(t => ({
+            depth: t.depth,
+            label: `diss. ${t.depth.toFixed(2)} m`,
+        })));
+    }
+
+    /**
+     * Attach the tests of a dissipation file (GEF-DISS) to the loaded CPT with
+     * the same test id. Without such a CPT the file waits for it: the depth,
+     * marker and u0 of a test come from the CPT it belongs to.
+     */
+    function attachDissipation(result) {
+        const id = dissipationId(result);
+        const index = cptDataSets.findIndex(ds => ds && dissipationId(ds) === id);
+        if (index < 0) {
+            pendingDissipation.push(result);
+            statusInfo.textContent = `Dissipatietest ${result.fileName} wordt gekoppeld zodra sondering ${result.header.name} geladen is`;
+            return;
+        }
+        addDissipationTests(index, result.dissipationTests);
+        statusInfo.textContent = `Dissipatietest ${result.fileName} gekoppeld aan ${cptDataSets[index].header.name}`;
+    }
+
+    function addDissipationTests(index, tests) {
+        const ds = cptDataSets[index];
+        for (const t of tests) {
+            // Depth from the CPT data at the test length
+            if (t.length !== null) t.depth = Dissipation.depthAtLength(ds.data, t.length);
+        }
+        ds.dissipationTests = [...(ds.dissipationTests || []), ...tests]
+            // Tests without a length last
+            .sort((a, b) => (a.length === null) - (b.length === null) || a.length - b.length);
+        applyDissipationMarkers(chartInstances[index]);
+        if (index === activeIndex) renderDissipation(ds);
+    }
+
+    function dissipationId(ds) {
+        return (ds.header.testId || ds.fileName || '').replace(/\.(gef|xml)$/i, '').toLowerCase();
+    }
+
+    /** Attach dissipation files that were waiting for this CPT. */
+    function attachPendingDissipation(index) {
+        const id = dissipationId(cptDataSets[index]);
+        for (let i = pendingDissipation.length - 1; i >= 0; i--) {
+            if (dissipationId(pendingDissipation[i]) !== id) continue;
+            addDissipationTests(index, pendingDissipation[i].dissipationTests);
+            pendingDissipation.splice(i, 1);
+        }
+    }
+
+    // ============================================
+    // CLASSIFICATION MODE
+    // ============================================
+
+    classMethodSelect.innerHTML = SoilClassifiers.list()
+        .map(m => `<option value="${m.id}">${m.name}</option>`)
+        .join('');
+    classMethodSelect.value = defaultMethod;
+
+    // Switch the method of the active CPT; new CPTs get the last chosen method
+    classMethodSelect.addEventListener('change', () => {
+        defaultMethod = classMethodSelect.value;
+        const inst = chartInstances[activeIndex];
+        if (!inst) return;
+        inst.ds.classMethod = classMethodSelect.value;
+        applyClassification(inst.ds);
+        inst.chart.setLayers(inst.ds.layers);
+        inst.chart.setHighlightIndices(null);
+        renderSbtLegend(inst.ds);
+        sbtChart.setData(getClassification(inst.ds, 'robertson-sbtn'), sbtnZones(inst.ds));
+        renderSection();
+    });
+
+    document.querySelectorAll('[data-stress]').forEach(input => {
+        input.value = stressOptions[input.dataset.stress];
+        input.addEventListener('change', () => {
+            const v = parseFloat(input.value);
+            if (isNaN(v)) {
+                input.value = stressOptions[input.dataset.stress];
+                return;
+            }
+            stressOptions[input.dataset.stress] = v;
+            refreshClassification();
+        });
     });
 
     /**
-     * Load a CPT from BRO by its broId (e.g. CPT000000123456).
+     * Recompute the classification of all loaded CPTs (stress parameters changed).
      */
-    async function loadBroCpt(broId) {
-        try {
-            const url = `https://publiek.broservices.nl/sr/bro-cptv2/api/v2/objects/${broId}?outputFormat=xml`;
-            const resp = await fetch(url);
-            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-            const xml = await resp.text();
+    function refreshClassification() {
+        chartInstances.forEach(inst => {
+            if (!inst) return;
+            inst.ds.classification = {};
+            inst.ds.derived = null;
+            CptCorrections.applyStress(inst.ds.data, inst.ds.columns, stressOptions);
+            applyClassification(inst.ds);
+            applyDerivedPanels(inst);
+            inst.chart.setPanels(panelConfig);
+            inst.chart.setLayers(inst.ds.layers);
+        });
+        const ds = cptDataSets[activeIndex];
+        if (ds) {
+            renderSbtLegend(ds);
+            renderTable(ds);
+            sbtChart.setData(getClassification(ds, 'robertson-sbtn'), sbtnZones(ds));
+            renderDissipation(ds);
+        }
+        const inst = chartInstances[activeIndex];
+        if (inst) inst.chart.setHighlightIndices(null);
+        renderSection();
+    }
+
+    // ============================================
+    // PILE BEARING CAPACITY (Koppejan)
+    // ============================================
+
+    const pileOptions = { ...PILE_DEFAULTS };
+
+    document.querySelector('[data-pile="type"]').innerHTML = Object.entries(PILE_TYPES)
+        .map(([id, t]) => `<option value="${id}">${t.label}</option>`)
+        .join('');
 
-            const result = broParser.parse(xml);
-            result.fileName = broId;
-            result.format = 'BRO-XML';
-            addDataSet(result);
+    document.querySelectorAll('[data-pile]').forEach(input => {
+        const key = input.dataset.pile;
+        input.value = pileOptions[key];
+        input.addEventListener('change', () => {
+            if (input.tagName === 'SELECT') {
+                pileOptions[key] = input.value;
+                return;
+            }
+            const v = parseFloat(input.value);
+            if (isNaN(v) || v < 0) {
+                input.value = pileOptions[key];
+                return;
+            }
+            pileOptions[key] = v;
+        });
+    });
 
-            statusInfo.textContent = `${broId} geladen`;
+    document.getElementById('btn-pile-calc').addEventListener('click', () => {
+        const inst = chartInstances[activeIndex];
+        if (!inst) {
+            statusInfo.textContent = 'Geen sondering geselecteerd';
+            return;
+        }
+        try {
+            const options = { ...pileOptions };
+            const results = PileCapacity.calculate(inst.ds.data, options);
+            inst.ds.pileCapacity = { options, results };
+            inst.chart.setExtraPanel('pile', pilePanel(inst.ds));
+            renderPileResults(inst.ds);
+            statusInfo.textContent = `Draagvermogen berekend: ${results.length} paalpuntniveaus`;
         } catch (err) {
-            console.error(`Fout bij laden ${broId}:`, err);
-            statusInfo.textContent = `Fout bij laden ${broId}: ${err.message}`;
+            console.error(err);
+            statusInfo.textContent = `Fout: ${err.message}`;
+        }
+    });
+
+    document.getElementById('btn-pile-csv').addEventListener('click', () => {
+        const ds = cptDataSets[activeIndex];
+        if (!ds || !ds.pileCapacity) {
+            statusInfo.textContent = 'Bereken eerst het draagvermogen';
+            return;
+        }
+        const csv = PileCapacity.toCsv(ds.pileCapacity.results, ds.pileCapacity.options);
+        downloadFile(`${ds.header.name || ds.fileName}_draagvermogen.csv`, csv, 'text/csv');
+    });
+
+    document.getElementById('btn-pile-clear').addEventListener('click', () => {
+        const inst = chartInstances[activeIndex];
+        if (!inst) return;
+        inst.ds.pileCapacity = null;
+        inst.chart.setExtraPanel('pile', null);
+        renderPileResults(inst.ds);
+    });
+
+    function pilePanel(ds) {
+        if (!ds.pileCapacity) return null;
+        return {
+            label: 'Rc (kN)',
+            color: '#a855f7',
+            points: ds.pileCapacity.results.map(r => ({ depth: r.tipDepth, value: r.rc })),
+            dots: true,
+        };
+    }
+
+    function renderPileResults(ds) {
+        const pc = ds.pileCapacity;
+        if (!pc || !pc.results.length) {
+            pileSection.classList.add('hidden');
+            return;
+        }
+        pileSection.classList.remove('hidden');
+
+        const best = pc.results.reduce((a, b) => (b.rc > a.rc ? b : a));
+        pileSummary.textContent = `${PILE_TYPES[pc.options.type].label}, ${pc.options.size} m — ` +
+            `max. Rc ${best.rc.toFixed(0)} kN op ${best.tipDepth.toFixed(2)} m-mv`;
+
+        const cols = [
+            ['tipDepth', 'Punt', 'm-mv', 2], ['qcI', 'qc;I', 'MPa', 2], ['qcII', 'qc;II', 'MPa', 2],
+            ['qcIII', 'qc;III', 'MPa', 2], ['rb', 'Rb', 'kN', 0], ['rs', 'Rs', 'kN', 0],
+            ['fnk', 'Fnk', 'kN', 0], ['rc', 'Rc', 'kN', 0],
+        ];
+        document.querySelector('#pile-table thead').innerHTML = '<tr>' + cols.map(([, label, unit]) =>
+            `<th>${label}<br><small>${unit}</small></th>`
+        ).join('') + '</tr>';
+        document.querySelector('#pile-table tbody').innerHTML = pc.results.map(r =>
+            '<tr>' + cols.map(([key, , , dec]) => `<td>${r[key].toFixed(dec)}</td>`).join('') + '</tr>'
+        ).join('');
+    }
+
+    /** Contents of a file as ArrayBuffer. */
+    function readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /** Text from a file, safe to put in HTML. */
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function downloadFile(fileName, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // ============================================
+    // DERIVED PARAMETERS
+    // ============================================
+
+    const derivedSettings = DerivedParameters.defaultSettings();
+    const derivedParamSelect = document.getElementById('derived-param');
+    const derivedMethodSelect = document.getElementById('derived-method');
+    const derivedCoeffs = document.getElementById('derived-coeffs');
+    const derivedVisible = document.getElementById('derived-visible');
+
+    derivedParamSelect.innerHTML = Object.entries(DERIVED_PARAMETERS)
+        .map(([key, def]) => `<option value="${key}">${def.label} (${def.unit})</option>`)
+        .join('');
+
+    function getDerived(ds) {
+        if (!ds.derived) {
+            ds.derived = DerivedParameters.compute(ds.data, getClassification(ds, 'robertson-sbtn'), derivedSettings);
+        }
+        return ds.derived;
+    }
+
+    function visibleDerivedKeys() {
+        return Object.keys(DERIVED_PARAMETERS).filter(k => derivedSettings[k].visible);
+    }
+
+    function applyDerivedPanels(inst) {
+        if (!inst) return;
+        for (const [key, def] of Object.entries(DERIVED_PARAMETERS)) {
+            const panel = derivedSettings[key].visible ? {
+                label: `${def.label} (${def.unit})`,
+                color: def.color,
+                values: getDerived(inst.ds).map(d => d[key]),
+            } : null;
+            inst.chart.setExtraPanel(`derived-${key}`, panel);
+        }
+    }
+
+    /** Recompute derived parameters for all CPTs after a settings change. */
+    function refreshDerived() {
+        chartInstances.forEach(inst => {
+            if (!inst) return;
+            inst.ds.derived = null;
+            applyDerivedPanels(inst);
+        });
+        const ds = cptDataSets[activeIndex];
+        if (ds) renderTable(ds);
+    }
+
+    /** Fill the correlation select and coefficient inputs for the selected parameter. */
+    function renderDerivedControls() {
+        const key = derivedParamSelect.value;
+        const def = DERIVED_PARAMETERS[key];
+        const setting = derivedSettings[key];
+
+        derivedMethodSelect.innerHTML = Object.entries(def.correlations)
+            .map(([id, corr]) => `<option value="${id}">${corr.label}</option>`)
+            .join('');
+        derivedMethodSelect.value = setting.method;
+        derivedVisible.checked = setting.visible;
+
+        derivedCoeffs.innerHTML = Object.entries(setting.params).map(([name, value]) => `
+            <label class="ribbon-field">
+                <span>${name}</span><input type="number" step="any" data-coeff="${name}" value="${value}">
+            </label>
+        `).join('');
+        derivedCoeffs.querySelectorAll('[data-coeff]').forEach(input => {
+            input.addEventListener('change', () => {
+                const v = parseFloat(input.value);
+                if (isNaN(v)) {
+                    input.value = setting.params[input.dataset.coeff];
+                    return;
+                }
+                setting.params[input.dataset.coeff] = v;
+                refreshDerived();
+            });
+        });
+    }
+
+    derivedParamSelect.addEventListener('change', renderDerivedControls);
+
+    derivedMethodSelect.addEventListener('change', () => {
+        const key = derivedParamSelect.value;
+        const method = derivedMethodSelect.value;
+        derivedSettings[key].method = method;
+        derivedSettings[key].params = { ...DERIVED_PARAMETERS[key].correlations[method].params };
+        renderDerivedControls();
+        refreshDerived();
+    });
+
+    derivedVisible.addEventListener('change', () => {
+        derivedSettings[derivedParamSelect.value].visible = derivedVisible.checked;
+        refreshDerived();
+    });
+
+    renderDerivedControls();
+
+    // ============================================
+    // CHART PANELS
+    // ============================================
+
+    const panelSelect = document.getElementById('panel-select');
+    const panelColumnSelect = document.getElementById('panel-column');
+    const panelSeries = document.getElementById('panel-series');
+    let selectedPanelId = null;
+
+    function currentPanel() {
+        return panelConfig.find(p => p.id === selectedPanelId) || panelConfig[0] || null;
+    }
+
+    /** Columns of all loaded CPTs that can be plotted, unique by key. */
+    function availableColumns() {
+        const columns = new Map();
+        cptDataSets.forEach(ds => {
+            if (!ds) return;
+            for (const c of PanelConfig.plottableColumns(ds.columns)) {
+                if (!columns.has(c.key)) columns.set(c.key, c);
+            }
+        });
+        return [...columns.values()];
+    }
+
+    function columnsForLabels() {
+        const ds = cptDataSets[activeIndex];
+        return ds ? ds.columns : availableColumns();
+    }
+
+    /** Store the configuration and apply it to all charts. */
+    function applyPanelConfig() {
+        PanelConfig.save(panelConfig);
+        chartInstances.forEach(inst => { if (inst) inst.chart.setPanels(panelConfig); });
+        renderPanelControls();
+    }
+
+    function renderPanelControls() {
+        const panel = currentPanel();
+        const labelColumns = columnsForLabels();
+        panelSelect.innerHTML = panelConfig
+            .map(p => `<option value="${p.id}">${PanelConfig.panelLabel(p, labelColumns)}</option>`)
+            .join('');
+        if (panel) panelSelect.value = panel.id;
+
+        const columns = availableColumns();
+        const column = panelColumnSelect.value;
+        panelColumnSelect.innerHTML = columns.length
+            ? columns.map(c => `<option value="${c.key}">${c.label} (${c.unit})</option>`).join('')
+            : '<option value="">Geen sondering geladen</option>';
+        if (columns.some(c => c.key === column)) panelColumnSelect.value = column;
+
+        document.querySelectorAll('[data-panel-field]').forEach(input => {
+            const v = panel ? panel[input.dataset.panelField] : null;
+            input.value = v != null ? v : '';
+        });
+
+        panelSeries.innerHTML = panel ? panel.series.map((s, i) => `
+            <label class="ribbon-field" title="Kleur van ${PanelConfig.seriesLabel(s.key, labelColumns)}">
+                <span>${PanelConfig.seriesLabel(s.key, labelColumns)}</span><input type="color" data-series="${i}" value="${s.color}">
+                ${panel.series.length > 1 ? `<button class="ribbon-field-remove" data-series-remove="${i}" title="Verwijder reeks">&times;</button>` : ''}
+            </label>
+        `).join('') : '';
+        panelSeries.querySelectorAll('[data-series]').forEach(input => {
+            input.addEventListener('change', () => {
+                panel.series[+input.dataset.series].color = input.value;
+                applyPanelConfig();
+            });
+        });
+        panelSeries.querySelectorAll('[data-series-remove]').forEach(btn => {
+            btn.addEventListener('click', e => {
+                e.preventDefault();
+                panel.series.splice(+btn.dataset.seriesRemove, 1);
+                applyPanelConfig();
+            });
+        });
+    }
+
+    panelSelect.addEventListener('change', () => {
+        selectedPanelId = panelSelect.value;
+        renderPanelControls();
+    });
+
+    document.querySelectorAll('[data-panel-field]').forEach(input => {
+        const key = input.dataset.panelField;
+        input.addEventListener('change', () => {
+            const panel = currentPanel();
+            if (!panel) return;
+            const v = parseFloat(input.value);
+            if (key === 'width') {
+                if (isNaN(v) || v <= 0) {
+                    input.value = panel.width;
+                    return;
+                }
+                panel.width = v;
+            } else {
+                // Empty input: automatic scale
+                panel[key] = isNaN(v) ? null : v;
+            }
+            applyPanelConfig();
+        });
+    });
+
+    document.getElementById('btn-panel-add').addEventListener('click', () => {
+        const key = panelColumnSelect.value;
+        if (!key) return;
+        const panel = PanelConfig.createPanel(panelConfig, key);
+        panelConfig.push(panel);
+        selectedPanelId = panel.id;
+        applyPanelConfig();
+    });
+
+    document.getElementById('btn-series-add').addEventListener('click', () => {
+        const key = panelColumnSelect.value;
+        const panel = currentPanel();
+        if (!key || !panel || panel.series.some(s => s.key === key)) return;
+        panel.series.push({ key, color: PanelConfig.nextColor(panelConfig) });
+        applyPanelConfig();
+    });
+
+    function movePanel(step) {
+        const panel = currentPanel();
+        if (!panel) return;
+        const i = panelConfig.indexOf(panel);
+        const j = i + step;
+        if (j < 0 || j >= panelConfig.length) return;
+        panelConfig.splice(i, 1);
+        panelConfig.splice(j, 0, panel);
+        applyPanelConfig();
+    }
+
+    document.getElementById('btn-panel-left').addEventListener('click', () => movePanel(-1));
+    document.getElementById('btn-panel-right').addEventListener('click', () => movePanel(1));
+
+    document.getElementById('btn-panel-remove').addEventListener('click', () => {
+        const panel = currentPanel();
+        if (!panel) return;
+        if (panelConfig.length === 1) {
+            statusInfo.textContent = 'Er moet minimaal één paneel blijven';
+            return;
+        }
+        panelConfig.splice(panelConfig.indexOf(panel), 1);
+        applyPanelConfig();
+    });
+
+    document.getElementById('btn-panel-reset').addEventListener('click', () => {
+        panelConfig = PanelConfig.reset();
+        chartInstances.forEach(inst => { if (inst) inst.chart.setPanels(panelConfig); });
+        renderPanelControls();
+    });
+
+    renderPanelControls();
+
+    // ============================================
+    // LIQUEFACTION
+    // ============================================
+
+    const liqOptions = { ...LIQUEFACTION_DEFAULTS };
+
+    document.querySelector('[data-liq="method"]').innerHTML = Object.entries(LIQUEFACTION_METHODS)
+        .map(([id, label]) => `<option value="${id}">${label}</option>`)
+        .join('');
+
+    document.querySelectorAll('[data-liq]').forEach(input => {
+        const key = input.dataset.liq;
+        input.value = liqOptions[key];
+        input.addEventListener('change', () => {
+            if (input.tagName === 'SELECT') {
+                liqOptions[key] = input.value;
+                return;
+            }
+            const v = parseFloat(input.value);
+            if (isNaN(v) || (key !== 'cfc' && v < 0)) {
+                input.value = liqOptions[key];
+                return;
+            }
+            liqOptions[key] = v;
+        });
+    });
+
+    document.getElementById('btn-liq-calc').addEventListener('click', () => {
+        const inst = chartInstances[activeIndex];
+        if (!inst) {
+            statusInfo.textContent = 'Geen sondering geselecteerd';
+            return;
+        }
+        try {
+            const options = { ...stressOptions, ...liqOptions };
+            inst.ds.liquefaction = { options, ...Liquefaction.assess(inst.ds.data, options) };
+            applyLiquefactionPanels(inst);
+            renderLiquefaction(inst.ds);
+            const s = inst.ds.liquefaction.summary;
+            statusInfo.textContent = `Verweking berekend: LPI ${s.lpi.toFixed(1)}, LSN ${s.lsn.toFixed(1)}`;
+        } catch (err) {
+            console.error(err);
+            statusInfo.textContent = `Fout: ${err.message}`;
+        }
+    });
+
+    document.getElementById('btn-liq-clear').addEventListener('click', () => {
+        const inst = chartInstances[activeIndex];
+        if (!inst) return;
+        inst.ds.liquefaction = null;
+        applyLiquefactionPanels(inst);
+        renderLiquefaction(inst.ds);
+    });
+
+    function applyLiquefactionPanels(inst) {
+        const liq = inst.ds.liquefaction;
+        if (!liq) {
+            inst.chart.setExtraPanel('liq-fos', null);
+            inst.chart.setExtraPanel('liq-csr', null);
+            return;
+        }
+        inst.chart.setExtraPanel('liq-fos', {
+            label: 'FoS (-)',
+            color: '#f43f5e',
+            points: liq.points.map(p => ({ depth: p.depth, value: p.fos })),
+            max: 2,
+            shadeBelow: 1,
+        });
+        inst.chart.setExtraPanel('liq-csr', {
+            label: 'CSR / CRR',
+            color: '#f59e0b',
+            points: liq.points.map(p => ({ depth: p.depth, value: p.liquefiable ? p.csr : null })),
+            series: [{
+                label: 'CRR',
+                color: '#38bdf8',
+                points: liq.points.map(p => ({ depth: p.depth, value: p.liquefiable ? p.crr : null })),
+            }],
+            max: 0.6,
+        });
+    }
+
+    /**
+     * Parser diagnostics of the dataset: skipped rows, void values, unit and
+     * depth problems, with the line (GEF) or data block (BRO-XML) they refer to.
+     */
+    function renderValidation(ds) {
+        const list = ds.diagnostics || [];
+        if (!list.length) {
+            validationSection.classList.add('hidden');
+            return;
+        }
+        validationSection.classList.remove('hidden');
+
+        const counts = CptValidation.summary(list);
+        validationCounts.innerHTML = Object.keys(VALIDATION_SEVERITIES)
+            .filter(s => counts[s])
+            .map(s => `<span class="validation-${s}">${counts[s]} ${VALIDATION_SEVERITIES[s].toLowerCase()}</span>`)
+            .join(' ');
+
+        // Errors first; within a severity in file order
+        const order = Object.keys(VALIDATION_SEVERITIES);
+        const sorted = [...list].sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+        validationList.innerHTML = sorted.map(d => {
+            const where = d.line ? `r. ${d.line}` : d.row ? `blok ${d.row}` : '';
+            // Messages can quote file contents
+            const message = escapeHtml(d.message);
+            return `<li class="validation-${d.severity}">
+                <span class="severity">${VALIDATION_SEVERITIES[d.severity]}</span>
+                <span class="where">${where}</span>
+                <span class="message">${message}</span>
+            </li>`;
+        }).join('');
+    }
+
+    function renderLiquefaction(ds) {
+        const liq = ds.liquefaction;
+        if (!liq) {
+            liqSection.classList.add('hidden');
+            return;
+        }
+        liqSection.classList.remove('hidden');
+
+        const s = liq.summary;
+        const items = [
+            ['Methode', LIQUEFACTION_METHODS[liq.options.method]],
+            ['Belasting', `PGA ${liq.options.pga} g, Mw ${liq.options.magnitude}, GWS ${liq.options.groundwaterDepth} m-mv`],
+            ['LPI', s.lpi.toFixed(1)],
+            ['LSN', s.lsn.toFixed(1)],
+            ['Min. FoS', s.minFos !== null ? s.minFos.toFixed(2) : '-'],
+            ['Dikte FoS < 1', `${s.thickness.toFixed(2)} m`],
+        ];
+        liqSummary.innerHTML = items.map(([label, value]) => `
+            <div class="info-item">
+                <div class="label">${label}</div>
+                <div class="value">${value}</div>
+            </div>
+        `).join('');
+    }
+
+    // ============================================
+    // DATA QUALITY (NEN-EN-ISO 22476-1 application classes)
+    // ============================================
+
+    qualityClassSelect.addEventListener('change', () => {
+        const inst = chartInstances[activeIndex];
+        if (!inst) return;
+        inst.ds.qualityClass = qualityClassSelect.value ? parseInt(qualityClassSelect.value, 10) : null;
+        inst.ds.quality = CptQuality.assess(inst.ds, inst.ds.qualityClass);
+        applyQualityFlags(inst);
+        renderQuality(inst.ds);
+    });
+
+    qualityFlags.addEventListener('change', () => chartInstances.forEach(applyQualityFlags));
+
+    function applyQualityFlags(inst) {
+        if (!inst) return;
+        inst.chart.setFlags(qualityFlags.checked ? CptQuality.failingRanges(inst.ds.quality) : null);
+    }
+
+    function renderQuality(ds) {
+        qualitySection.classList.remove('hidden');
+        qualityClassSelect.value = ds.qualityClass ? String(ds.qualityClass) : '';
+        const thead = document.querySelector('#quality-table thead');
+        const tbody = document.querySelector('#quality-table tbody');
+
+        const q = ds.quality;
+        if (!q) {
+            qualitySummary.textContent = 'Geen toepassingsklasse in de metadata — kies een klasse';
+            thead.innerHTML = '';
+            tbody.innerHTML = '';
+            return;
+        }
+
+        const source = ds.qualityClass ? 'gekozen' : 'uit metadata';
+        const verdict = q.pass === null ? 'niet te beoordelen' : q.pass ? 'voldoet' : 'voldoet niet';
+        qualitySummary.innerHTML = `Klasse ${q.applicationClass} (${source}): ` +
+            `<span class="quality-${q.pass === false ? 'fail' : 'pass'}">${verdict}</span>`;
+
+        thead.innerHTML = '<tr><th>Criterium</th><th>Eis</th><th>Waarde</th><th></th></tr>';
+        tbody.innerHTML = q.criteria.map(c => {
+            const mark = c.pass === null ? '<span class="quality-none">–</span>'
+                : c.pass ? '<span class="quality-pass">✓</span>' : '<span class="quality-fail">✗</span>';
+            const ranges = c.ranges.length
+                ? ` title="${c.ranges.map(r => `${r.startDepth.toFixed(2)}–${r.endDepth.toFixed(2)} m`).join(', ')}"` : '';
+            return `<tr${ranges}><td>${c.label}</td><td>${c.requirement}</td><td>${c.value}</td><td>${mark}</td></tr>`;
+        }).join('');
+    }
+
+    // ============================================
+    // REPORT EXPORT (PDF / SVG sondeerplot)
+    // ============================================
+
+    const reportPaperSelect = document.getElementById('report-paper');
+    const reportScaleSelect = document.getElementById('report-scale');
+    reportPaperSelect.innerHTML = Object.keys(REPORT_PAPERS).map(p => `<option value="${p}">${p}</option>`).join('');
+    reportScaleSelect.innerHTML = REPORT_SCALES.map(s => `<option value="${s}">1:${s}</option>`).join('');
+    reportPaperSelect.value = REPORT_DEFAULTS.paper;
+    reportScaleSelect.value = REPORT_DEFAULTS.scale;
+
+    function reportOptions() {
+        return { paper: reportPaperSelect.value, scale: parseInt(reportScaleSelect.value, 10) };
+    }
+
+    function reportName(ds) {
+        return ds.header.name || ds.fileName;
+    }
+
+    document.getElementById('btn-report-pdf').addEventListener('click', () => {
+        const ds = cptDataSets[activeIndex];
+        if (!ds) {
+            statusInfo.textContent = 'Geen sondering geselecteerd';
+            return;
+        }
+        try {
+            const pages = CptReport.pages(ds, reportOptions());
+            downloadFile(`${reportName(ds)}.pdf`, CptReport.toPdf(pages), 'application/pdf');
+            statusInfo.textContent = `Rapport ${reportName(ds)}: ${pages.length} blad${pages.length > 1 ? 'en' : ''}`;
+        } catch (err) {
+            console.error('Rapportfout:', err);
+            statusInfo.textContent = `Fout: ${err.message}`;
+        }
+    });
+
+    document.getElementById('btn-report-svg').addEventListener('click', () => {
+        const ds = cptDataSets[activeIndex];
+        if (!ds) {
+            statusInfo.textContent = 'Geen sondering geselecteerd';
+            return;
+        }
+        try {
+            const pages = CptReport.pages(ds, reportOptions());
+            pages.forEach((page, i) => {
+                const suffix = pages.length > 1 ? `_${i + 1}` : '';
+                downloadFile(`${reportName(ds)}${suffix}.svg`, CptReport.toSvg(page), 'image/svg+xml');
+            });
+            statusInfo.textContent = `Rapport ${reportName(ds)}: ${pages.length} SVG-bestand${pages.length > 1 ? 'en' : ''}`;
+        } catch (err) {
+            console.error('Rapportfout:', err);
+            statusInfo.textContent = `Fout: ${err.message}`;
+        }
+    });
+
+    // Batch: all loaded CPTs in one PDF
+    document.getElementById('btn-report-all').addEventListener('click', () => {
+        const sets = cptDataSets.filter(ds => ds);
+        if (!sets.length) {
+            statusInfo.textContent = 'Geen data geladen';
+            return;
+        }
+        try {
+            const pages = sets.flatMap(ds => CptReport.pages(ds, reportOptions()));
+            downloadFile('sonderingen.pdf', CptReport.toPdf(pages), 'application/pdf');
+            statusInfo.textContent = `Rapport: ${sets.length} sondering${sets.length > 1 ? 'en' : ''}, ${pages.length} bladen`;
+        } catch (err) {
+            console.error('Rapportfout:', err);
+            statusInfo.textContent = `Fout: ${err.message}`;
+        }
+    });
+
+    // ============================================
+    // BRO MAP (always visible)
+    // ============================================
+
+    const localStore = new LocalCptStore();
+    let dataSettings = DataSources.loadSettings();
+    let dataSource = createDataSource(dataSettings);
+
+    /** Data source of the settings; the public services when the settings are invalid. */
+    function createDataSource(settings) {
+        try {
+            return DataSources.create(settings, localStore);
+        } catch (err) {
+            mapStatus.textContent = `${err.message} — BRO / PDOK gebruikt`;
+            return DataSources.create({ ...settings, type: 'public' }, localStore);
+        }
+    }
+
+    function initMap() {
+        if (broMap) return;
+        broMap = new BroMap('map', dataSource);
+        broMap.onStatus = msg => { mapStatus.textContent = msg; };
+        broMap.autoLoad = dataSettings.autoLoad;
+
+        broMap.onCptSelect = (broId) => {
+            statusInfo.textContent = `Laden BRO sondering ${broId}...`;
+            loadBroCpt(broId)
+                .then(() => { statusInfo.textContent = `${broId} geladen`; })
+                .catch(err => {
+                    console.error(`Fout bij laden ${broId}:`, err);
+                    statusInfo.textContent = `Fout bij laden ${broId}: ${err.message}`;
+                });
+        };
+    }
+
+    // Initialize map immediately
+    initMap();
+
+    // Load area button
+    document.getElementById('btn-load-area').addEventListener('click', () => {
+        broMap.loadArea(msg => { mapStatus.textContent = msg; });
+    });
+
+    // Load the area in view after each map move
+    const mapAutoLoad = document.getElementById('map-auto-load');
+    mapAutoLoad.checked = dataSettings.autoLoad;
+    mapAutoLoad.addEventListener('change', () => {
+        dataSettings = { ...dataSettings, autoLoad: mapAutoLoad.checked };
+        DataSources.saveSettings(dataSettings);
+        broMap.autoLoad = dataSettings.autoLoad;
+        if (dataSettings.autoLoad) broMap.loadArea(broMap.onStatus, true);
+    });
+
+    // Clear markers
+    document.getElementById('btn-map-clear').addEventListener('click', () => {
+        broMap.clearMarkers();
+        mapStatus.textContent = 'Markers gewist';
+    });
+
+    // ---- Map filter and theme ----
+
+    const mapFilterInputs = {
+        depthMin: document.getElementById('map-filter-depth-min'),
+        depthMax: document.getElementById('map-filter-depth-max'),
+        dateFrom: document.getElementById('map-filter-date-from'),
+        dateTo: document.getElementById('map-filter-date-to'),
+        qualityClass: document.getElementById('map-filter-class'),
+        standard: document.getElementById('map-filter-standard'),
+        party: document.getElementById('map-filter-party'),
+    };
+    const mapTheme = document.getElementById('map-theme');
+    const mapLegend = document.getElementById('map-legend');
+
+    mapTheme.innerHTML = Object.entries(MAP_THEMES)
+        .map(([theme, def]) => `<option value="${theme}">${def.label}</option>`).join('');
+
+    /** Filter of the Kaart tab fields (see MapFilter). */
+    function readMapFilter() {
+        const number = input => input.value === '' ? null : parseFloat(input.value);
+        const filter = {};
+        for (const [key, input] of Object.entries(mapFilterInputs)) {
+            filter[key] = input.type === 'number' ? number(input) : input.value;
+        }
+        return filter;
+    }
+
+    /** Options of the standard and party filters from the loaded locations; keeps the selection. */
+    function renderMapFilterOptions() {
+        for (const key of ['standard', 'party']) {
+            const select = mapFilterInputs[key];
+            const current = select.value;
+            const values = broMap.attributeValues(key);
+            if (current && !values.includes(current)) values.push(current);
+            select.innerHTML = '<option value="">Alle</option>'
+                + values.map(v => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('');
+            select.value = current;
+        }
+    }
+
+    function applyMapFilter() {
+        broMap.setFilter(readMapFilter());
+        const counts = broMap.filterCounts();
+        mapStatus.textContent = MapFilter.isActive(broMap.filter)
+            ? `${counts.shown} van ${counts.total} sonderingen voldoen aan het filter`
+            : `${counts.total} sonderingen geladen`;
+    }
+
+    function renderMapLegend() {
+        mapLegend.innerHTML = MapFilter.legend(mapTheme.value)
+            .map(item => `<span><i style="width:${item.size}px;height:${item.size}px;background:${item.color}"></i>${item.label}</span>`)
+            .join('');
+    }
+
+    broMap.onCptsChange = renderMapFilterOptions;
+    renderMapFilterOptions();
+    renderMapLegend();
+    Object.values(mapFilterInputs).forEach(input => input.addEventListener('change', applyMapFilter));
+
+    document.getElementById('btn-map-filter-clear').addEventListener('click', () => {
+        Object.values(mapFilterInputs).forEach(input => { input.value = ''; });
+        applyMapFilter();
+    });
+
+    mapTheme.addEventListener('change', () => {
+        broMap.setTheme(mapTheme.value);
+        renderMapLegend();
+    });
+
+    // ---- Data source ----
+
+    const dataSourceSelect = document.getElementById('data-source');
+    const dataSourceUrl = document.getElementById('data-source-url');
+    const dataSourceCache = document.getElementById('data-source-cache');
+    const dataFolderInput = document.getElementById('data-folder-input');
+
+    dataSourceSelect.innerHTML = Object.entries(DATA_SOURCE_TYPES)
+        .map(([type, label]) => `<option value="${type}">${label}</option>`).join('');
+
+    function renderDataSource() {
+        dataSourceSelect.value = dataSettings.type;
+        dataSourceUrl.value = dataSettings.baseUrl;
+        dataSourceUrl.disabled = dataSettings.type !== 'custom';
+        dataSourceCache.checked = dataSettings.cache;
+        dataSourceCache.disabled = dataSettings.type === 'local';
+    }
+
+    function applyDataSource() {
+        dataSettings = {
+            type: dataSourceSelect.value,
+            baseUrl: dataSourceUrl.value.trim(),
+            cache: dataSourceCache.checked,
+            autoLoad: dataSettings.autoLoad,
+        };
+        DataSources.saveSettings(dataSettings);
+        renderDataSource();
+        // A custom server without URL waits for the URL
+        if (dataSettings.type === 'custom' && !dataSettings.baseUrl) {
+            mapStatus.textContent = 'Vul de basis-URL van de eigen server in';
+            return;
+        }
+        try {
+            dataSource = DataSources.create(dataSettings, localStore);
+        } catch (err) {
+            mapStatus.textContent = err.message;
+            return;
+        }
+        broMap.setSource(dataSource);
+        broMap.clearMarkers();
+        mapStatus.textContent = `Bron: ${dataSource.label}`;
+        if (dataSettings.type === 'local') {
+            localStore.counts()
+                .then(c => { mapStatus.textContent = `Bron: ${dataSource.label} — ${c.cpts} sonderingen, ${c.features} locaties`; })
+                .catch(err => { mapStatus.textContent = err.message; });
+        }
+    }
+
+    renderDataSource();
+    dataSourceSelect.addEventListener('change', applyDataSource);
+    dataSourceUrl.addEventListener('change', applyDataSource);
+    dataSourceCache.addEventListener('change', applyDataSource);
+
+    // Import a folder of BRO-XML CPTs and GeoJSON footprints into the offline store
+    document.getElementById('btn-data-import').addEventListener('click', () => dataFolderInput.click());
+    dataFolderInput.addEventListener('change', async () => {
+        const files = [...dataFolderInput.files];
+        dataFolderInput.value = '';
+        let cpts = 0, features = 0, failed = 0;
+        for (const file of files) {
+            const ext = file.name.split('.').pop().toLowerCase();
+            if (!['xml', 'geojson', 'json'].includes(ext)) continue;
+            mapStatus.textContent = `Importeren ${file.name}...`;
+            try {
+                const { text } = CptFormats.decode(await readFile(file), file.name);
+                if (ext === 'xml') {
+                    const ds = broParser.parse(text);
+                    if (!ds.header.testId) throw new Error('Geen BRO-ID');
+                    const footprint = DataSources.footprint(ds);
+                    await localStore.putCpt(ds.header.testId, text);
+                    if (footprint) await localStore.putFeatures([footprint]);
+                    cpts++;
+                } else {
+                    const list = JSON.parse(text).features || [];
+                    await localStore.putFeatures(list);
+                    features += list.length;
+                }
+            } catch (err) {
+                console.warn(`${file.name}:`, err);
+                failed++;
+            }
+        }
+        mapStatus.textContent = `Offline opslag: ${cpts} sonderingen en ${features} locaties geïmporteerd`
+            + (failed ? `, ${failed} bestand${failed > 1 ? 'en' : ''} mislukt` : '');
+    });
+
+    /**
+     * Load a CPT from the data source by its broId (e.g. CPT000000123456).
+     * @returns {Promise<object>} The dataset; rejects when fetching or parsing fails
+     */
+    async function loadBroCpt(broId) {
+        return addBroCpt(broId, await dataSource.fetchCpt(broId));
+    }
+
+    /**
+     * Parse the BRO-XML of a CPT and add it.
+     * @returns {object} The dataset; throws when parsing fails
+     */
+    function addBroCpt(broId, xml) {
+        const result = broParser.parse(xml);
+        result.fileName = broId;
+        result.format = 'BRO-XML';
+        addDataSet(result);
+        return result;
+    }
+
+    // ============================================
+    // MAP SELECTION (batch loading of BRO CPTs)
+    // ============================================
+
+    const selectBufferInput = document.getElementById('select-buffer');
+    const batchDialog = document.getElementById('bro-batch');
+    const batchTitle = document.getElementById('batch-title');
+    const batchProgress = document.getElementById('batch-progress');
+    const batchCounts = document.getElementById('batch-counts');
+    const batchRows = document.querySelector('#batch-cpts tbody');
+    const batchStop = document.getElementById('batch-stop');
+    const batchRetry = document.getElementById('batch-retry');
+
+    const batchStatusLabels = {
+        pending: '', loading: 'Laden...', retrying: 'Opnieuw', loaded: 'Geladen', failed: 'Mislukt', skipped: 'Overgeslagen',
+    };
+
+    let selectedBroIds = [];   // BRO IDs inside the selection shape
+    let selectBuffer = MAP_SELECT_BUFFER;
+    let batchItems = [];       // { broId, status, message } of the batch in the dialog
+    let batchRunning = false;
+    let batchStopped = false;  // Stop requested; requests under way finish, no new ones start
+
+    selectBufferInput.value = selectBuffer;
+    selectBufferInput.addEventListener('change', () => {
+        const v = parseFloat(selectBufferInput.value);
+        if (!(v > 0)) {
+            selectBufferInput.value = selectBuffer;
+            return;
+        }
+        selectBuffer = v;
+    });
+
+    document.querySelectorAll('[data-select]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const type = btn.dataset.select;
+            mapStatus.textContent = type === 'rectangle'
+                ? 'Klik twee hoeken op de kaart'
+                : 'Klik punten op de kaart, dubbelklik om af te ronden';
+            broMap.startSelectDraw(type, selectBuffer, (ids, complete) => {
+                selectedBroIds = ids;
+                mapStatus.textContent = (ids.length
+                    ? `${ids.length} sondering${ids.length > 1 ? 'en' : ''} geselecteerd — 'Laad selectie' om te openen`
+                    : 'Geen sonderingen in de selectie')
+                    + (complete ? '' : ' (niet alle locaties in het gebied geladen: maximum bereikt of fout)');
+            });
+        });
+    });
+
+    document.getElementById('btn-select-clear').addEventListener('click', () => {
+        broMap.cancelDraw();
+        broMap.clearSelection();
+        selectedBroIds = [];
+        mapStatus.textContent = 'Selectie gewist';
+    });
+
+    document.getElementById('btn-select-load').addEventListener('click', () => {
+        if (batchRunning) {
+            batchDialog.classList.remove('hidden');
+            return;
+        }
+        if (!selectedBroIds.length) {
+            mapStatus.textContent = 'Geen sonderingen geselecteerd — teken eerst een selectie';
+            return;
+        }
+        loadBroBatch(selectedBroIds);
+    });
+
+    /**
+     * Load BRO CPTs, skipping those already open, with progress and the
+     * result per CPT in the batch dialog.
+     */
+    function loadBroBatch(broIds) {
+        const open = new Set(cptDataSets.filter(ds => ds && ds.format === 'BRO-XML').map(ds => ds.fileName));
+        batchItems = broIds.map(broId => open.has(broId)
+            ? { broId, status: 'skipped', message: 'al geopend' }
+            : { broId, status: 'pending', message: '' });
+        batchTitle.textContent = `BRO-sonderingen laden — ${broIds.length} geselecteerd`;
+        batchRows.innerHTML = batchItems.map(item => `<tr><td>${escapeHtml(item.broId)}</td><td></td><td></td></tr>`).join('');
+        batchItems.forEach((item, i) => renderBatchRow(i));
+        batchDialog.classList.remove('hidden');
+        return runBroBatch();
+    }
+
+    /**
+     * Load the pending CPTs of the batch, DATA_SOURCE_BATCH.concurrency at a time.
+     */
+    async function runBroBatch() {
+        batchRunning = true;
+        batchStopped = false;
+        batchStop.textContent = 'Stoppen';
+        batchRetry.classList.add('hidden');
+        updateBatchProgress();
+
+        let next = 0;
+        const worker = async () => {
+            while (!batchStopped && next < batchItems.length) {
+                const i = next++;
+                if (batchItems[i].status === 'pending') await loadBatchItem(i);
+            }
+        };
+        await Promise.all(Array.from({ length: DATA_SOURCE_BATCH.concurrency }, worker));
+
+        batchRunning = false;
+        batchStop.textContent = 'Sluiten';
+        batchRetry.classList.toggle('hidden', !batchItems.some(item => item.status === 'failed' || item.status === 'pending'));
+
+        const failed = batchItems.filter(item => item.status === 'failed').map(item => item.broId);
+        statusInfo.textContent = batchSummary()
+            + (failed.length ? ` — mislukt: ${failed.slice(0, 5).join(', ')}${failed.length > 5 ? ', ...' : ''}` : '')
+            + (batchStopped ? ' (gestopt)' : '');
+    }
+
+    /**
+     * Load one CPT; a failed request that may succeed is repeated
+     * DATA_SOURCE_BATCH.retries times. Parsing and adding are not repeated.
+     */
+    async function loadBatchItem(i) {
+        const broId = batchItems[i].broId;
+        let xml = null;
+        for (let attempt = 0; xml === null; attempt++) {
+            setBatchStatus(i, attempt ? 'retrying' : 'loading',
+                attempt ? `poging ${attempt + 1} van ${DATA_SOURCE_BATCH.retries + 1}` : '');
+            try {
+                xml = await dataSource.fetchCpt(broId);
+            } catch (err) {
+                if (attempt < DATA_SOURCE_BATCH.retries && DataSources.isRetryable(err) && !batchStopped) {
+                    await new Promise(resolve => setTimeout(resolve, DATA_SOURCE_BATCH.retryDelay * (attempt + 1)));
+                    continue;
+                }
+                console.warn(`${broId}:`, err);
+                setBatchStatus(i, 'failed', err.message);
+                return;
+            }
+        }
+        try {
+            const ds = addBroCpt(broId, xml);
+            setBatchStatus(i, 'loaded', ['BRO-XML', ...diagnosticNotes([ds])].join(', '));
+        } catch (err) {
+            console.warn(`${broId}:`, err);
+            setBatchStatus(i, 'failed', err.message);
+        }
+    }
+
+    function setBatchStatus(i, status, message) {
+        batchItems[i] = { ...batchItems[i], status, message };
+        renderBatchRow(i);
+        updateBatchProgress();
+    }
+
+    function renderBatchRow(i) {
+        const item = batchItems[i];
+        const row = batchRows.rows[i];
+        row.className = `result-${item.status}`;
+        row.cells[1].textContent = batchStatusLabels[item.status];
+        row.cells[2].textContent = item.message;
+    }
+
+    function batchSummary() {
+        const count = status => batchItems.filter(item => item.status === status).length;
+        return `${count('loaded')} geladen, ${count('failed')} mislukt, ${count('skipped')} overgeslagen`;
+    }
+
+    function updateBatchProgress() {
+        const done = batchItems.filter(item => ['loaded', 'failed', 'skipped'].includes(item.status)).length;
+        batchProgress.max = Math.max(batchItems.length, 1);
+        batchProgress.value = done;
+        batchCounts.textContent = `${done} / ${batchItems.length} — ${batchSummary()}`;
+    }
+
+    // Closing the dialog also stops a running batch
+    function closeBatchDialog() {
+        batchStopped = true;
+        batchDialog.classList.add('hidden');
+    }
+
+    batchStop.addEventListener('click', () => {
+        if (batchRunning) batchStopped = true;
+        else closeBatchDialog();
+    });
+    document.getElementById('batch-close').addEventListener('click', closeBatchDialog);
+
+    // Failed CPTs, and those not started before a stop, are loaded again
+    batchRetry.addEventListener('click', () => {
+        batchItems.forEach((item, i) => {
+            if (item.status === 'failed') setBatchStatus(i, 'pending', '');
+        });
+        batchDialog.classList.remove('hidden');
+        runBroBatch();
+    });
+
+    // ============================================
+    // CROSS-SECTION (line drawn on the map)
+    // ============================================
+
+    const sectionView = document.getElementById('section-view');
+    const sectionOffsetInput = document.getElementById('section-offset');
+    const sectionMethodSelect = document.getElementById('section-method');
+    const sectionTitle = document.getElementById('section-title');
+    const sectionChart = new CrossSectionChart(document.getElementById('section-chart'));
+    new ResizeObserver(() => sectionChart.resize()).observe(document.getElementById('section-canvas-wrap'));
+
+    let sectionLine = null;   // [{ lat, lon }] of the drawn profile line
+    const sectionOptions = { ...CROSS_SECTION_DEFAULTS };
+
+    sectionOffsetInput.value = sectionOptions.maxOffset;
+    sectionOffsetInput.addEventListener('change', () => {
+        const v = parseFloat(sectionOffsetInput.value);
+        if (!(v > 0)) {
+            sectionOffsetInput.value = sectionOptions.maxOffset;
+            return;
+        }
+        sectionOptions.maxOffset = v;
+        renderSection();
+    });
+
+    // One method for all CPTs: layers are connected by zone number
+    sectionMethodSelect.innerHTML = '<option value="">Als actieve sondering</option>'
+        + SoilClassifiers.list().map(m => `<option value="${m.id}">${m.name}</option>`).join('');
+    sectionMethodSelect.addEventListener('change', () => {
+        sectionOptions.method = sectionMethodSelect.value || null;
+        renderSection();
+    });
+
+    document.getElementById('btn-section-draw').addEventListener('click', () => {
+        mapStatus.textContent = 'Klik punten op de kaart, dubbelklik om af te ronden';
+        broMap.startSectionDraw(points => {
+            sectionLine = points;
+            renderSection();
+        });
+    });
+
+    function closeSection() {
+        broMap.cancelDraw();
+        broMap.clearSection();
+        sectionLine = null;
+        sectionChart.setData(null);
+        sectionView.classList.add('hidden');
+    }
+
+    document.getElementById('btn-section-clear').addEventListener('click', () => {
+        closeSection();
+        mapStatus.textContent = 'Profiellijn gewist';
+    });
+    document.getElementById('btn-section-close').addEventListener('click', closeSection);
+
+    /**
+     * (Re)build the cross-section from the loaded CPTs along the drawn line.
+     */
+    function renderSection() {
+        if (!sectionLine) return;
+
+        const active = cptDataSets[activeIndex];
+        const method = SoilClassifiers.get(sectionOptions.method || (active ? active.classMethod : defaultMethod));
+        const items = cptDataSets.filter(ds => ds).map(ds => ({
+            name: ds.header.name || ds.fileName,
+            ...broMap.cptLocation(ds),
+            surfaceLevel: surfaceLevelOf(ds),
+            data: ds.data,
+            depths: ds.data.map(row => Robertson._rowDepth(row)),
+            layers: method.mergeLayers(getClassification(ds, method.id), sectionOptions.minLayerThickness),
+        }));
+        sectionTitle.textContent = `Dwarsprofiel — ${method.name}`;
+
+        const section = CrossSection.build(sectionLine, items, sectionOptions);
+        sectionView.classList.remove('hidden');
+        sectionChart.setData(section);
+
+        const n = section.cpts.length;
+        let msg = `Dwarsprofiel ${section.length.toFixed(0)} m: ${n} sondering${n === 1 ? '' : 'en'}`;
+        if (section.excluded.length) {
+            msg += `, niet opgenomen: ${section.excluded.map(e => `${e.name} (${e.reason})`).join(', ')}`;
         }
+        mapStatus.textContent = msg;
     }
 
     // ============================================
@@ -477,7 +2278,9 @@
         if (!ds) return;
         const depths = ds.data.map(r => r.length || r.depth || 0).filter(v => v !== null && v !== 0);
         const maxDepth = depths.length > 0 ? Math.max(...depths.map(Math.abs)) : 0;
-        statusInfo.textContent = `${ds.header.name || ds.fileName} | ${count} sondering${count > 1 ? 'en' : ''} | ${maxDepth.toFixed(1)} m`;
+        const errors = CptValidation.summary(ds.diagnostics).error;
+        statusInfo.textContent = `${ds.header.name || ds.fileName} | ${count} sondering${count > 1 ? 'en' : ''} | ${maxDepth.toFixed(1)} m`
+            + (errors ? ` | ${errors} validatiefout${errors > 1 ? 'en' : ''}` : '');
     }
 
     // Initial status
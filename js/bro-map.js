@@ -1,32 +1,80 @@
 /**
- * BRO Map — Leaflet map with BRO CPT locations from PDOK WFS
+ * BRO Map — Leaflet map with BRO CPT locations from a data source
+ *
+ * The data source (see DataSources) provides the CPT locations and the
+ * tiles: by default PDOK WFS and CARTO, else a mirror or the offline store.
+ * Loaded locations are kept by BRO ID together with the areas they were
+ * loaded for, so panning back needs no new request; they are drawn as
+ * clusters with a count (MarkerClusters) until zoomed in. With autoLoad
+ * the area in view is loaded when the map stops moving. Only locations
+ * matching the attribute filter are drawn, colored and sized by the theme
+ * (MapFilter).
+ *
+ * Also used to draw the profile line of a cross-section and selection
+ * shapes (MapSelection): click to add points, double-click to finish.
  */
 
+// Grid cell size (degrees) of the loaded areas
+const MAP_CELL_SIZE = 0.05;
+
+// Automatic loading after a map move: from this zoom level on, after the
+// map stood still this long (ms)
+const MAP_AUTOLOAD_MIN_ZOOM = 12;
+const MAP_AUTOLOAD_DELAY = 600;
+
+// Marker clusters: cell size in pixels, no clusters from this zoom level on
+const MAP_CLUSTER_SIZE = 60;
+const MAP_CLUSTER_MAX_ZOOM = 16;
+
 class BroMap {
-    constructor(containerId) {
+    /**
+     * @param {string} containerId
+     * @param {object} source - Data source (see DataSources)
+     */
+    constructor(containerId, source) {
         this.markers = L.layerGroup();
         this.loadedMarkers = L.layerGroup();
         this.onCptSelect = null;
+        this.onStatus = null;          // Status messages of automatic loads
         this._loading = false;
+        this._pending = false;         // Load again when the current load is done
+        this._generation = 0;          // Raised by setSource / clearMarkers: drops loads under way
 
-        // Dark tile layer (CartoDB Dark Matter)
-        const darkTiles = L.tileLayer(
-            'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
-                attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OSM</a> &copy; <a href="https://carto.com/">CARTO</a>',
-                subdomains: 'abcd',
-                maxZoom: 19,
-            }
-        );
+        // Loaded CPT locations by BRO ID, and the grid cells they were loaded for
+        this.cpts = new Map();
+        this._loadedCells = new Set();
+        this.autoLoad = false;
+        this._autoTimer = null;
+        this.onCptsChange = null;      // Called when locations are loaded or cleared
+
+        // Attribute filter and theme of the markers, icons by style
+        this.filter = { ...MAP_FILTER_EMPTY };
+        this.theme = 'none';
+        this._themeIcons = new Map();
+
+        // Cross-section line
+        this.sectionLayer = L.layerGroup();
+        this.sectionPoints = [];
+        this._drawing = null;
+
+        // Selection shape and the BRO IDs inside it
+        this.selectionLayer = L.layerGroup();
+        this._selectShape = null;
+        this.selected = new Set();
 
         this.map = L.map(containerId, {
             center: [52.1, 5.1],
             zoom: 8,
-            layers: [darkTiles],
             zoomControl: true,
         });
+        this.tileLayer = null;
+        this.setSource(source);
 
         this.markers.addTo(this.map);
         this.loadedMarkers.addTo(this.map);
+        this.sectionLayer.addTo(this.map);
+        this.selectionLayer.addTo(this.map);
+        this.map.on('moveend', () => this._onMove());
 
         // CPT marker icon
         this._cptIcon = L.divIcon({
@@ -36,6 +84,13 @@ class BroMap {
             iconAnchor: [4, 4],
         });
 
+        this._selectedIcon = L.divIcon({
+            className: '',
+            html: '<div style="width:10px;height:10px;border-radius:50%;background:#a855f7;border:2px solid #f5f3ff;"></div>',
+            iconSize: [10, 10],
+            iconAnchor: [5, 5],
+        });
+
         this._loadedIcon = L.divIcon({
             className: '',
             html: '<div style="width:10px;height:10px;border-radius:50%;background:#22c55e;border:2px solid #0d1117;"></div>',
@@ -44,158 +99,430 @@ class BroMap {
         });
     }
 
+    /**
+     * Use another data source; replaces the tile layer.
+     */
+    setSource(source) {
+        this.source = source;
+        this._generation++;
+        if (this.tileLayer) this.map.removeLayer(this.tileLayer);
+        this.tileLayer = source.tiles ? L.tileLayer(source.tiles.url, source.tiles.options) : null;
+        if (this.tileLayer) this.tileLayer.addTo(this.map);
+    }
+
     invalidateSize() {
         setTimeout(() => this.map.invalidateSize(), 100);
     }
 
     /**
-     * Load CPT locations from BRO PDOK WFS for the current map bounds.
+     * Load the CPT locations of the current map bounds from the data source.
+     * Only grid cells not loaded before are requested, as one bounding box;
+     * locations are kept by BRO ID, so repeated loads add no duplicates.
+     * @param {Function} [statusCallback] - Called with status messages
+     * @param {boolean} [auto] - Automatic load after a map move: only from
+     *   MAP_AUTOLOAD_MIN_ZOOM on
      */
-    async loadArea(statusCallback) {
-        if (this._loading) return;
-        this._loading = true;
+    async loadArea(statusCallback, auto = false) {
+        const status = statusCallback || (() => {});
+        if (this._loading) {
+            this._pending = true;
+            return;
+        }
+        if (auto && this.map.getZoom() < MAP_AUTOLOAD_MIN_ZOOM) {
+            status('Zoom in om sonderingen automatisch te laden');
+            return;
+        }
 
         const bounds = this.map.getBounds();
-        const sw = bounds.getSouthWest();
-        const ne = bounds.getNorthEast();
+        const cells = this._cellsIn(bounds.getSouthWest(), bounds.getNorthEast()).filter(c => !this._loadedCells.has(c.key));
+        if (!cells.length) {
+            status(`${this.cpts.size} sonderingen geladen (gebied al geladen)`);
+            return;
+        }
 
-        if (statusCallback) statusCallback('Laden van BRO data...');
+        this._loading = true;
+        await this._loadCells(cells, status);
+        this._loading = false;
+        if (this._pending) {
+            this._pending = false;
+            this.loadArea(statusCallback, true);
+        }
+    }
 
+    /**
+     * Load the CPT locations of grid cells from the data source, as one
+     * bounding box. The result of a load is dropped when the source changed
+     * or the locations were cleared meanwhile.
+     * @returns {Promise<boolean>} Whether the locations were added
+     */
+    async _loadCells(cells, status) {
+        const source = this.source;
+        const generation = this._generation;
+        const label = source.label;
+        status(`Laden van ${label}...`);
         try {
-            // Try PDOK BRO CPT WFS
-            const bbox = `${sw.lat},${sw.lng},${ne.lat},${ne.lng},urn:ogc:def:crs:EPSG::4326`;
-            const url = `https://service.pdok.nl/bzk/brocpt/wfs/v1_0?` +
-                `service=WFS&version=2.0.0&request=GetFeature` +
-                `&outputFormat=application/json&count=1000` +
-                `&bbox=${bbox}`;
+            const edge = index => Math.round(index * MAP_CELL_SIZE * 1e6) / 1e6;
+            const box = {
+                south: edge(Math.min(...cells.map(c => c.i))),
+                west: edge(Math.min(...cells.map(c => c.j))),
+                north: edge(Math.max(...cells.map(c => c.i)) + 1),
+                east: edge(Math.max(...cells.map(c => c.j)) + 1),
+            };
+            const result = await source.findCpts(box, count => {
+                if (generation === this._generation) status(`Laden van ${label}... ${count} sonderingen`);
+            });
+            if (generation !== this._generation) return false;
+            this._addFeatures(result, cells, status);
+            return true;
+        } catch (err) {
+            console.warn(`${label} fout:`, err);
+            if (generation === this._generation) status(`Fout: ${err.message}. Probeer opnieuw of zoom meer in.`);
+            return false;
+        }
+    }
 
-            const resp = await fetch(url);
-            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    /** Add the features of a findCpts result for cells; cells of a complete result count as loaded. */
+    _addFeatures(result, cells, status) {
+        let added = 0;
+        for (const feature of result.features) {
+            const coords = feature.geometry && feature.geometry.coordinates;
+            const broId = DataSources.broId(feature);
+            if (!coords || !broId || this.cpts.has(broId)) continue;
+            // GeoJSON coordinates are [lon, lat]
+            const props = feature.properties || {};
+            this.cpts.set(broId, { broId, lat: coords[1], lon: coords[0], props, attrs: MapFilter.attributes(props) });
+            added++;
+        }
+        // An incomplete result is requested again next time
+        if (result.complete) cells.forEach(c => this._loadedCells.add(c.key));
+        this._render();
+        if (added && this.onCptsChange) this.onCptsChange();
 
-            const data = await resp.json();
+        if (!this.cpts.size) status('Geen sonderingen gevonden in dit gebied');
+        else status(result.complete
+            ? `${added} nieuwe sonderingen, ${this.cpts.size} geladen`
+            : `${added} nieuwe sonderingen, ${this.cpts.size} geladen — maximum bereikt, zoom in voor de rest`);
+    }
 
-            if (!data.features || data.features.length === 0) {
-                if (statusCallback) statusCallback('Geen sonderingen gevonden in dit gebied');
-                this._loading = false;
-                return;
+    /** Grid cells { key, i, j } covering the bounds; cell i, j starts at i, j × MAP_CELL_SIZE. */
+    _cellsIn(sw, ne) {
+        const cells = [];
+        const i0 = Math.floor(sw.lat / MAP_CELL_SIZE), i1 = Math.floor(ne.lat / MAP_CELL_SIZE);
+        const j0 = Math.floor(sw.lng / MAP_CELL_SIZE), j1 = Math.floor(ne.lng / MAP_CELL_SIZE);
+        for (let i = i0; i <= i1; i++) {
+            for (let j = j0; j <= j1; j++) {
+                cells.push({ key: `${i},${j}`, i, j });
             }
+        }
+        return cells;
+    }
+
+    // ---- Markers ----
+
+    /** Markers of the loaded CPT locations in view, clustered below MAP_CLUSTER_MAX_ZOOM. */
+    _render() {
+        this.markers.clearLayers();
+        const zoom = this.map.getZoom();
+        const bounds = this.map.getBounds();
+        const sw = bounds.getSouthWest(), ne = bounds.getNorthEast();
+        const padLat = (ne.lat - sw.lat) / 2, padLon = (ne.lng - sw.lng) / 2;
+        const visible = [...this.cpts.values()].filter(p =>
+            p.lat >= sw.lat - padLat && p.lat <= ne.lat + padLat && p.lon >= sw.lng - padLon && p.lon <= ne.lng + padLon
+            && MapFilter.matches(p.attrs, this.filter));
 
-            this.markers.clearLayers();
-
-            for (const feature of data.features) {
-                const coords = feature.geometry?.coordinates;
-                if (!coords) continue;
-
-                // GeoJSON coordinates are [lon, lat]
-                const lat = coords[1];
-                const lon = coords[0];
-                const props = feature.properties || {};
-                const broId = props.bro_id || props.broId || props.BRO_ID || feature.id || 'Onbekend';
-
-                const marker = L.marker([lat, lon], { icon: this._cptIcon });
-                marker.bindPopup(this._createPopup(broId, props));
-                marker.on('popupopen', () => {
-                    const btn = document.querySelector(`.btn-load-cpt[data-bro-id="${broId}"]`);
-                    if (btn) {
-                        btn.addEventListener('click', () => {
-                            if (this.onCptSelect) this.onCptSelect(broId);
-                        });
-                    }
+        const clusters = zoom >= MAP_CLUSTER_MAX_ZOOM
+            ? visible.map(p => ({ lat: p.lat, lon: p.lon, points: [p] }))
+            : MarkerClusters.build(visible, p => this.map.project([p.lat, p.lon], zoom), MAP_CLUSTER_SIZE);
+        for (const c of clusters) {
+            this.markers.addLayer(c.points.length === 1 ? this._cptMarker(c.points[0]) : this._clusterMarker(c));
+        }
+    }
+
+    _cptMarker(cpt) {
+        const icon = this.selected.has(cpt.broId) ? this._selectedIcon : this._themeIcon(MapFilter.style(cpt.attrs, this.theme));
+        const marker = L.marker([cpt.lat, cpt.lon], { icon });
+        marker.bindPopup(this._createPopup(cpt.broId, cpt.props));
+        marker.on('popupopen', e => {
+            const btn = e.popup.getElement().querySelector('.btn-load-cpt');
+            if (btn) {
+                btn.addEventListener('click', () => {
+                    if (this.onCptSelect) this.onCptSelect(cpt.broId);
                 });
-                this.markers.addLayer(marker);
             }
+        });
+        return marker;
+    }
 
-            if (statusCallback) statusCallback(`${data.features.length} sonderingen geladen`);
-        } catch (err) {
-            console.warn('PDOK WFS fout:', err);
-            if (statusCallback) statusCallback(`Fout: ${err.message}. Probeer opnieuw of zoom meer in.`);
+    /** Marker icon of a theme style, the default icon without style. */
+    _themeIcon(style) {
+        if (!style) return this._cptIcon;
+        const key = `${style.color}/${style.size}`;
+        if (!this._themeIcons.has(key)) {
+            this._themeIcons.set(key, L.divIcon({
+                className: '',
+                html: `<div style="width:${style.size}px;height:${style.size}px;border-radius:50%;background:${style.color};border:1px solid #0d1117;"></div>`,
+                iconSize: [style.size, style.size],
+                iconAnchor: [style.size / 2, style.size / 2],
+            }));
         }
+        return this._themeIcons.get(key);
+    }
 
-        this._loading = false;
+    /** Cluster marker with its count; a click zooms in on the cluster. */
+    _clusterMarker(cluster) {
+        const count = cluster.points.length;
+        const size = Math.round(22 + 6 * Math.log10(count));
+        const icon = L.divIcon({
+            className: '',
+            html: `<div style="width:${size}px;height:${size}px;line-height:${size}px;border-radius:50%;`
+                + 'background:rgba(59,130,246,0.75);border:2px solid #0d1117;color:#fff;'
+                + `font:600 10px var(--font-mono);text-align:center;">${count}</div>`,
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2],
+        });
+        const marker = L.marker([cluster.lat, cluster.lon], { icon, title: `${count} sonderingen` });
+        marker.on('click', () => {
+            if (cluster.north - cluster.south > 1e-6 || cluster.east - cluster.west > 1e-6) {
+                this.map.fitBounds([[cluster.south, cluster.west], [cluster.north, cluster.east]], { maxZoom: MAP_CLUSTER_MAX_ZOOM });
+            } else {
+                this.map.setView([cluster.lat, cluster.lon], MAP_CLUSTER_MAX_ZOOM);
+            }
+        });
+        return marker;
+    }
+
+    /** Redraw the markers after a move; load the new area after MAP_AUTOLOAD_DELAY without moves. */
+    _onMove() {
+        this._render();
+        if (!this.autoLoad) return;
+        clearTimeout(this._autoTimer);
+        this._autoTimer = setTimeout(() => this.loadArea(this.onStatus, true), MAP_AUTOLOAD_DELAY);
     }
 
+    /** Popup of a CPT location; the properties come from the data source and are escaped. */
     _createPopup(broId, props) {
-        const depth = props.final_depth || props.finalDepth || '';
-        const date = props.research_report_date || props.researchReportDate || '';
+        const a = MapFilter.attributes(props);
+        const esc = BroMap._escapeHtml;
         return `<div class="cpt-marker-popup">
-            <b>${broId}</b><br>
-            ${depth ? `Diepte: ${depth} m<br>` : ''}
-            ${date ? `Datum: ${date}<br>` : ''}
-            <button class="btn-load-cpt" data-bro-id="${broId}">Open sondering</button>
+            <b>${esc(broId)}</b><br>
+            ${a.depth !== null ? `Diepte: ${a.depth} m<br>` : ''}
+            ${a.date ? `Datum: ${esc(a.date)}<br>` : ''}
+            ${a.qualityClass !== null ? `Klasse: ${a.qualityClass}<br>` : ''}
+            ${a.standard ? `Norm: ${esc(a.standard)}<br>` : ''}
+            ${a.party ? `Partij: ${esc(a.party)}<br>` : ''}
+            <button class="btn-load-cpt" data-bro-id="${esc(broId)}">Open sondering</button>
         </div>`;
     }
 
+    static _escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * WGS84 location of a loaded CPT dataset (see Coordinates.location).
+     * @returns {object|null} { lat, lon }
+     */
+    cptLocation(ds) {
+        const loc = Coordinates.location(ds.header);
+        return loc ? { lat: loc.lat, lon: loc.lon } : null;
+    }
+
     /**
      * Add a marker for a loaded CPT dataset (green marker).
      */
     addLoadedCpt(ds) {
-        const meta = ds.header;
-        let lat, lon;
-
-        if (meta.lat && meta.lon) {
-            lat = parseFloat(meta.lat);
-            lon = parseFloat(meta.lon);
-        } else if (meta.x && meta.y) {
-            // Convert RD (EPSG:28992) to WGS84 approximately
-            const rd = this._rdToWgs84(parseFloat(meta.x), parseFloat(meta.y));
-            lat = rd.lat;
-            lon = rd.lon;
-        }
-
-        if (!lat || !lon || isNaN(lat) || isNaN(lon)) return;
+        const loc = this.cptLocation(ds);
+        if (!loc) return;
 
-        const name = meta.name || meta.testId || ds.fileName;
-        const marker = L.marker([lat, lon], { icon: this._loadedIcon });
-        marker.bindPopup(`<div class="cpt-marker-popup"><b>${name}</b><br>Geladen sondering</div>`);
+        const name = ds.header.name || ds.header.testId || ds.fileName;
+        const marker = L.marker([loc.lat, loc.lon], { icon: this._loadedIcon });
+        marker.bindPopup(`<div class="cpt-marker-popup"><b>${BroMap._escapeHtml(name)}</b><br>Geladen sondering</div>`);
         this.loadedMarkers.addLayer(marker);
     }
 
+    /** Remove the CPT locations, including those cached for the loaded areas. */
     clearMarkers() {
         this.markers.clearLayers();
+        this.cpts.clear();
+        this._loadedCells.clear();
+        this.selected.clear();
+        this._generation++;
+        if (this.onCptsChange) this.onCptsChange();
     }
 
+    // ---- Filter and theme ----
+
     /**
-     * Approximate RD New (EPSG:28992) to WGS84 conversion.
-     * Uses simplified polynomial transformation — accuracy ~1m.
+     * Draw only the CPT locations matching a filter.
+     * @param {object} filter - See MapFilter; MAP_FILTER_EMPTY for all
      */
-    _rdToWgs84(x, y) {
-        const x0 = 155000;
-        const y0 = 463000;
-        const phi0 = 52.15517440;
-        const lam0 = 5.38720621;
-
-        const dx = (x - x0) * 1e-5;
-        const dy = (y - y0) * 1e-5;
-
-        const lat = phi0 + (
-            3235.65389 * dy
-            - 32.58297 * dx * dx
-            - 0.2475 * dy * dy
-            - 0.84978 * dx * dx * dy
-            - 0.0655 * dy * dy * dy
-            - 0.01709 * dx * dx * dy * dy
-            - 0.00738 * dx
-            + 0.0053 * dx * dx * dx * dx
-            - 0.00039 * dx * dx * dy * dy * dy
-            + 0.00033 * dx * dx * dx * dx * dy
-            - 0.00012 * dx * dy
-        ) / 3600;
-
-        const lon = lam0 + (
-            5260.52916 * dx
-            + 105.94684 * dx * dy
-            + 2.45656 * dx * dy * dy
-            - 0.81885 * dx * dx * dx
-            + 0.05594 * dx * dy * dy * dy
-            - 0.05607 * dx * dx * dx * dy
-            + 0.01199 * dy
-            - 0.00256 * dx * dx * dx * dy * dy
-            + 0.00128 * dx * dy * dy * dy * dy
-            + 0.00022 * dy * dy
-            - 0.00022 * dx * dx
-            + 0.00026 * dx * dx * dx * dx * dx
-        ) / 3600;
-
-        return { lat, lon };
+    setFilter(filter) {
+        this.filter = { ...MAP_FILTER_EMPTY, ...filter };
+        this._render();
+    }
+
+    /** Color and size the markers by a theme of MAP_THEMES. */
+    setTheme(theme) {
+        this.theme = MAP_THEMES[theme] ? theme : 'none';
+        this._render();
+    }
+
+    /** Number of loaded CPT locations, and of those matching the filter: { shown, total } */
+    filterCounts() {
+        const all = [...this.cpts.values()];
+        return { shown: all.filter(p => MapFilter.matches(p.attrs, this.filter)).length, total: all.length };
+    }
+
+    /** Sorted distinct values of an attribute (see MapFilter.attributes) of the loaded locations. */
+    attributeValues(key) {
+        const values = new Set();
+        for (const p of this.cpts.values()) {
+            if (p.attrs[key] !== null) values.add(p.attrs[key]);
+        }
+        return [...values].sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+    }
+
+    // ---- Cross-section line ----
+
+    /**
+     * Start drawing a profile line. Click adds a point, double-click finishes.
+     * @param {Function} onDone - Called with the points [{ lat, lon }] when finished
+     */
+    startSectionDraw(onDone) {
+        this.clearSection();
+        const line = L.polyline([], { color: '#f59e0b', weight: 2, dashArray: '6 4' }).addTo(this.sectionLayer);
+        this._startDraw(points => line.setLatLngs(points.map(p => [p.lat, p.lon])), points => {
+            if (points.length < 2) {
+                this.clearSection();
+                return;
+            }
+            this._showSection(points);
+            if (onDone) onDone(points);
+        });
+    }
+
+    clearSection() {
+        this.sectionLayer.clearLayers();
+        this.sectionPoints = [];
+    }
+
+    _showSection(points) {
+        this.sectionLayer.clearLayers();
+        this.sectionPoints = points;
+        L.polyline(points.map(p => [p.lat, p.lon]), { color: '#f59e0b', weight: 3 }).addTo(this.sectionLayer);
+        // Start of the line = chainage 0
+        L.circleMarker([points[0].lat, points[0].lon], {
+            radius: 5, color: '#f59e0b', fillColor: '#0d1117', fillOpacity: 1, weight: 2,
+        }).bindTooltip('0 m').addTo(this.sectionLayer);
+    }
+
+    // ---- Selection ----
+
+    /**
+     * Start drawing a selection shape; selects the CPT locations inside it
+     * that match the filter, after loading those of its bounding box not
+     * loaded yet. A rectangle is finished by the second corner, a polygon or
+     * line by a double-click.
+     * @param {string} type - One of MAP_SELECT_TYPES
+     * @param {number} buffer - m around a line
+     * @param {Function} onDone - Called with the selected BRO IDs, and whether
+     *   all locations of the bounding box are loaded (false: maximum reached
+     *   or failed)
+     */
+    startSelectDraw(type, buffer, onDone) {
+        this.clearSelection();
+        const style = { color: '#a855f7', weight: 2, dashArray: '6 4', fillOpacity: 0.05 };
+        const outline = (type === 'line' ? L.polyline([], style) : L.polygon([], style)).addTo(this.selectionLayer);
+        const finish = points => {
+            if (points.length < MAP_SELECT_TYPES[type].minPoints) {
+                this.clearSelection();
+                return;
+            }
+            this._select({ type, points, buffer }).then(complete => {
+                if (complete !== null && onDone) onDone([...this.selected], complete);
+            });
+        };
+        this._startDraw(points => {
+            outline.setLatLngs(MapSelection.outline({ type, points }).map(p => [p.lat, p.lon]));
+            if (type === 'rectangle' && points.length === 2) {
+                this.cancelDraw();
+                finish(points);
+            }
+        }, finish);
+    }
+
+    clearSelection() {
+        this.selectionLayer.clearLayers();
+        this._selectShape = null;
+        this.selected.clear();
+        this._render();
+    }
+
+    /**
+     * Select the locations inside a shape; those of its bounding box not
+     * loaded yet are loaded first.
+     * @returns {Promise<boolean|null>} Whether all locations of the bounding
+     *   box are loaded; null when the selection was cleared or replaced meanwhile
+     */
+    async _select(shape) {
+        this._selectShape = shape;
+        const box = MapSelection.bounds(shape);
+        const cells = this._cellsIn({ lat: box.south, lng: box.west }, { lat: box.north, lng: box.east })
+            .filter(c => !this._loadedCells.has(c.key));
+        if (cells.length) await this._loadCells(cells, this.onStatus || (() => {}));
+        if (this._selectShape !== shape) return null;
+
+        this.selectionLayer.clearLayers();
+        this.selected = new Set([...this.cpts.values()]
+            .filter(p => MapFilter.matches(p.attrs, this.filter) && MapSelection.contains(shape, p))
+            .map(p => p.broId));
+
+        const latLngs = MapSelection.outline(shape).map(p => [p.lat, p.lon]);
+        const style = { color: '#a855f7', weight: 2, fillOpacity: 0.08 };
+        const layer = shape.type === 'line' ? L.polyline(latLngs, style) : L.polygon(latLngs, style);
+        layer.bindTooltip(shape.type === 'line'
+            ? `${this.selected.size} geselecteerd (${shape.buffer} m rond de lijn)`
+            : `${this.selected.size} geselecteerd`).addTo(this.selectionLayer);
+        this._render();
+        return cells.every(c => this._loadedCells.has(c.key));
+    }
+
+    // ---- Drawing ----
+
+    /**
+     * Collect points by clicks until a double-click.
+     * @param {Function} onPoint - Called with the points after each click
+     * @param {Function} onDone - Called with the points on the double-click
+     */
+    _startDraw(onPoint, onDone) {
+        this.cancelDraw();
+        const points = [];
+        const onClick = e => {
+            // The clicks of the finishing double-click land on the same spot: add once
+            const last = points[points.length - 1];
+            if (last && this.map.latLngToContainerPoint([last.lat, last.lon]).distanceTo(e.containerPoint) < 5) return;
+            points.push({ lat: e.latlng.lat, lon: e.latlng.lng });
+            onPoint(points);
+        };
+        const onDblClick = () => {
+            this.cancelDraw();
+            onDone(points);
+        };
+
+        this.map.on('click', onClick);
+        this.map.on('dblclick', onDblClick);
+        this.map.doubleClickZoom.disable();
+        this.map.getContainer().style.cursor = 'crosshair';
+        this._drawing = { onClick, onDblClick };
+    }
+
+    /** Stop drawing a profile line or selection shape. */
+    cancelDraw() {
+        if (!this._drawing) return;
+        this.map.off('click', this._drawing.onClick);
+        this.map.off('dblclick', this._drawing.onDblClick);
+        this.map.doubleClickZoom.enable();
+        this.map.getContainer().style.cursor = '';
+        this._drawing = null;
     }
 }
@@ -39,6 +39,34 @@ const BRO_COLUMN_ORDER = [
 
 const BRO_VOID_VALUE = -999999;
 
+// Fixed 5-column order of a dissipationTest result (DissipationTestResultRecord)
+const BRO_DISSIPATION_COLUMNS = [
+    { key: 'time', label: 'Verstreken tijd',    unit: 's' },
+    { key: 'qc',   label: 'Conusweerstand',     unit: 'MPa' },
+    { key: 'u1',   label: 'Waterspanning u1',   unit: 'MPa' },
+    { key: 'u2',   label: 'Waterspanning u2',   unit: 'MPa' },
+    { key: 'u3',   label: 'Waterspanning u3',   unit: 'MPa' },
+];
+
+// Cone properties and zero load readings of conePenetrometerSurvey, by header field
+const BRO_CONE_FIELDS = {
+    coneTipArea:     'coneSurfaceArea',
+    coneAreaRatio:   'coneSurfaceQuotient',
+    sleeveDistance:  'coneToFrictionSleeveDistance',
+    sleeveArea:      'frictionSleeveSurfaceArea',
+    sleeveAreaRatio: 'frictionSleeveSurfaceQuotient',
+    zeroQcBefore:    'coneResistanceBefore',
+    zeroQcAfter:     'coneResistanceAfter',
+    zeroFsBefore:    'localFrictionBefore',
+    zeroFsAfter:     'localFrictionAfter',
+    zeroU1Before:    'porePressureU1Before',
+    zeroU1After:     'porePressureU1After',
+    zeroU2Before:    'porePressureU2Before',
+    zeroU2After:     'porePressureU2After',
+    zeroU3Before:    'porePressureU3Before',
+    zeroU3After:     'porePressureU3After',
+};
+
 class BroXmlParser {
     parse(xmlText) {
         const parser = new DOMParser();
@@ -62,12 +90,17 @@ class BroXmlParser {
         const activeColumns = this._parseParameters(cptObj);
 
         // Parse measurement data
-        const { data, columns } = this._parseData(cptObj, activeColumns);
+        const diag = new ParserDiagnostics();
+        const { data, columns, where } = this._parseData(cptObj, activeColumns, diag);
+        CptValidation.checkData(diag, data, columns, where);
+
+        // Compute depth, friction ratio and qt if not present
+        this._computeDerived(data, columns, header);
 
-        // Compute friction ratio if not present
-        this._computeDerived(data, columns);
+        // Dissipation tests (CPT_O_DP and CPT_O with dissipationTestPerformed)
+        const dissipationTests = this._parseDissipationTests(cptObj, data);
 
-        return { header, columns, data };
+        return { header, columns, data, dissipationTests, diagnostics: diag.list() };
     }
 
     _extractMetadata(doc, cptObj) {
@@ -98,7 +131,7 @@ class BroXmlParser {
             }
         }
 
-        // Location - delivered (RD)
+        // Location - delivered (RD, or ETRS89 / UTM offshore; see Coordinates)
         const delLoc = cptObj.querySelector('deliveredLocation');
         if (delLoc) {
             const pos = delLoc.querySelector('pos');
@@ -106,6 +139,9 @@ class BroXmlParser {
                 const [x, y] = pos.textContent.trim().split(/\s+/);
                 meta.x = x;
                 meta.y = y;
+                const srs = pos.parentNode.getAttribute('srsName') || '';
+                const epsg = srs.match(/EPSG:+(\d+)$/i);
+                meta.coordSystem = epsg ? epsg[1] : srs || '28992';
             }
         }
 
@@ -114,23 +150,28 @@ class BroXmlParser {
         if (vertPos) {
             const offset = this._getText(vertPos, 'offset');
             const datum = this._getText(vertPos, 'verticalDatum');
-            if (offset) {
-                meta.surfaceLevel = `${offset} m ${datum || 'NAP'}`;
+            const level = parseFloat(offset);
+            if (!isNaN(level)) {
+                meta.surfaceLevel = level;
+                meta.verticalDatum = datum || 'NAP';
             }
         }
 
         // Trajectory
         const trajectory = cptObj.querySelector('trajectory');
         if (trajectory) {
-            meta.predrilledDepth = this._getText(trajectory, 'predrilledDepth');
-            meta.finalDepth = this._getText(trajectory, 'finalDepth');
+            this._setNumber(meta, 'predrilledDepth', trajectory, 'predrilledDepth');
+            this._setNumber(meta, 'finalDepth', trajectory, 'finalDepth');
         }
 
-        // Quality class
+        // Survey: quality class, method, cone (same header fields as GEF_MEASUREMENT_VARS)
         const survey = cptObj.querySelector('conePenetrometerSurvey');
         if (survey) {
             meta.qualityClass = this._getText(survey, 'qualityClass') || '';
             meta.cptMethod = this._getText(survey, 'cptMethod') || '';
+            meta.stopCriterion = this._getText(survey, 'stopCriterion') || '';
+            meta.coneType = this._getText(survey, 'conePenetrometerType') || '';
+            for (const [key, tag] of Object.entries(BRO_CONE_FIELDS)) this._setNumber(meta, key, survey, tag);
         }
 
         // Company
@@ -152,9 +193,9 @@ class BroXmlParser {
         });
     }
 
-    _parseData(cptObj, activeColumns) {
-        // Find the cptResult values element
-        const valuesEl = cptObj.querySelector('values');
+    _parseData(cptObj, activeColumns, diag) {
+        // Find the cptResult values element (dissipation tests have their own)
+        const valuesEl = [...cptObj.querySelectorAll('values')].find(el => !el.closest('dissipationTest'));
         if (!valuesEl) {
             throw new Error('Geen meetdata (cptcommon:values) gevonden in XML');
         }
@@ -181,14 +222,18 @@ class BroXmlParser {
             }
         }
 
-        // Parse data rows
+        // Parse data rows; where holds the block number of each row
         const rawText = valuesEl.textContent.trim();
         const blocks = rawText.split(blockSep).filter(b => b.trim());
         const data = [];
+        const where = [];
 
-        for (const block of blocks) {
+        blocks.forEach((block, b) => {
             const tokens = block.trim().split(tokenSep);
-            if (tokens.length < 25) continue;
+            if (tokens.length < 25) {
+                diag.add('warning', 'short-row', `${tokens.length} van 25 waarden, blok overgeslagen`, { row: b + 1 });
+                return;
+            }
 
             const row = {};
             for (let i = 0; i < 25; i++) {
@@ -202,14 +247,55 @@ class BroXmlParser {
                 }
             }
             data.push(row);
-        }
+            where.push({ row: b + 1 });
+        });
+
+        return { data, columns, where };
+    }
 
-        return { data, columns };
+    _parseDissipationTests(cptObj, data) {
+        const tests = [];
+        for (const el of cptObj.querySelectorAll('dissipationTest')) {
+            const valuesEl = el.querySelector('values');
+            const length = parseFloat(this._getText(el, 'penetrationLength'));
+            if (!valuesEl || isNaN(length)) continue;
+
+            const encoding = el.querySelector('TextEncoding');
+            const tokenSep = (encoding && encoding.getAttribute('tokenSeparator')) || ',';
+            const blockSep = (encoding && encoding.getAttribute('blockSeparator')) || ';';
+
+            const rows = [];
+            for (const block of valuesEl.textContent.trim().split(blockSep)) {
+                const tokens = block.trim().split(tokenSep);
+                if (tokens.length < BRO_DISSIPATION_COLUMNS.length) continue;
+                const row = {};
+                BRO_DISSIPATION_COLUMNS.forEach((col, i) => {
+                    const val = parseFloat(tokens[i]);
+                    row[col.key] = isNaN(val) || val === BRO_VOID_VALUE ? null : val;
+                });
+                rows.push(row);
+            }
+            // Blocks are not necessarily in time order
+            rows.sort((a, b) => a.time - b.time);
+
+            tests.push({
+                length,
+                depth: Dissipation.depthAtLength(data, length),
+                startTime: this._getText(el, 'timePosition') || '',
+                columns: BRO_DISSIPATION_COLUMNS.filter(col => rows.some(r => r[col.key] !== null)).map(col => ({ ...col })),
+                data: rows,
+            });
+        }
+        return tests;
     }
 
-    _computeDerived(data, columns) {
+    _computeDerived(data, columns, meta) {
         const hasKey = key => columns.some(c => c.key === key);
 
+        // Depth where void (or not measured) from length and inclination
+        const correction = CptCorrections.applyDepth(data, columns);
+        if (correction) meta.depthCorrection = correction;
+
         // Compute friction ratio if missing
         if (!hasKey('rf') && hasKey('qc') && hasKey('fs')) {
             for (const row of data) {
@@ -221,6 +307,14 @@ class BroXmlParser {
             }
             columns.push({ key: 'rf', label: 'Wrijvingsgetal (berekend)', unit: '%', computed: true });
         }
+
+        // Corrected cone resistance qt from u2 and the cone area ratio
+        CptCorrections.applyQt(data, columns, meta.coneAreaRatio);
+    }
+
+    _setNumber(meta, key, parent, localName) {
+        const v = parseFloat(this._getText(parent, localName));
+        if (!isNaN(v)) meta[key] = v;
     }
 
     _getText(parent, localName) {
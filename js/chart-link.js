@@ -0,0 +1,113 @@
+/**
+ * Chart link — synchronized zoom, pan and crosshair across CPT charts
+ *
+ * Modes:
+ *   off    every chart keeps its own viewport
+ *   depth  same depth below surface in all charts
+ *   nap    same NAP level in all charts, using each chart's surfaceLevel
+ *          (charts without surface level are left alone)
+ *
+ * Charts report user view changes and crosshair depths through their
+ * onViewChange / onCrosshair callbacks; the link converts them to a common
+ * level and applies them to the other charts with setView / setCrosshairDepth.
+ */
+
+const CHART_LINK_MODES = {
+    off:   'Niet gekoppeld',
+    depth: 'Diepte (m-mv)',
+    nap:   'Niveau (m NAP)',
+};
+
+class ChartLink {
+    constructor() {
+        this.mode = 'off';
+        this.members = [];   // [{ chart }]
+    }
+
+    /**
+     * Add a chart to the link.
+     * @param {CptChart} chart
+     */
+    add(chart) {
+        const member = { chart };
+        this.members.push(member);
+        chart.onViewChange = (min, max) => this._syncView(member, min, max);
+        chart.onCrosshair = depth => this._syncCrosshair(member, depth);
+    }
+
+    remove(chart) {
+        this.members = this.members.filter(m => m.chart !== chart);
+        chart.onViewChange = null;
+        chart.onCrosshair = null;
+    }
+
+    clear() {
+        for (const m of [...this.members]) this.remove(m.chart);
+    }
+
+    /**
+     * Switch mode. The other charts follow the viewport of the source chart.
+     * @param {string} mode - Key of CHART_LINK_MODES
+     * @param {CptChart} [source] - Chart whose viewport is applied to the others
+     */
+    setMode(mode, source) {
+        if (!CHART_LINK_MODES[mode]) throw new Error(`Onbekende koppeling: ${mode}`);
+        this.mode = mode;
+        for (const m of this.members) m.chart.setCrosshairDepth(null);
+
+        const member = this.members.find(m => m.chart === source);
+        if (member) this._syncView(member, source.depthViewMin, source.depthViewMax);
+    }
+
+    /**
+     * Fit all linked charts to the combined extent of their data.
+     * Without linking every chart is fitted to its own data.
+     */
+    fit() {
+        const members = this._linked();
+        if (!members.length) {
+            this.members.forEach(m => m.chart.zoomFit());
+            return;
+        }
+
+        const levels = members.flatMap(m => [this._toLevel(m, m.chart.depthMin), this._toLevel(m, m.chart.depthMax)]);
+        const lo = Math.min(...levels), hi = Math.max(...levels);
+        // NAP levels increase upward, depths downward
+        const [top, bottom] = this.mode === 'nap' ? [hi, lo] : [lo, hi];
+        for (const m of members) m.chart.setView(this._fromLevel(m, top), this._fromLevel(m, bottom));
+    }
+
+    /** Members taking part in the current mode. */
+    _linked() {
+        if (this.mode === 'off') return [];
+        if (this.mode === 'nap') return this.members.filter(m => m.chart.surfaceLevel !== null);
+        return this.members;
+    }
+
+    _toLevel(member, depth) {
+        return this.mode === 'nap' ? member.chart.surfaceLevel - depth : depth;
+    }
+
+    _fromLevel(member, level) {
+        return this.mode === 'nap' ? member.chart.surfaceLevel - level : level;
+    }
+
+    _syncView(source, min, max) {
+        const members = this._linked();
+        if (!members.includes(source)) return;
+        const top = this._toLevel(source, min);
+        const bottom = this._toLevel(source, max);
+        for (const m of members) {
+            if (m !== source) m.chart.setView(this._fromLevel(m, top), this._fromLevel(m, bottom));
+        }
+    }
+
+    _syncCrosshair(source, depth) {
+        const members = this._linked();
+        if (!members.includes(source)) return;
+        const level = depth !== null ? this._toLevel(source, depth) : null;
+        for (const m of members) {
+            if (m !== source) m.chart.setCrosshairDepth(level !== null ? this._fromLevel(m, level) : null);
+        }
+    }
+}
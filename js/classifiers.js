@@ -0,0 +1,274 @@
+/**
+ * Soil classification registry
+ *
+ * Every method implements the same interface so the soil strip, legend,
+ * distribution bar and status bar can work with any of them:
+ *
+ *   id, name, zones          — identifier, display name, [{ zone, name, color }]
+ *   classifyPoint(row, s)    — zone object or null for one data row
+ *                              (s = { depth, sigmaV0, u0, sigmaV0Eff } in kPa)
+ *   classifyDataset(data, o) — [{ depth, zone, ... }] aligned with data
+ *   mergeLayers / computeDistribution — layer building on the method's zones
+ *
+ * Shipped methods: Robertson (simplified and normalized), Begemann,
+ * Eslami-Fellenius, Schmertmann and the NEN 9997-1 table 2.b soil types.
+ */
+
+class SoilClassifier {
+    constructor(id, name, zones) {
+        this.id = id;
+        this.name = name;
+        this.zones = zones;
+    }
+
+    /**
+     * Classify a single data row.
+     * @param {object} row - Data row { qc, fs, rf, u2, ... } in MPa / %
+     * @param {object} stress - { depth, sigmaV0, u0, sigmaV0Eff } in kPa
+     * @returns {object|null} Zone object from this.zones
+     */
+    classifyPoint(row, stress) {
+        throw new Error(`${this.id}: classifyPoint niet geïmplementeerd`);
+    }
+
+    /**
+     * Classify an entire dataset. The result is aligned with the input rows.
+     * @param {Array} data - Data rows
+     * @param {object} [options] - Stress parameters, see ROBERTSON_STRESS_DEFAULTS
+     * @returns {Array} Array of { depth, zone }
+     */
+    classifyDataset(data, options = {}) {
+        const stress = Robertson.computeStress(data, options);
+        return data.map((row, i) => ({
+            depth: stress[i].depth,
+            zone: stress[i].depth !== null ? this.classifyPoint(row, stress[i]) : null,
+        }));
+    }
+
+    mergeLayers(classifications, minThickness = 0.2) {
+        return Robertson.mergeLayers(classifications, minThickness);
+    }
+
+    computeDistribution(layers) {
+        return Robertson.computeDistribution(layers, this.zones);
+    }
+
+    zone(number) {
+        return this.zones.find(z => z.zone === number) || null;
+    }
+}
+
+class SoilClassifiers {
+    static register(classifier) {
+        SoilClassifiers._methods.set(classifier.id, classifier);
+    }
+
+    static get(id) {
+        return SoilClassifiers._methods.get(id) || null;
+    }
+
+    /**
+     * @returns {Array} All registered classifiers in registration order
+     */
+    static list() {
+        return [...SoilClassifiers._methods.values()];
+    }
+}
+
+SoilClassifiers._methods = new Map();
+
+// ============================================
+// ROBERTSON
+// ============================================
+
+class RobertsonClassifier extends SoilClassifier {
+    constructor() {
+        super('robertson', 'Robertson SBT (vereenvoudigd)', ROBERTSON_ZONES);
+    }
+
+    classifyPoint(row) {
+        return Robertson.classify(row.qc, row.rf);
+    }
+}
+
+class RobertsonNormalizedClassifier extends SoilClassifier {
+    constructor() {
+        super('robertson-sbtn', 'Robertson SBTn (genormaliseerd)', ROBERTSON_ZONES);
+    }
+
+    classifyPoint(row, stress) {
+        const qt = row.corrected_qc != null ? row.corrected_qc : row.qc;
+        const r = Robertson.classifyNormalized(qt, row.fs, row.u2, stress.sigmaV0, stress.sigmaV0Eff, stress.u0);
+        return r ? r.zone : null;
+    }
+
+    classifyDataset(data, options = {}) {
+        return Robertson.classifyDatasetNormalized(data, options);
+    }
+}
+
+// ============================================
+// BEGEMANN (1965)
+// ============================================
+
+/**
+ * Begemann: soil type from the friction ratio only (straight lines through
+ * the origin in the qc–fs plot), as used with mechanical cones in NL.
+ */
+class BegemannClassifier extends SoilClassifier {
+    constructor() {
+        super('begemann', 'Begemann (1965)', [
+            { zone: 1, name: 'Grof zand / grind',   color: '#FF5722' },
+            { zone: 2, name: 'Fijn zand',           color: '#FF9800' },
+            { zone: 3, name: 'Siltig zand',         color: '#FFC107' },
+            { zone: 4, name: 'Zandige leem',        color: '#CDDC39' },
+            { zone: 5, name: 'Leem',                color: '#8BC34A' },
+            { zone: 6, name: 'Klei',                color: '#4CAF50' },
+            { zone: 7, name: 'Veen',                color: '#795548' },
+        ]);
+    }
+
+    classifyPoint(row) {
+        if (row.qc == null || row.rf == null || row.qc <= 0 || row.rf < 0) return null;
+        const rf = row.rf;
+        if (rf < 1.2) return this.zones[0];
+        if (rf < 1.6) return this.zones[1];
+        if (rf < 2.2) return this.zones[2];
+        if (rf < 3.2) return this.zones[3];
+        if (rf < 4.1) return this.zones[4];
+        if (rf < 7.0) return this.zones[5];
+        return this.zones[6];
+    }
+}
+
+// ============================================
+// ESLAMI-FELLENIUS (1997)
+// ============================================
+
+/**
+ * Eslami-Fellenius: effective cone resistance qE = qt − u2 against fs.
+ * Boundaries approximated as friction-ratio bands on qE.
+ */
+class EslamiFelleniusClassifier extends SoilClassifier {
+    constructor() {
+        super('eslami-fellenius', 'Eslami-Fellenius (1997)', [
+            { zone: 1, name: 'Gevoelige / inzakkende klei-silt', color: '#00BCD4' },
+            { zone: 2, name: 'Klei en/of silt',                  color: '#4CAF50' },
+            { zone: 3, name: 'Kleiige silt / siltige klei',      color: '#8BC34A' },
+            { zone: 4, name: 'Zandige silt / silt',              color: '#FFC107' },
+            { zone: 5, name: 'Zand / zandig grind',              color: '#FF9800' },
+        ]);
+    }
+
+    classifyPoint(row) {
+        const qt = row.corrected_qc != null ? row.corrected_qc : row.qc;
+        if (qt == null || row.fs == null || qt <= 0 || row.fs < 0) return null;
+
+        const qE = row.u2 != null ? qt - row.u2 : qt;
+        if (qE <= 0) return this.zones[1];
+        const rfE = (row.fs / qE) * 100;
+
+        if (qE < 0.6 && rfE < 1.8) return this.zones[0];
+        if (rfE < 0.8) return this.zones[4];
+        if (rfE < 1.8) return this.zones[3];
+        if (rfE < 3.5) return this.zones[2];
+        return this.zones[1];
+    }
+}
+
+// ============================================
+// SCHMERTMANN (1978)
+// ============================================
+
+/**
+ * Schmertmann: qc against Rf for electric cones, with sand density
+ * subdivided by qc.
+ */
+class SchmertmannClassifier extends SoilClassifier {
+    constructor() {
+        super('schmertmann', 'Schmertmann (1978)', [
+            { zone: 1, name: 'Zeer slappe klei',          color: '#00BCD4' },
+            { zone: 2, name: 'Organische klei / gemengd', color: '#795548' },
+            { zone: 3, name: 'Klei',                      color: '#4CAF50' },
+            { zone: 4, name: 'Zandige en siltige klei',   color: '#8BC34A' },
+            { zone: 5, name: 'Siltig zand / zandige silt',color: '#FFC107' },
+            { zone: 6, name: 'Los zand',                  color: '#FFB74D' },
+            { zone: 7, name: 'Middelvast zand',           color: '#FF9800' },
+            { zone: 8, name: 'Vast zand',                 color: '#FF5722' },
+        ]);
+    }
+
+    classifyPoint(row) {
+        if (row.qc == null || row.rf == null || row.qc <= 0 || row.rf < 0) return null;
+        const qc = row.qc, rf = row.rf;
+
+        if (rf >= 2 && qc < 0.6) return this.zones[0];
+        if (rf >= 6) return this.zones[1];
+        if (rf >= 4) return this.zones[2];
+        if (rf >= 2) return qc < 1.5 ? this.zones[2] : this.zones[3];
+        if (rf >= 1) return this.zones[4];
+        if (qc < 4) return this.zones[5];
+        if (qc < 12) return this.zones[6];
+        return this.zones[7];
+    }
+}
+
+// ============================================
+// NEN 9997-1 TABLE 2.b
+// ============================================
+
+/**
+ * NEN 9997-1 table 2.b: characteristic soil types. Main soil type from Rf,
+ * consistency from the representative qc values in the table. Unit weights
+ * (kN/m³, unsaturated / saturated) are the table's low characteristic values.
+ */
+class Nen9997Classifier extends SoilClassifier {
+    constructor() {
+        super('nen9997', 'NEN 9997-1 tabel 2.b', [
+            { zone: 1,  name: 'Veen, niet voorbelast',      color: '#5D4037', gamma: 10, gammaSat: 10 },
+            { zone: 2,  name: 'Veen, matig voorbelast',     color: '#795548', gamma: 12, gammaSat: 12 },
+            { zone: 3,  name: 'Klei, organisch',            color: '#689F38', gamma: 13, gammaSat: 13 },
+            { zone: 4,  name: 'Klei, schoon slap',          color: '#2E7D32', gamma: 14, gammaSat: 14 },
+            { zone: 5,  name: 'Klei, schoon matig',         color: '#43A047', gamma: 17, gammaSat: 17 },
+            { zone: 6,  name: 'Klei, schoon vast',          color: '#66BB6A', gamma: 19, gammaSat: 19 },
+            { zone: 7,  name: 'Klei, zandig',               color: '#9CCC65', gamma: 18, gammaSat: 18 },
+            { zone: 8,  name: 'Leem, zwak zandig',          color: '#C0CA33', gamma: 19, gammaSat: 19 },
+            { zone: 9,  name: 'Leem, sterk zandig',         color: '#D4E157', gamma: 19, gammaSat: 19 },
+            { zone: 10, name: 'Zand, sterk siltig/kleiig',  color: '#FFD54F', gamma: 18, gammaSat: 20 },
+            { zone: 11, name: 'Zand, schoon los',           color: '#FFC107', gamma: 17, gammaSat: 19 },
+            { zone: 12, name: 'Zand, schoon matig',         color: '#FF9800', gamma: 18, gammaSat: 20 },
+            { zone: 13, name: 'Zand, schoon vast',          color: '#F57C00', gamma: 19, gammaSat: 21 },
+            { zone: 14, name: 'Grind',                      color: '#FF5722', gamma: 18, gammaSat: 20 },
+        ]);
+    }
+
+    classifyPoint(row) {
+        if (row.qc == null || row.rf == null || row.qc <= 0 || row.rf < 0) return null;
+        const qc = row.qc, rf = row.rf;
+
+        if (rf >= 5) {
+            if (qc < 0.3) return this.zone(1);
+            if (qc < 0.7) return this.zone(2);
+            return this.zone(3);
+        }
+        if (rf >= 3.5) {
+            if (qc < 0.75) return this.zone(4);
+            if (qc < 1.5) return this.zone(5);
+            return this.zone(6);
+        }
+        if (rf >= 2.5) return this.zone(7);
+        if (rf >= 1.8) return qc < 2.5 ? this.zone(8) : this.zone(9);
+        if (rf >= 1.2) return this.zone(10);
+        if (rf < 0.8 && qc > 30) return this.zone(14);
+        if (qc < 10) return this.zone(11);
+        if (qc < 20) return this.zone(12);
+        return this.zone(13);
+    }
+}
+
+SoilClassifiers.register(new RobertsonClassifier());
+SoilClassifiers.register(new RobertsonNormalizedClassifier());
+SoilClassifiers.register(new BegemannClassifier());
+SoilClassifiers.register(new EslamiFelleniusClassifier());
+SoilClassifiers.register(new SchmertmannClassifier());
+SoilClassifiers.register(new Nen9997Classifier());
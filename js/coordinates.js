@@ -0,0 +1,378 @@
+/**
+ * Coordinates — reference systems of CPT locations and transformations
+ *
+ * Supported systems:
+ *   rd      RD New (Amersfoort / RD New, EPSG:28992; GEF #XYID 31000)
+ *   etrs89  ETRS89 geographic (EPSG:4258), BRO standardizedLocation
+ *   wgs84   WGS84 geographic (EPSG:4326)
+ *   utm31   UTM zone 31N (ETRS89 EPSG:25831, WGS84 EPSG:32631)
+ *   utm32   UTM zone 32N (ETRS89 EPSG:25832, WGS84 EPSG:32632)
+ *
+ * RD uses the 3D similarity transformation (ETRS89 to Bessel 1841) and the
+ * oblique stereographic (double) projection of RDNAPTRANS™2018, but not its
+ * RD correction grid (rdcorr2018.txt of NSGI). This is therefore not an
+ * RDNAPTRANS™2018 transformation: positions differ from it by up to a few
+ * decimetres (0.3 m at Amersfoort), enough to place a CPT on the map but
+ * not to compare with surveyed positions. UTM uses the transverse Mercator
+ * series of Krüger on GRS80, accurate to well below a millimetre.
+ *
+ * WGS84 and ETRS89 differ by less than a metre in the Netherlands; both are
+ * used as the latitude / longitude of the map.
+ */
+
+const COORD_SYSTEMS = {
+    rd:     { label: 'RD',      geographic: false },
+    etrs89: { label: 'ETRS89',  geographic: true },
+    wgs84:  { label: 'WGS84',   geographic: true },
+    utm31:  { label: 'UTM 31N', geographic: false, zone: 31 },
+    utm32:  { label: 'UTM 32N', geographic: false, zone: 32 },
+};
+
+// GEF #XYID codes and EPSG codes by system
+const COORD_SYSTEM_CODES = {
+    31000: 'rd', 28992: 'rd',
+    4258: 'etrs89', 4937: 'etrs89',
+    4326: 'wgs84', 4979: 'wgs84',
+    25831: 'utm31', 32631: 'utm31',
+    25832: 'utm32', 32632: 'utm32',
+};
+
+const COORD_ELLIPSOIDS = {
+    grs80:  { a: 6378137, f: 1 / 298.257222101 },
+    bessel: { a: 6377397.155, f: 1 / 299.1528128 },
+};
+
+// 3D similarity transformations of RDNAPTRANS™2018 (translations in m,
+// rotations in rad, scale difference); X' = (1 + delta) · R · X + T
+const COORD_RD_DATUM = {
+    toBessel: { tx: -565.7346, ty: -50.4058, tz: -465.2895, alpha: -1.91513e-6, beta: 1.60365e-6, gamma: -9.09546e-6, delta: -4.07242e-6 },
+    toEtrs89: { tx: 565.7381, ty: 50.4018, tz: 465.2904, alpha: 1.91514e-6, beta: -1.60363e-6, gamma: 9.09546e-6, delta: 4.07242e-6 },
+};
+
+// Oblique stereographic projection of RD: origin Amersfoort
+const COORD_RD_PROJECTION = {
+    lat0: 52 + 9 / 60 + 22.178 / 3600,
+    lon0: 5 + 23 / 60 + 15.5 / 3600,
+    k0: 0.9999079,
+    x0: 155000,
+    y0: 463000,
+};
+
+// Area of the RD grid, beyond which RD coordinates are not computed
+const COORD_RD_AREA = { latMin: 50, latMax: 56, lonMin: 2, lonMax: 8 };
+
+// RD coordinates of the Netherlands and its coastal waters, to recognize RD
+// coordinates without a system code
+const COORD_RD_RANGE = { xMin: -7000, xMax: 300000, yMin: 289000, yMax: 629000 };
+
+// Ellipsoidal height used where it is unknown (mean geoid height in the
+// Netherlands); its effect on the horizontal position is below a millimetre
+const COORD_MEAN_HEIGHT = 43;
+
+const COORD_UTM = { k0: 0.9996, falseEasting: 500000 };
+
+const COORD_DEG = Math.PI / 180;
+
+class Coordinates {
+    /**
+     * System of a reference system code.
+     * @param {string|number} code - GEF #XYID code (31000), EPSG code (28992,
+     *   'EPSG:28992', 'urn:ogc:def:crs:EPSG::28992') or name ('RD', 'ETRS89 / UTM zone 31N')
+     * @returns {string|null} Key of COORD_SYSTEMS, null when not recognized
+     */
+    static system(code) {
+        if (code === undefined || code === null) return null;
+        const text = String(code).trim().toUpperCase();
+        const number = text.match(/^(\d+)$/) || text.match(/EPSG\D*(\d+)$/);
+        if (number) return COORD_SYSTEM_CODES[parseInt(number[1], 10)] || null;
+
+        const name = text.replace(/[^A-Z0-9]/g, '');
+        const utm = name.match(/UTM(?:ZONE)?(3[12])N?$/);
+        if (utm) return `utm${utm[1]}`;
+        if (/^(RD|RDNEW|AMERSFOORTRDNEW|RIJKSDRIEHOEKSMETING)$/.test(name)) return 'rd';
+        if (name === 'ETRS89') return 'etrs89';
+        if (name === 'WGS84') return 'wgs84';
+        return null;
+    }
+
+    /**
+     * Location of a CPT from its metadata: latitude / longitude (meta.lat,
+     * meta.lon, else from meta.x, meta.y in meta.coordSystem) and RD coordinates.
+     * Coordinates without a system code are taken as RD when they lie in
+     * the RD range of the Netherlands.
+     * @param {object} meta - Dataset header
+     * @returns {object|null} { lat, lon, rd: { x, y } | null, system, x, y }
+     *   with x, y in system (null without coordinates in the file); null
+     *   when the location cannot be determined
+     */
+    static location(meta) {
+        const x = parseFloat(meta.x);
+        const y = parseFloat(meta.y);
+        const hasXY = !isNaN(x) && !isNaN(y) && (x !== 0 || y !== 0);
+        let system = Coordinates.system(meta.coordSystem);
+        if (hasXY && !system && !meta.coordSystem && Coordinates._inRdRange(x, y)) system = 'rd';
+
+        let lat = parseFloat(meta.lat);
+        let lon = parseFloat(meta.lon);
+        if ((isNaN(lat) || isNaN(lon)) && hasXY && system) {
+            const ll = Coordinates.toLatLon(x, y, system);
+            lat = ll.lat;
+            lon = ll.lon;
+        }
+        if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+
+        let rd = null;
+        if (system === 'rd' && hasXY) rd = { x, y };
+        else if (Coordinates._inRdArea(lat, lon)) rd = Coordinates.fromLatLon(lat, lon, 'rd');
+        return { lat, lon, rd, system: hasXY ? system : null, x: hasXY ? x : null, y: hasXY ? y : null };
+    }
+
+    /**
+     * Coordinates in a system to ETRS89 / WGS84 latitude and longitude.
+     * @param {number} x - Easting (longitude for a geographic system)
+     * @param {number} y - Northing (latitude for a geographic system)
+     * @param {string} system - Key of COORD_SYSTEMS
+     * @returns {object} { lat, lon } in degrees
+     */
+    static toLatLon(x, y, system) {
+        const def = COORD_SYSTEMS[system];
+        if (!def) throw new Error(`Onbekend coördinatenstelsel '${system}'`);
+        if (system === 'rd') return Coordinates.rdToEtrs89(x, y);
+        if (def.zone) return Coordinates.utmToEtrs89(x, y, def.zone);
+        // GEF gives easting first; latitude first is recognized in the
+        // Netherlands, where the latitude is the larger of the two
+        return Math.abs(x) > Math.abs(y) && Math.abs(x) <= 90 ? { lat: x, lon: y } : { lat: y, lon: x };
+    }
+
+    /**
+     * ETRS89 / WGS84 latitude and longitude to coordinates in a system.
+     * @param {number} lat - Degrees
+     * @param {number} lon - Degrees
+     * @param {string} system - Key of COORD_SYSTEMS
+     * @returns {object} { x, y } (x longitude, y latitude for a geographic system)
+     */
+    static fromLatLon(lat, lon, system) {
+        const def = COORD_SYSTEMS[system];
+        if (!def) throw new Error(`Onbekend coördinatenstelsel '${system}'`);
+        if (system === 'rd') return Coordinates.etrs89ToRd(lat, lon);
+        if (def.zone) return Coordinates.etrs89ToUtm(lat, lon, def.zone);
+        return { x: lon, y: lat };
+    }
+
+    // ---- RD ----
+
+    /**
+     * RD New to ETRS89, without the RDNAPTRANS™2018 correction grid (within decimetres).
+     * @returns {object} { lat, lon } in degrees
+     */
+    static rdToEtrs89(x, y) {
+        const bessel = Coordinates._rdUnproject(x, y);
+        const xyz = Coordinates._toGeocentric(bessel.lat, bessel.lon, 0, COORD_ELLIPSOIDS.bessel);
+        const etrs = Coordinates._geographic(Coordinates._similarity(xyz, COORD_RD_DATUM.toEtrs89), COORD_ELLIPSOIDS.grs80);
+        return { lat: etrs.lat / COORD_DEG, lon: etrs.lon / COORD_DEG };
+    }
+
+    /**
+     * ETRS89 to RD New, without the RDNAPTRANS™2018 correction grid (within decimetres).
+     * @returns {object} { x, y } in m
+     */
+    static etrs89ToRd(lat, lon) {
+        const xyz = Coordinates._toGeocentric(lat * COORD_DEG, lon * COORD_DEG, COORD_MEAN_HEIGHT, COORD_ELLIPSOIDS.grs80);
+        const bessel = Coordinates._geographic(Coordinates._similarity(xyz, COORD_RD_DATUM.toBessel), COORD_ELLIPSOIDS.bessel);
+        return Coordinates._rdProject(bessel.lat, bessel.lon);
+    }
+
+    /** Constants of the oblique stereographic projection (EPSG method 9809), computed once. */
+    static _rdConstants() {
+        if (Coordinates._rd) return Coordinates._rd;
+        const { a, f } = COORD_ELLIPSOIDS.bessel;
+        const e2 = f * (2 - f);
+        const e = Math.sqrt(e2);
+        const lat0 = COORD_RD_PROJECTION.lat0 * COORD_DEG;
+        const sin0 = Math.sin(lat0);
+        const rho0 = a * (1 - e2) / Math.pow(1 - e2 * sin0 * sin0, 1.5);
+        const nu0 = a / Math.sqrt(1 - e2 * sin0 * sin0);
+        const n = Math.sqrt(1 + e2 * Math.pow(Math.cos(lat0), 4) / (1 - e2));
+        const w1 = Math.pow(((1 + sin0) / (1 - sin0)) * Math.pow((1 - e * sin0) / (1 + e * sin0), e), n);
+        const sinChi00 = (w1 - 1) / (w1 + 1);
+        const c = (n + sin0) * (1 - sinChi00) / ((n - sin0) * (1 + sinChi00));
+        const w2 = c * w1;
+        Coordinates._rd = {
+            e, e2, n, c,
+            r2k: 2 * Math.sqrt(rho0 * nu0) * COORD_RD_PROJECTION.k0,
+            chi0: Math.asin((w2 - 1) / (w2 + 1)),
+            lon0: COORD_RD_PROJECTION.lon0 * COORD_DEG,
+        };
+        return Coordinates._rd;
+    }
+
+    static _rdProject(lat, lon) {
+        const k = Coordinates._rdConstants();
+        const sin = Math.sin(lat);
+        const w = k.c * Math.pow(((1 + sin) / (1 - sin)) * Math.pow((1 - k.e * sin) / (1 + k.e * sin), k.e), k.n);
+        const chi = Math.asin((w - 1) / (w + 1));
+        const dLon = k.n * (lon - k.lon0);
+        const b = 1 + Math.sin(chi) * Math.sin(k.chi0) + Math.cos(chi) * Math.cos(k.chi0) * Math.cos(dLon);
+        return {
+            x: COORD_RD_PROJECTION.x0 + k.r2k * Math.cos(chi) * Math.sin(dLon) / b,
+            y: COORD_RD_PROJECTION.y0 + k.r2k * (Math.sin(chi) * Math.cos(k.chi0) - Math.cos(chi) * Math.sin(k.chi0) * Math.cos(dLon)) / b,
+        };
+    }
+
+    /** RD to Bessel latitude / longitude in radians. */
+    static _rdUnproject(x, y) {
+        const k = Coordinates._rdConstants();
+        const dx = x - COORD_RD_PROJECTION.x0;
+        const dy = y - COORD_RD_PROJECTION.y0;
+        const g = k.r2k * Math.tan(Math.PI / 4 - k.chi0 / 2);
+        const h = 2 * k.r2k * Math.tan(k.chi0) + g;
+        const i = Math.atan(dx / (h + dy));
+        const j = Math.atan(dx / (g - dy)) - i;
+        const chi = k.chi0 + 2 * Math.atan((dy - dx * Math.tan(j / 2)) / k.r2k);
+        const lon = (j + 2 * i) / k.n + k.lon0;
+
+        const sinChi = Math.sin(chi);
+        const psi = 0.5 * Math.log((1 + sinChi) / (k.c * (1 - sinChi))) / k.n;
+        let lat = 2 * Math.atan(Math.exp(psi)) - Math.PI / 2;
+        for (let iter = 0; iter < 10; iter++) {
+            const sin = Math.sin(lat);
+            const psiI = Math.log(Math.tan(lat / 2 + Math.PI / 4) * Math.pow((1 - k.e * sin) / (1 + k.e * sin), k.e / 2));
+            const next = lat - (psiI - psi) * Math.cos(lat) * (1 - k.e2 * sin * sin) / (1 - k.e2);
+            if (Math.abs(next - lat) < 1e-14) return { lat: next, lon };
+            lat = next;
+        }
+        return { lat, lon };
+    }
+
+    // ---- UTM ----
+
+    /**
+     * UTM (northern hemisphere) to ETRS89 / WGS84.
+     * @returns {object} { lat, lon } in degrees
+     */
+    static utmToEtrs89(easting, northing, zone) {
+        const k = Coordinates._tmConstants();
+        const xi = northing / (COORD_UTM.k0 * k.A);
+        const eta = (easting - COORD_UTM.falseEasting) / (COORD_UTM.k0 * k.A);
+        let xi1 = xi, eta1 = eta;
+        k.beta.forEach((b, j) => {
+            const m = 2 * (j + 1);
+            xi1 -= b * Math.sin(m * xi) * Math.cosh(m * eta);
+            eta1 -= b * Math.cos(m * xi) * Math.sinh(m * eta);
+        });
+        const chi = Math.asin(Math.sin(xi1) / Math.cosh(eta1));
+        let lat = chi;
+        k.delta.forEach((d, j) => { lat += d * Math.sin(2 * (j + 1) * chi); });
+        const lon = Math.atan2(Math.sinh(eta1), Math.cos(xi1));
+        return { lat: lat / COORD_DEG, lon: Coordinates._utmMeridian(zone) + lon / COORD_DEG };
+    }
+
+    /**
+     * ETRS89 / WGS84 to UTM (northern hemisphere), in the given zone.
+     * @returns {object} { x, y } easting and northing in m
+     */
+    static etrs89ToUtm(lat, lon, zone) {
+        const k = Coordinates._tmConstants();
+        const phi = lat * COORD_DEG;
+        const dLon = (lon - Coordinates._utmMeridian(zone)) * COORD_DEG;
+        const t = Math.sinh(Math.atanh(Math.sin(phi)) - k.e * Math.atanh(k.e * Math.sin(phi)));
+        const xi1 = Math.atan2(t, Math.cos(dLon));
+        const eta1 = Math.atanh(Math.sin(dLon) / Math.sqrt(1 + t * t));
+        let xi = xi1, eta = eta1;
+        k.alpha.forEach((al, j) => {
+            const m = 2 * (j + 1);
+            xi += al * Math.sin(m * xi1) * Math.cosh(m * eta1);
+            eta += al * Math.cos(m * xi1) * Math.sinh(m * eta1);
+        });
+        return {
+            x: COORD_UTM.falseEasting + COORD_UTM.k0 * k.A * eta,
+            y: COORD_UTM.k0 * k.A * xi,
+        };
+    }
+
+    static _utmMeridian(zone) {
+        return zone * 6 - 183;
+    }
+
+    /** Series coefficients of the transverse Mercator projection on GRS80 (Krüger, to n^4). */
+    static _tmConstants() {
+        if (Coordinates._tm) return Coordinates._tm;
+        const { a, f } = COORD_ELLIPSOIDS.grs80;
+        const n = f / (2 - f);
+        const n2 = n * n, n3 = n2 * n, n4 = n3 * n;
+        Coordinates._tm = {
+            e: Math.sqrt(f * (2 - f)),
+            A: a / (1 + n) * (1 + n2 / 4 + n4 / 64),
+            alpha: [
+                n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180,
+                13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440,
+                61 * n3 / 240 - 103 * n4 / 140,
+                49561 * n4 / 161280,
+            ],
+            beta: [
+                n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360,
+                n2 / 48 + n3 / 15 - 437 * n4 / 1440,
+                17 * n3 / 480 - 37 * n4 / 840,
+                4397 * n4 / 161280,
+            ],
+            delta: [
+                2 * n - 2 * n2 / 3 - 2 * n3 + 116 * n4 / 45,
+                7 * n2 / 3 - 8 * n3 / 5 - 227 * n4 / 45,
+                56 * n3 / 15 - 136 * n4 / 35,
+                4279 * n4 / 630,
+            ],
+        };
+        return Coordinates._tm;
+    }
+
+    // ---- Datum ----
+
+    static _toGeocentric(lat, lon, h, ellipsoid) {
+        const e2 = ellipsoid.f * (2 - ellipsoid.f);
+        const nu = ellipsoid.a / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+        return {
+            x: (nu + h) * Math.cos(lat) * Math.cos(lon),
+            y: (nu + h) * Math.cos(lat) * Math.sin(lon),
+            z: (nu * (1 - e2) + h) * Math.sin(lat),
+        };
+    }
+
+    /** Geocentric to latitude / longitude in radians (iterative). */
+    static _geographic(p, ellipsoid) {
+        const e2 = ellipsoid.f * (2 - ellipsoid.f);
+        const r = Math.hypot(p.x, p.y);
+        let lat = Math.atan2(p.z, r * (1 - e2));
+        for (let iter = 0; iter < 10; iter++) {
+            const nu = ellipsoid.a / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+            const next = Math.atan2(p.z + e2 * nu * Math.sin(lat), r);
+            if (Math.abs(next - lat) < 1e-14) return { lat: next, lon: Math.atan2(p.y, p.x) };
+            lat = next;
+        }
+        return { lat, lon: Math.atan2(p.y, p.x) };
+    }
+
+    /** 3D similarity transformation with the full rotation matrix. */
+    static _similarity(p, t) {
+        const [ca, sa] = [Math.cos(t.alpha), Math.sin(t.alpha)];
+        const [cb, sb] = [Math.cos(t.beta), Math.sin(t.beta)];
+        const [cg, sg] = [Math.cos(t.gamma), Math.sin(t.gamma)];
+        const s = 1 + t.delta;
+        return {
+            x: s * (cb * cg * p.x + (ca * sg + sa * sb * cg) * p.y + (sa * sg - ca * sb * cg) * p.z) + t.tx,
+            y: s * (-cb * sg * p.x + (ca * cg - sa * sb * sg) * p.y + (sa * cg + ca * sb * sg) * p.z) + t.ty,
+            z: s * (sb * p.x - sa * cb * p.y + ca * cb * p.z) + t.tz,
+        };
+    }
+
+    // ---- Helpers ----
+
+    static _inRdRange(x, y) {
+        const r = COORD_RD_RANGE;
+        return x >= r.xMin && x <= r.xMax && y >= r.yMin && y <= r.yMax;
+    }
+
+    static _inRdArea(lat, lon) {
+        const r = COORD_RD_AREA;
+        return lat >= r.latMin && lat <= r.latMax && lon >= r.lonMin && lon <= r.lonMax;
+    }
+}
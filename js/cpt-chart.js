@@ -2,11 +2,19 @@
  * CPT Chart — Professional Dutch CPT plot renderer
  *
  * Layout (left to right):
- *   [Depth axis] [Soil strip] [qc panel] [fs panel] [Rf panel]
+ *   [Depth axis] [Soil strip] [data panels...] [extra panels...]
  *
- * Each parameter gets its own panel with proper scale.
- * Soil strip shows Robertson SBT as solid colored bands.
- * All panels share the Y-axis (depth, increasing downward).
+ * The data panels follow a panel configuration (see PanelConfig, default
+ * qc / fs / Rf); each panel has its own scale and may hold several series.
+ * Soil strip shows the layers of the CPT's classification method
+ * (see SoilClassifiers) as solid colored bands.
+ * All panels share the Y-axis (depth, increasing downward). The axis is
+ * labelled in m below surface, m NAP or both (see setAxisMode); the
+ * viewport itself is always kept in depth below surface.
+ * Extra panels (pile capacity, derived parameters, ...) are added with
+ * setExtraPanel() and appended to the right; setMarkers() marks single
+ * depths such as dissipation tests, setFlags() depth intervals such as
+ * those failing the quality checks.
  */
 
 class CptChart {
@@ -20,16 +28,24 @@ class CptChart {
         this.layers = null;
         this.depths = null;
 
+        // Surface level (m NAP, null if unknown) and axis labelling:
+        // 'depth' (m-mv), 'nap' (m NAP) or 'dual' (both)
+        this.surfaceLevel = null;
+        this.axisMode = 'depth';
+
         // Depth viewport
         this.depthMin = 0;
         this.depthMax = 30;
         this.depthViewMin = 0;
         this.depthViewMax = 30;
 
-        // Scale ranges (auto-computed)
-        this.qcMax = 30;
-        this.fsMax = 0.3;
-        this.rfMax = 10;
+        // Data panel configuration and the panels drawn for the current data:
+        // [{ id, width, series: [{ key, color }], label, min, max }]
+        this.panels = PanelConfig.defaults();
+        this.plotPanels = [];
+
+        // Extra panels by id: { label, color, points: [{ depth, value }], max, dots }
+        this.extraPanels = new Map();
 
         // Interaction
         this.hoverY = null;
@@ -39,6 +55,21 @@ class CptChart {
         this.panStartDepthMax = 0;
         this.onHover = null;
 
+        // Linking with other charts (see ChartLink): view changes and crosshair
+        // depth made by the user are reported, a crosshair can be set from outside
+        this.onViewChange = null;
+        this.onCrosshair = null;
+        this.linkedDepth = null;
+
+        // Highlighted depth intervals [{ startDepth, endDepth }] (e.g. from SBT chart brushing)
+        this.highlights = null;
+
+        // Depth markers [{ depth, label }] (e.g. dissipation tests)
+        this.markers = null;
+
+        // Flagged depth intervals [{ startDepth, endDepth }] (e.g. failing quality checks)
+        this.flags = null;
+
         // Style
         this.COLORS = {
             bg:         '#0d1117',
@@ -51,9 +82,14 @@ class CptChart {
             headerBg:   '#161b22',
             crosshair:  'rgba(255,255,255,0.25)',
             depthLabel: '#e6edf3',
-            qc:         '#3b82f6',
-            fs:         '#ef4444',
-            rf:         '#22c55e',
+            highlight:  'rgba(59,130,246,0.16)',
+            highlightEdge: 'rgba(59,130,246,0.55)',
+            shade:      'rgba(239,68,68,0.22)',
+            shadeLine:  'rgba(239,68,68,0.8)',
+            nap:        '#58a6ff',
+            depthMarker: '#d29922',
+            flag:       'rgba(239,68,68,0.10)',
+            flagEdge:   'rgba(239,68,68,0.75)',
         };
 
         this._bindEvents();
@@ -100,16 +136,196 @@ class CptChart {
         this.depthMin = 0;
         this.depthMax = valid.length ? Math.ceil(Math.max(...valid) * 1.02 + 0.5) : 30;
 
-        const vals = k => data.map(r => r[k]).filter(v => v != null && v > 0);
-        this.qcMax = this._niceMax(Math.max(0.1, ...vals('qc')));
-        this.fsMax = this._niceMax(Math.max(0.01, ...vals('fs')));
-        this.rfMax = this._niceMax(Math.max(1, ...vals('rf')));
+        this._updatePanels();
 
         this.depthViewMin = this.depthMin;
         this.depthViewMax = this.depthMax;
         this.resize();
     }
 
+    /**
+     * Set the surface level used for NAP axis labels.
+     * @param {number|null} level - m NAP
+     */
+    setSurfaceLevel(level) {
+        this.surfaceLevel = level != null ? level : null;
+        this.draw();
+    }
+
+    /**
+     * Switch the depth axis labelling. Without a surface level the axis
+     * falls back to depth below surface.
+     * @param {string} mode - 'depth' | 'nap' | 'dual'
+     */
+    setAxisMode(mode) {
+        this.axisMode = mode;
+        this.draw();
+    }
+
+    /** Effective axis mode, taking a missing surface level into account. */
+    _axisMode() {
+        return this.surfaceLevel === null ? 'depth' : this.axisMode;
+    }
+
+    /**
+     * Set the depth viewport without reporting it through onViewChange.
+     */
+    setView(depthMin, depthMax) {
+        this.depthViewMin = depthMin;
+        this.depthViewMax = depthMax;
+        this.draw();
+    }
+
+    /**
+     * Show the crosshair at a depth given by a linked chart (null to hide).
+     */
+    setCrosshairDepth(depth) {
+        this.linkedDepth = depth;
+        this.draw();
+    }
+
+    /**
+     * Replace the data panel configuration.
+     * @param {Array} panels - Panel definitions, see PanelConfig
+     */
+    setPanels(panels) {
+        this.panels = PanelConfig.clone(panels);
+        this._updatePanels();
+        this.draw();
+    }
+
+    /**
+     * Resolve the configured panels against the loaded columns: drop series
+     * without data, drop empty panels and compute the scale ranges.
+     */
+    _updatePanels() {
+        const columns = this.columns || [];
+        const has = key => !this.data || columns.some(c => c.key === key);
+
+        this.plotPanels = [];
+        for (const panel of this.panels) {
+            const series = panel.series.filter(s => has(s.key));
+            if (!series.length) continue;
+
+            const values = this.data
+                ? series.flatMap(s => this.data.map(r => r[s.key]).filter(v => v != null && isFinite(v)))
+                : [];
+            const lo = values.length ? Math.min(...values) : 0;
+            const hi = values.length ? Math.max(...values) : 1;
+            let min = panel.min != null ? panel.min : (lo < 0 ? -this._niceMax(-lo) : 0);
+            let max = panel.max != null ? panel.max : this._niceMax(Math.max(1e-6, hi));
+            if (max <= min) max = min + 1;
+
+            this.plotPanels.push({
+                id: panel.id,
+                width: panel.width,
+                series,
+                label: PanelConfig.panelLabel({ ...panel, series }, columns),
+                min, max,
+            });
+        }
+    }
+
+    /**
+     * Replace the soil layers (e.g. after switching classification mode).
+     */
+    setLayers(layers) {
+        this.layers = layers;
+        this.draw();
+    }
+
+    /**
+     * Add, replace or remove (panel = null) an extra panel.
+     * Values are given either as points [{ depth, value }] or as values
+     * aligned with the data rows; null values break the line.
+     *
+     * Optional: series [{ label, color, points | values }] drawn on top of the
+     * main line, a fixed scale max, and shadeBelow to fill the depth intervals
+     * where the main line drops below a threshold.
+     *
+     * @param {string} id - Panel identifier
+     * @param {object|null} panel - { label, color, points | values, dots, series, max, shadeBelow }
+     */
+    setExtraPanel(id, panel) {
+        if (!panel) {
+            this.extraPanels.delete(id);
+            this.draw();
+            return;
+        }
+
+        const toPoints = s => {
+            let points = s.points;
+            if (!points && s.values && this.depths) {
+                points = s.values.map((v, i) => ({ depth: this.depths[i], value: v }));
+            }
+            return (points || []).filter(p => p.depth !== null);
+        };
+        const points = toPoints(panel);
+        const series = [
+            { label: panel.label, color: panel.color, points, dots: panel.dots },
+            ...(panel.series || []).map(s => ({ ...s, points: toPoints(s) })),
+        ];
+        const values = series.flatMap(s => s.points.filter(p => p.value != null).map(p => p.value));
+        const max = panel.max || this._niceMax(Math.max(1e-6, ...values));
+
+        this.extraPanels.set(id, { ...panel, points, series, max });
+        this.draw();
+    }
+
+    /**
+     * Highlight the depth intervals covered by a set of row indices.
+     * Consecutive rows are merged into a single interval.
+     * @param {Array|null} indices - Row indices into data, or null to clear
+     */
+    setHighlightIndices(indices) {
+        if (!indices || !indices.length || !this.depths) {
+            this.highlights = null;
+            this.draw();
+            return;
+        }
+
+        const sorted = [...indices].filter(i => this.depths[i] !== null).sort((a, b) => a - b);
+        const halfStep = i => {
+            const prev = i > 0 ? this.depths[i - 1] : null;
+            const next = i < this.depths.length - 1 ? this.depths[i + 1] : null;
+            const gaps = [prev, next].filter(d => d !== null).map(d => Math.abs(d - this.depths[i]));
+            return gaps.length ? Math.min(...gaps) / 2 : 0.01;
+        };
+
+        const ranges = [];
+        let start = null, last = null;
+        for (const i of sorted) {
+            if (start !== null && i === last + 1) { last = i; continue; }
+            if (start !== null) ranges.push([start, last]);
+            start = i; last = i;
+        }
+        if (start !== null) ranges.push([start, last]);
+
+        this.highlights = ranges.map(([a, b]) => ({
+            startDepth: Math.min(this.depths[a], this.depths[b]) - halfStep(a),
+            endDepth: Math.max(this.depths[a], this.depths[b]) + halfStep(b),
+        }));
+        this.draw();
+    }
+
+    /**
+     * Mark depths with a labelled line across all panels.
+     * @param {Array|null} markers - [{ depth, label }] (depth in m below surface), or null to clear
+     */
+    setMarkers(markers) {
+        this.markers = markers && markers.length ? markers : null;
+        this.draw();
+    }
+
+    /**
+     * Flag depth intervals, drawn in red with a bar at the right edge.
+     * @param {Array|null} ranges - [{ startDepth, endDepth }] (m below surface), or null to clear
+     */
+    setFlags(ranges) {
+        this.flags = ranges && ranges.length ? ranges : null;
+        this.draw();
+    }
+
     _niceMax(v) {
         if (v <= 0) return 1;
         const p = Math.pow(10, Math.floor(Math.log10(v)));
@@ -130,7 +346,8 @@ class CptChart {
 
         const HEADER = 28;            // Scale labels area at top
         const BOTTOM = 4;
-        const DEPTH_W = narrow ? 30 : 42;  // Depth axis column
+        const dual = this._axisMode() === 'dual';
+        const DEPTH_W = (narrow ? 30 : 42) + (dual ? 38 : 0);  // Depth axis column(s)
         const SOIL_W = narrow ? 14 : 22;    // Soil type strip
         const GAP = 1;
 
@@ -138,26 +355,37 @@ class CptChart {
         const plotB = h - BOTTOM;
         const plotH = plotB - plotT;
 
-        // Remaining width for 3 data panels
-        const avail = w - DEPTH_W - SOIL_W - GAP * 4;
-        // qc gets 45%, fs 25%, Rf 30%
-        const qcW = Math.floor(avail * 0.45);
-        const fsW = Math.floor(avail * 0.25);
-        const rfW = avail - qcW - fsW;
+        // Remaining width for the data panels plus extras, divided by relative width;
+        // each extra panel weighs 25 (the default panels are 45 / 25 / 30)
+        const extras = [...this.extraPanels.keys()];
+        const weights = [...this.plotPanels.map(p => p.width), ...extras.map(() => 25)];
+        const avail = w - DEPTH_W - SOIL_W - GAP * (1 + weights.length);
+        const total = weights.reduce((a, b) => a + b, 0) || 1;
 
         let x = DEPTH_W;
         const soilL = x; x += SOIL_W + GAP;
-        const qcL   = x; x += qcW + GAP;
-        const fsL   = x; x += fsW + GAP;
-        const rfL   = x;
+
+        let used = 0;
+        const widths = weights.map((wt, i) => {
+            const pw = i === weights.length - 1 ? avail - used : Math.floor(avail * wt / total);
+            used += pw;
+            return pw;
+        });
+        const place = (id, pw) => {
+            const p = { id, l: x, w: pw };
+            x += pw + GAP;
+            return p;
+        };
+        const data = this.plotPanels.map((p, i) => place(p.id, widths[i]));
+        const extra = extras.map((id, i) => place(id, widths[data.length + i]));
 
         return {
             plotT, plotB, plotH, narrow,
-            depthW: DEPTH_W, headerH: HEADER,
+            depthW: DEPTH_W, headerH: HEADER, dual,
             soil: { l: soilL, w: SOIL_W },
-            qc:   { l: qcL,   w: qcW },
-            fs:   { l: fsL,   w: fsW },
-            rf:   { l: rfL,   w: rfW },
+            data,
+            extra,
+            right: x - GAP,
         };
     }
 
@@ -183,36 +411,45 @@ class CptChart {
         // Panel backgrounds
         c.fillStyle = this.COLORS.panelBg;
         c.fillRect(L.soil.l, L.plotT, L.soil.w, L.plotH);
-        c.fillRect(L.qc.l,   L.plotT, L.qc.w,   L.plotH);
-        c.fillRect(L.fs.l,   L.plotT, L.fs.w,   L.plotH);
-        c.fillRect(L.rf.l,   L.plotT, L.rf.w,   L.plotH);
+        for (const p of L.data) c.fillRect(p.l, L.plotT, p.w, L.plotH);
+        for (const p of L.extra) c.fillRect(p.l, L.plotT, p.w, L.plotH);
 
         if (this.data) {
             this._drawSoilStrip(c, L);
         }
 
+        this._drawHighlights(c, L);
+        this._drawFlags(c, L);
         this._drawGridH(c, L);
-        this._drawGridV(c, L, L.qc, this.qcMax);
-        this._drawGridV(c, L, L.fs, this.fsMax);
-        this._drawGridV(c, L, L.rf, this.rfMax);
+        for (const p of L.data) this._drawGridV(c, L, p);
+        for (const p of L.extra) this._drawGridV(c, L, p);
         this._drawDepthAxis(c, L);
-        this._drawPanelHeader(c, L, L.soil, 'SBT', this.COLORS.textBright, null, null);
-        this._drawPanelHeader(c, L, L.qc, 'qc (MPa)', this.COLORS.qc, this.qcMax, null);
-        this._drawPanelHeader(c, L, L.fs, 'fs (MPa)', this.COLORS.fs, this.fsMax, null);
-        this._drawPanelHeader(c, L, L.rf, 'Rf (%)', this.COLORS.rf, this.rfMax, null);
+        this._drawPanelHeader(c, L, L.soil, [{ text: 'SBT', color: this.COLORS.textBright }], null, null);
+        L.data.forEach((p, i) => {
+            const pp = this.plotPanels[i];
+            this._drawPanelHeader(c, L, p, this._headerParts(pp), pp.min, pp.max);
+        });
+        for (const p of L.extra) {
+            const ep = this.extraPanels.get(p.id);
+            this._drawPanelHeader(c, L, p, [{ text: ep.label, color: ep.color }], 0, ep.max);
+        }
 
         if (this.data) {
-            this._drawLine(c, L, L.qc, 'qc', this.qcMax, this.COLORS.qc, 1.8);
-            this._drawLine(c, L, L.fs, 'fs', this.fsMax, this.COLORS.fs, 1.4);
-            this._drawLine(c, L, L.rf, 'rf', this.rfMax, this.COLORS.rf, 1.4);
+            L.data.forEach((p, i) => {
+                const pp = this.plotPanels[i];
+                for (const s of pp.series) {
+                    this._drawLine(c, L, p, s.key, pp.min, pp.max, s.color, i === 0 ? 1.8 : 1.4);
+                }
+            });
+            for (const p of L.extra) this._drawExtraPanel(c, L, p, this.extraPanels.get(p.id));
+            this._drawMarkers(c, L);
             this._drawCrosshair(c, L);
         }
 
         // Panel borders
         this._panelBorder(c, L, L.soil);
-        this._panelBorder(c, L, L.qc);
-        this._panelBorder(c, L, L.fs);
-        this._panelBorder(c, L, L.rf);
+        for (const p of L.data) this._panelBorder(c, L, p);
+        for (const p of L.extra) this._panelBorder(c, L, p);
 
         c.restore();
     }
@@ -237,31 +474,87 @@ class CptChart {
             c.fillRect(p.l, y1, p.w, y2 - y1);
             c.globalAlpha = 1;
         }
-        // Also draw light color bands behind qc panel
+        // Also draw light color bands behind the first data panel
+        const first = L.data[0];
+        if (!first) return;
         for (const layer of this.layers) {
             const y1 = Math.max(this._d2y(layer.startDepth, L), L.plotT);
             const y2 = Math.min(this._d2y(layer.endDepth, L), L.plotB);
             if (y2 <= y1) continue;
             c.fillStyle = layer.zone.color;
             c.globalAlpha = 0.08;
-            c.fillRect(L.qc.l, y1, L.qc.w, y2 - y1);
+            c.fillRect(first.l, y1, first.w, y2 - y1);
             c.globalAlpha = 1;
         }
     }
 
+    // ---- Highlighted intervals ----
+
+    _drawHighlights(c, L) {
+        if (!this.highlights) return;
+        const totalL = L.soil.l;
+        const totalR = L.right;
+        for (const h of this.highlights) {
+            const y1 = Math.max(this._d2y(h.startDepth, L), L.plotT);
+            const y2 = Math.min(this._d2y(h.endDepth, L), L.plotB);
+            if (y2 <= y1) continue;
+            c.fillStyle = this.COLORS.highlight;
+            c.fillRect(totalL, y1, totalR - totalL, Math.max(1, y2 - y1));
+            c.fillStyle = this.COLORS.highlightEdge;
+            c.fillRect(totalL, y1, 2, Math.max(1, y2 - y1));
+        }
+    }
+
+    _drawFlags(c, L) {
+        if (!this.flags) return;
+        const totalL = L.soil.l;
+        const totalR = L.right;
+        for (const f of this.flags) {
+            const y1 = Math.max(this._d2y(f.startDepth, L), L.plotT);
+            const y2 = Math.min(this._d2y(f.endDepth, L), L.plotB);
+            if (y2 < y1) continue;
+            c.fillStyle = this.COLORS.flag;
+            c.fillRect(totalL, y1, totalR - totalL, Math.max(1, y2 - y1));
+            c.fillStyle = this.COLORS.flagEdge;
+            c.fillRect(totalR - 3, y1, 3, Math.max(2, y2 - y1));
+        }
+    }
+
     // ---- Grid ----
 
-    _drawGridH(c, L) {
+    /**
+     * Horizontal ticks for the current viewport: nice depth steps, or nice
+     * NAP levels when the axis is in NAP mode.
+     * @returns {Array} [{ depth, value, major }]
+     */
+    _depthTicks() {
         const range = this.depthViewMax - this.depthViewMin;
         const step = this._niceStep(range, 8);
-        const totalL = L.soil.l;
-        const totalR = L.rf.l + L.rf.w;
+        const ticks = [];
+
+        if (this._axisMode() === 'nap') {
+            const top = this.surfaceLevel - this.depthViewMin;
+            const bottom = this.surfaceLevel - this.depthViewMax;
+            for (let v = Math.floor(top / step) * step; v >= bottom; v = +(v - step).toFixed(6)) {
+                ticks.push({ depth: this.surfaceLevel - v, value: v, major: Math.abs(v - Math.round(v)) < 0.001 });
+            }
+            return ticks;
+        }
 
         for (let d = Math.ceil(this.depthViewMin / step) * step; d <= this.depthViewMax; d = +(d + step).toFixed(6)) {
-            const y = Math.round(this._d2y(d, L)) + 0.5;
+            ticks.push({ depth: d, value: d, major: Math.abs(d - Math.round(d)) < 0.001 });
+        }
+        return ticks;
+    }
+
+    _drawGridH(c, L) {
+        const totalL = L.soil.l;
+        const totalR = L.right;
+
+        for (const t of this._depthTicks()) {
+            const y = Math.round(this._d2y(t.depth, L)) + 0.5;
             if (y < L.plotT || y > L.plotB) continue;
-            const major = Math.abs(d - Math.round(d)) < 0.001;
-            c.strokeStyle = major ? this.COLORS.gridMajor : this.COLORS.grid;
+            c.strokeStyle = t.major ? this.COLORS.gridMajor : this.COLORS.grid;
             c.lineWidth = 1;
             c.beginPath();
             c.moveTo(totalL, y);
@@ -270,9 +563,8 @@ class CptChart {
         }
     }
 
-    _drawGridV(c, L, panel, maxVal) {
+    _drawGridV(c, L, panel) {
         const steps = Math.max(2, Math.min(6, Math.floor(panel.w / 35)));
-        const step = maxVal / steps;
 
         for (let i = 1; i < steps; i++) {
             const x = Math.round(panel.l + (i / steps) * panel.w) + 0.5;
@@ -287,29 +579,47 @@ class CptChart {
 
     // ---- Headers ----
 
-    _drawPanelHeader(c, L, panel, label, color, maxVal) {
+    _headerParts(pp) {
+        if (pp.series.length === 1) return [{ text: pp.label, color: pp.series[0].color }];
+        // Several series: color each name, unit in neutral text
+        const unit = pp.label.match(/ \([^)]*\)$/);
+        const parts = [];
+        pp.series.forEach((s, i) => {
+            if (i > 0) parts.push({ text: ' / ', color: this.COLORS.textBright });
+            parts.push({ text: PanelConfig.seriesLabel(s.key, this.columns), color: s.color });
+        });
+        if (unit) parts.push({ text: unit[0], color: this.COLORS.textBright });
+        return parts;
+    }
+
+    _drawPanelHeader(c, L, panel, parts, minVal, maxVal) {
         const cx = panel.l + panel.w / 2;
 
-        // Label
-        c.textAlign = 'center';
+        // Label, centered over the panel, one color per part
+        c.textAlign = 'left';
         c.textBaseline = 'top';
         c.font = `600 ${L.narrow ? 9 : 10}px Inter, system-ui, sans-serif`;
-        c.fillStyle = color;
-        c.fillText(label, cx, 3);
+        const widths = parts.map(p => c.measureText(p.text).width);
+        let x = cx - widths.reduce((a, b) => a + b, 0) / 2;
+        parts.forEach((p, i) => {
+            c.fillStyle = p.color;
+            c.fillText(p.text, x, 3);
+            x += widths[i];
+        });
 
-        // Scale ticks (0 and max)
+        // Scale ticks (min and max)
         if (maxVal !== null && panel.w > 30) {
             c.font = `${L.narrow ? 7 : 9}px JetBrains Mono, monospace`;
             c.fillStyle = this.COLORS.text;
             c.textAlign = 'left';
-            c.fillText('0', panel.l + 2, 15);
+            c.fillText(this._fmtScale(minVal), panel.l + 2, 15);
             c.textAlign = 'right';
             c.fillText(this._fmtScale(maxVal), panel.l + panel.w - 2, 15);
 
             // Middle tick
             if (panel.w > 60) {
                 c.textAlign = 'center';
-                c.fillText(this._fmtScale(maxVal / 2), cx, 15);
+                c.fillText(this._fmtScale((minVal + maxVal) / 2), cx, 15);
             }
         }
     }
@@ -317,36 +627,41 @@ class CptChart {
     // ---- Depth axis ----
 
     _drawDepthAxis(c, L) {
-        const range = this.depthViewMax - this.depthViewMin;
-        const step = this._niceStep(range, 8);
+        const mode = this._axisMode();
 
         c.textAlign = 'right';
         c.textBaseline = 'middle';
         c.font = `${L.narrow ? 8 : 9}px JetBrains Mono, monospace`;
-        c.fillStyle = this.COLORS.text;
 
-        for (let d = Math.ceil(this.depthViewMin / step) * step; d <= this.depthViewMax; d = +(d + step).toFixed(6)) {
-            const y = this._d2y(d, L);
+        for (const t of this._depthTicks()) {
+            const y = this._d2y(t.depth, L);
             if (y < L.plotT + 6 || y > L.plotB - 3) continue;
-            c.fillText(d.toFixed(1), L.depthW - 4, y);
+            c.fillStyle = this.COLORS.text;
+            c.fillText(t.value.toFixed(1), L.depthW - 4, y);
+            // Dual axis: NAP level of the same line in a second column
+            if (L.dual) {
+                c.fillStyle = this.COLORS.nap;
+                c.fillText((this.surfaceLevel - t.depth).toFixed(1), L.depthW - 38, y);
+            }
         }
 
         // Vertical label
         if (!L.narrow) {
+            const label = { depth: 'Diepte (m-mv)', nap: 'Niveau (m NAP)', dual: 'm-mv  |  m NAP' }[mode];
             c.save();
             c.translate(10, L.plotT + L.plotH / 2);
             c.rotate(-Math.PI / 2);
             c.textAlign = 'center';
             c.font = '600 9px Inter, system-ui, sans-serif';
             c.fillStyle = this.COLORS.text;
-            c.fillText('Diepte (m)', 0, 0);
+            c.fillText(label, 0, 0);
             c.restore();
         }
     }
 
     // ---- Data lines ----
 
-    _drawLine(c, L, panel, key, maxVal, color, lw) {
+    _drawLine(c, L, panel, key, minVal, maxVal, color, lw) {
         if (!this.data) return;
         c.save();
         c.beginPath();
@@ -363,7 +678,7 @@ class CptChart {
             const d = this.depths[i];
             const v = this.data[i][key];
             if (d === null || v == null) { on = false; continue; }
-            const x = panel.l + (v / maxVal) * panel.w;
+            const x = this._v2x(panel, v, minVal, maxVal);
             const y = this._d2y(d, L);
             if (!on) { c.moveTo(x, y); on = true; } else { c.lineTo(x, y); }
         }
@@ -371,15 +686,96 @@ class CptChart {
         c.restore();
     }
 
+    // ---- Extra panels ----
+
+    _drawExtraPanel(c, L, panel, ep) {
+        c.save();
+        c.beginPath();
+        c.rect(panel.l, L.plotT, panel.w, L.plotH);
+        c.clip();
+
+        if (ep.shadeBelow != null) this._drawExtraShading(c, L, panel, ep);
+
+        for (const s of ep.series) {
+            c.strokeStyle = s.color;
+            c.fillStyle = s.color;
+            c.lineWidth = 1.4;
+            c.lineJoin = 'round';
+            c.beginPath();
+            let on = false;
+            for (const pt of s.points) {
+                if (pt.value == null) { on = false; continue; }
+                const x = panel.l + (Math.max(0, pt.value) / ep.max) * panel.w;
+                const y = this._d2y(pt.depth, L);
+                if (!on) { c.moveTo(x, y); on = true; } else { c.lineTo(x, y); }
+            }
+            c.stroke();
+            if (s.dots) {
+                for (const pt of s.points) {
+                    if (pt.value == null) continue;
+                    const x = panel.l + (Math.max(0, pt.value) / ep.max) * panel.w;
+                    c.fillRect(x - 1.5, this._d2y(pt.depth, L) - 1.5, 3, 3);
+                }
+            }
+        }
+        c.restore();
+    }
+
+    _drawExtraShading(c, L, panel, ep) {
+        const pts = ep.points.filter(p => p.value != null);
+        c.fillStyle = this.COLORS.shade;
+        for (let i = 0; i < pts.length; i++) {
+            if (pts[i].value >= ep.shadeBelow) continue;
+            const prev = i > 0 ? pts[i - 1].depth : pts[i].depth;
+            const next = i < pts.length - 1 ? pts[i + 1].depth : pts[i].depth;
+            const y1 = this._d2y((prev + pts[i].depth) / 2, L);
+            const y2 = this._d2y((pts[i].depth + next) / 2, L);
+            c.fillRect(panel.l, Math.min(y1, y2), panel.w, Math.max(1, Math.abs(y2 - y1)));
+        }
+
+        const x = panel.l + (ep.shadeBelow / ep.max) * panel.w;
+        c.strokeStyle = this.COLORS.shadeLine;
+        c.lineWidth = 1;
+        c.setLineDash([4, 3]);
+        c.beginPath();
+        c.moveTo(x, L.plotT);
+        c.lineTo(x, L.plotB);
+        c.stroke();
+        c.setLineDash([]);
+    }
+
     // ---- Crosshair + markers ----
 
+    _drawMarkers(c, L) {
+        if (!this.markers) return;
+        c.font = '9px JetBrains Mono, monospace';
+        c.textAlign = 'left';
+        c.textBaseline = 'bottom';
+        for (const m of this.markers) {
+            const y = Math.round(this._d2y(m.depth, L)) + 0.5;
+            if (y < L.plotT || y > L.plotB) continue;
+            c.strokeStyle = this.COLORS.depthMarker;
+            c.lineWidth = 1;
+            c.setLineDash([6, 3]);
+            c.beginPath();
+            c.moveTo(L.soil.l, y);
+            c.lineTo(L.right, y);
+            c.stroke();
+            c.setLineDash([]);
+            if (m.label) {
+                c.fillStyle = this.COLORS.depthMarker;
+                c.fillText(m.label, L.soil.l + L.soil.w + 4, y - 2);
+            }
+        }
+    }
+
     _drawCrosshair(c, L) {
-        if (this.hoverY === null) return;
-        const y = this.hoverY;
-        if (y < L.plotT || y > L.plotB) return;
+        let y = this.hoverY;
+        if (y === null && this.linkedDepth !== null) y = this._d2y(this.linkedDepth, L);
+        if (y === null || y < L.plotT || y > L.plotB) return;
 
         const totalL = L.soil.l;
-        const totalR = L.rf.l + L.rf.w;
+        const totalR = L.right;
 
         // Horizontal dashed line
         c.strokeStyle = this.COLORS.crosshair;
@@ -393,7 +789,11 @@ class CptChart {
 
         // Depth label box
         const depth = this._y2d(y, L);
-        const txt = depth.toFixed(2) + ' m';
+        const mode = this._axisMode();
+        const level = this.surfaceLevel - depth;
+        const txt = mode === 'nap' ? level.toFixed(2) + ' m'
+            : mode === 'dual' ? `${level.toFixed(2)} / ${depth.toFixed(2)}`
+            : depth.toFixed(2) + ' m';
         c.font = '9px JetBrains Mono, monospace';
         const tw = c.measureText(txt).width;
         c.fillStyle = 'rgba(22,27,34,0.92)';
@@ -409,14 +809,27 @@ class CptChart {
         const row = this.data[idx];
         const my = this._d2y(this.depths[idx], L);
 
-        this._marker(c, L.qc, row.qc, this.qcMax, my, this.COLORS.qc);
-        this._marker(c, L.fs, row.fs, this.fsMax, my, this.COLORS.fs);
-        this._marker(c, L.rf, row.rf, this.rfMax, my, this.COLORS.rf);
+        L.data.forEach((p, i) => {
+            const pp = this.plotPanels[i];
+            for (const s of pp.series) this._marker(c, p, row[s.key], pp.min, pp.max, my, s.color);
+        });
+
+        for (const p of L.extra) {
+            const ep = this.extraPanels.get(p.id);
+            for (const s of ep.series) {
+                let best = null;
+                for (const pt of s.points) {
+                    if (pt.value == null) continue;
+                    if (!best || Math.abs(pt.depth - depth) < Math.abs(best.depth - depth)) best = pt;
+                }
+                if (best) this._marker(c, p, best.value, 0, ep.max, this._d2y(best.depth, L), s.color);
+            }
+        }
     }
 
-    _marker(c, panel, val, maxVal, y, color) {
+    _marker(c, panel, val, minVal, maxVal, y, color) {
         if (val == null) return;
-        const x = panel.l + (val / maxVal) * panel.w;
+        const x = this._v2x(panel, Math.min(maxVal, Math.max(minVal, val)), minVal, maxVal);
         c.fillStyle = color;
         c.beginPath();
         c.arc(x, y, 3.5, 0, Math.PI * 2);
@@ -426,6 +839,10 @@ class CptChart {
         c.stroke();
     }
 
+    _v2x(panel, v, minVal, maxVal) {
+        return panel.l + ((v - minVal) / (maxVal - minVal)) * panel.w;
+    }
+
     _nearest(targetDepth) {
         if (!this.depths) return -1;
         let bi = -1, bd = Infinity;
@@ -450,23 +867,28 @@ class CptChart {
             this.depthViewMin = this.panStartDepthMin - dy * dPerPx;
             this.depthViewMax = this.panStartDepthMax - dy * dPerPx;
             this.draw();
+            this._emitView();
             return;
         }
 
         this.hoverY = y;
+        this.linkedDepth = null;
         this.draw();
 
+        const L = this._layout();
+        const inPlot = y >= L.plotT && y <= L.plotB;
+        if (this.onCrosshair) this.onCrosshair(inPlot ? this._y2d(y, L) : null);
+
         if (this.onHover && this.data) {
-            const L = this._layout();
-            if (y >= L.plotT && y <= L.plotB) {
+            if (inPlot) {
                 const depth = this._y2d(y, L);
                 const idx = this._nearest(depth);
                 if (idx >= 0) {
                     const row = this.data[idx];
                     this.onHover({
+                        index: idx,
                         depth: this.depths[idx],
                         qc: row.qc, fs: row.fs, rf: row.rf,
-                        zone: Robertson.classify(row.qc, row.rf),
                     });
                 }
             } else {
@@ -479,6 +901,7 @@ class CptChart {
         this.hoverY = null;
         this.isPanning = false;
         this.draw();
+        if (this.onCrosshair) this.onCrosshair(null);
         if (this.onHover) this.onHover(null);
     }
 
@@ -512,6 +935,7 @@ class CptChart {
         this.depthViewMin = nMin;
         this.depthViewMax = nMax;
         this.draw();
+        this._emitView();
     }
 
     zoomIn() {
@@ -521,6 +945,7 @@ class CptChart {
         this.depthViewMin = c - r / 2;
         this.depthViewMax = c + r / 2;
         this.draw();
+        this._emitView();
     }
 
     zoomOut() {
@@ -529,12 +954,18 @@ class CptChart {
         this.depthViewMin = c - r / 2;
         this.depthViewMax = c + r / 2;
         this.draw();
+        this._emitView();
     }
 
     zoomFit() {
         this.depthViewMin = this.depthMin;
         this.depthViewMax = this.depthMax;
         this.draw();
+        this._emitView();
+    }
+
+    _emitView() {
+        if (this.onViewChange) this.onViewChange(this.depthViewMin, this.depthViewMax);
     }
 
     // ---- Utility ----
@@ -552,6 +983,7 @@ class CptChart {
 
     _fmtScale(v) {
         if (v === 0) return '0';
+        if (v < 0) return '-' + this._fmtScale(-v);
         if (v >= 10) return v % 1 === 0 ? v.toString() : v.toFixed(0);
         if (v >= 1) return v % 1 === 0 ? v.toString() : v.toFixed(1);
         if (v >= 0.1) return v.toFixed(1);
@@ -0,0 +1,147 @@
+/**
+ * CPT corrections — computed columns from the measured data
+ *
+ *   qt      = qc + u2·(1 − a)           corrected_qc, needs u2 and the cone area ratio a
+ *   Rf(qt)  = fs / qt · 100             rf_qt, only where qt was measured or corrected
+ *   qnet    = qt − σv0                  net_qc
+ *   Bq      = (u2 − u0) / (qt − σv0)    pore_ratio, needs u2
+ *
+ *   depth   = Σ ΔL·cos(inclination)      depth, where not measured
+ *
+ * qt, Rf(qt) and depth depend on the data only and are added by the parsers;
+ * qnet and Bq depend on the stress parameters and are (re)computed by the
+ * application with its current stress options. Without a qt column, qnet
+ * and Bq use qc, as the classifiers do. Measured columns are never
+ * overwritten; added columns are flagged computed: true.
+ */
+
+const CPT_CORRECTION_COLUMNS = {
+    corrected_qc: { key: 'corrected_qc', label: 'Gecorr. conusweerstand (berekend)', unit: 'MPa', computed: true },
+    net_qc:       { key: 'net_qc',       label: 'Netto conusweerstand (berekend)',   unit: 'MPa', computed: true },
+    pore_ratio:   { key: 'pore_ratio',   label: 'Poriënratio Bq (berekend)',         unit: '-',   computed: true },
+    rf_qt:        { key: 'rf_qt',        label: 'Wrijvingsgetal op qt (berekend)',   unit: '%',   computed: true },
+};
+
+// Inclination columns, resultant first; a pair gives the resultant from its two components
+const CPT_INCLINATION_SOURCES = [['inclination'], ['incl_ns', 'incl_ew'], ['incl_x', 'incl_y']];
+
+class CptCorrections {
+    /**
+     * Add qt and Rf(qt) columns.
+     * @param {Array} data - Data rows, extended in place
+     * @param {Array} columns - Column map, extended in place
+     * @param {number|undefined} areaRatio - Net area ratio a of the cone (header coneAreaRatio)
+     */
+    static applyQt(data, columns, areaRatio) {
+        const has = key => columns.some(c => c.key === key);
+
+        if (!has('corrected_qc') && has('qc') && has('u2') && areaRatio > 0 && areaRatio <= 1) {
+            for (const row of data) {
+                row.corrected_qc = row.qc !== null && row.u2 !== null ? row.qc + row.u2 * (1 - areaRatio) : null;
+            }
+            columns.push({ ...CPT_CORRECTION_COLUMNS.corrected_qc });
+        }
+
+        if (!has('rf_qt') && has('corrected_qc') && has('fs')) {
+            for (const row of data) {
+                row.rf_qt = row.corrected_qc > 0 && row.fs !== null ? (row.fs / row.corrected_qc) * 100 : null;
+            }
+            columns.push({ ...CPT_CORRECTION_COLUMNS.rf_qt });
+        }
+    }
+
+    /**
+     * Fill in the depth of rows without one by integrating cos(inclination)
+     * over the penetration length, starting from the previous row with a
+     * depth (or vertically from the first reading). Without inclination data
+     * the depth equals the length. Adds a depth column when there is none,
+     * and a depth_offset column (length - depth) when inclination was used.
+     * @param {Array} data - Data rows, updated in place
+     * @param {Array} columns - Column map, extended in place
+     * @param {number} [sign=1] - Sign of the stored depth (GEF computes depth as negative)
+     * @returns {object|null} { rows, inclination, length, offset } — rows filled,
+     *   whether inclination was used, the final penetration length and
+     *   length - depth there (m); null when nothing was filled
+     */
+    static applyDepth(data, columns, sign = 1) {
+        const has = key => columns.some(c => c.key === key);
+        if (!has('length')) return null;
+
+        const source = CptCorrections.inclinationSource(columns);
+        const angle = row => CptCorrections.inclination(row, source);
+
+        let rows = 0;
+        let prev = null;       // { length, depth, theta } of the previous row
+        for (const row of data) {
+            if (row.length === null) continue;
+            // Missing readings take the last known inclination
+            const theta = angle(row) !== null ? angle(row) : (prev ? prev.theta : null);
+            let depth;
+            if (row.depth != null) {
+                depth = Math.abs(row.depth);
+            } else {
+                const prevTheta = prev && prev.theta !== null ? prev.theta : theta;
+                const mean = theta !== null ? (theta + prevTheta) / 2 : 0;
+                depth = prev ? prev.depth + (row.length - prev.length) * Math.cos(mean * Math.PI / 180) : row.length;
+                row.depth = sign * depth;
+                rows++;
+            }
+            prev = { length: row.length, depth, theta };
+        }
+        if (!rows) return null;
+
+        if (!has('depth')) {
+            columns.push({ key: 'depth', label: source ? 'Diepte (hellingsgecorrigeerd)' : 'Diepte (berekend)', unit: 'm', computed: true });
+        }
+        if (!source) return { rows, inclination: false, length: prev.length, offset: 0 };
+
+        for (const r of data) {
+            r.depth_offset = r.length !== null && r.depth != null ? r.length - Math.abs(r.depth) : null;
+        }
+        if (!has('depth_offset')) {
+            columns.push({ key: 'depth_offset', label: 'Verschil lengte - diepte (berekend)', unit: 'm', computed: true });
+        }
+        return { rows, inclination: true, length: prev.length, offset: prev.length - prev.depth };
+    }
+
+    /** Inclination columns of a dataset (see CPT_INCLINATION_SOURCES), undefined without any. */
+    static inclinationSource(columns) {
+        return CPT_INCLINATION_SOURCES.find(keys => keys.every(key => columns.some(c => c.key === key)));
+    }
+
+    /** Resultant inclination of a row (degrees), null when not measured. */
+    static inclination(row, source) {
+        if (!source) return null;
+        if (source.length === 1) return row[source[0]];
+        const [a, b] = source.map(k => row[k]);
+        if (a === null || b === null) return null;
+        const rad = Math.PI / 180;
+        return Math.atan(Math.hypot(Math.tan(a * rad), Math.tan(b * rad))) / rad;
+    }
+
+    /**
+     * Add or refresh the qnet and Bq columns for the given stress parameters.
+     * @param {Array} data - Data rows, updated in place
+     * @param {Array} columns - Column map, extended in place
+     * @param {object} [stressOptions] - See ROBERTSON_STRESS_DEFAULTS
+     */
+    static applyStress(data, columns, stressOptions = {}) {
+        const column = key => columns.find(c => c.key === key);
+        if (!column('qc')) return;
+        const netQc = !column('net_qc') || column('net_qc').computed;
+        const bq = column('u2') && (!column('pore_ratio') || column('pore_ratio').computed);
+        if (!netQc && !bq) return;
+
+        const stress = Robertson.computeStress(data, stressOptions);
+        data.forEach((row, i) => {
+            const s = stress[i];
+            const qt = row.corrected_qc != null ? row.corrected_qc : row.qc;
+            const qnet = qt !== null && s.sigmaV0 !== null ? qt - s.sigmaV0 / 1000 : null;
+            if (netQc) row.net_qc = qnet;
+            if (bq) row.pore_ratio = qnet > 0 && row.u2 !== null ? (row.u2 - s.u0 / 1000) / qnet : null;
+        });
+
+        if (netQc && !column('net_qc')) columns.push({ ...CPT_CORRECTION_COLUMNS.net_qc });
+        if (bq && !column('pore_ratio')) columns.push({ ...CPT_CORRECTION_COLUMNS.pore_ratio });
+    }
+}
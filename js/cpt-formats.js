@@ -0,0 +1,165 @@
+/**
+ * CPT file formats — format detection by content and unit conversion
+ *
+ * detect() looks at the start of a file rather than its extension:
+ *   gef   a #GEFID (or any #KEYWORD=) header with #EOH
+ *   bro   XML (BroXmlParser checks for a CPT_O object itself)
+ *   ags4  AGS4 data, the first row a "GROUP" row
+ *   csv   delimited text with a consistent number of fields per line
+ * The extension is only used when the content does not decide.
+ *
+ * The importers without fixed units (AGS4, CSV) convert the values to the
+ * units the viewer uses (MPa, m, %, ...) with unitFactor().
+ */
+
+const CPT_FORMATS = {
+    gef:  { label: 'GEF',     encoding: 'iso-8859-1' },
+    bro:  { label: 'BRO-XML', encoding: 'utf-8' },
+    ags4: { label: 'AGS4',    encoding: 'utf-8' },
+    csv:  { label: 'CSV',     encoding: 'utf-8' },
+};
+
+// Format by file extension (lower case)
+const CPT_FORMAT_EXTENSIONS = { gef: 'gef', xml: 'bro', ags: 'ags4', csv: 'csv' };
+
+// Standard unit per quantity (the first), with the factor from each unit to
+// it; units are matched case and space insensitive
+const CPT_QUANTITY_UNITS = {
+    pressure:    { MPa: 1, kPa: 0.001, Pa: 1e-6, 'kN/m2': 0.001, 'MN/m2': 1, bar: 0.1, tsf: 0.0957605 },
+    length:      { m: 1, cm: 0.01, mm: 0.001, ft: 0.3048 },
+    ratio:       { '%': 1 },
+    angle:       { graden: 1, deg: 1, '°': 1 },
+    time:        { s: 1, min: 60, h: 3600 },
+    speed:       { 'mm/s': 1, 'cm/s': 10, 'm/s': 1000 },
+    temperature: { '°C': 1, C: 1, degC: 1 },
+};
+
+// Quantity of the columns the viewer knows; columns not listed keep their unit
+const CPT_KEY_QUANTITIES = {
+    length: 'length', depth: 'length',
+    qc: 'pressure', corrected_qc: 'pressure', net_qc: 'pressure', fs: 'pressure',
+    u1: 'pressure', u2: 'pressure', u3: 'pressure',
+    rf: 'ratio', rf_qt: 'ratio',
+    inclination: 'angle', incl_ns: 'angle', incl_ew: 'angle', incl_x: 'angle', incl_y: 'angle',
+    time: 'time', speed: 'speed', temp: 'temperature',
+};
+
+const CPT_FORMAT_SNIFF_LENGTH = 8192;
+
+class CptFormats {
+    /**
+     * Format of a file from its contents.
+     * @param {string} text - File contents (or at least its start)
+     * @param {string} [fileName] - Used when the content does not decide
+     * @returns {string|null} Key of CPT_FORMATS, null when not recognized
+     */
+    static detect(text, fileName = '') {
+        const head = text.slice(0, CPT_FORMAT_SNIFF_LENGTH).replace(/^(\uFEFF|\xEF\xBB\xBF)/, '').replace(/^\s+/, '');
+        if (/^#GEFID\s*=/i.test(head) || (/^#\w+\s*=/.test(head) && /^#EOH\s*=/im.test(text))) return 'gef';
+        if (head.startsWith('<')) return 'bro';
+        if (/^"GROUP"\s*,/.test(head)) return 'ags4';
+
+        const byExtension = CptFormats.formatByExtension(fileName);
+        if (byExtension && byExtension !== 'csv') return byExtension;
+        return CsvImport.dialect(head) ? 'csv' : null;
+    }
+
+    /**
+     * Format of a file from its extension alone.
+     * @param {string} fileName
+     * @returns {string|null} Key of CPT_FORMATS, null for other extensions
+     */
+    static formatByExtension(fileName) {
+        const ext = (fileName.match(/\.(\w+)$/) || [])[1];
+        return CPT_FORMAT_EXTENSIONS[(ext || '').toLowerCase()] || null;
+    }
+
+    /**
+     * Detect the format of a file and decode it with the encoding of that
+     * format. UTF-8 formats fall back to Windows-1252 when the file is not
+     * valid UTF-8; XML follows the encoding in its declaration.
+     * @param {ArrayBuffer} buffer - File contents
+     * @param {string} [fileName]
+     * @returns {object} { format, text } — format null when not recognized
+     */
+    static decode(buffer, fileName = '') {
+        const bytes = new Uint8Array(buffer);
+        // Single-byte decoding keeps the ASCII structure the detection looks at
+        const head = new TextDecoder('iso-8859-1').decode(bytes.subarray(0, CPT_FORMAT_SNIFF_LENGTH));
+        const format = CptFormats.detect(head, fileName);
+        let encoding = format ? CPT_FORMATS[format].encoding : 'utf-8';
+        if (format === 'bro') {
+            const m = head.match(/^(?:\xEF\xBB\xBF)?<\?xml[^>]*encoding=["']([\w-]+)["']/i);
+            if (m) encoding = m[1].toLowerCase();
+        }
+
+        if (encoding === 'utf-8') {
+            try {
+                return { format, text: new TextDecoder('utf-8', { fatal: true }).decode(bytes) };
+            } catch (e) {
+                encoding = 'windows-1252';
+            }
+        }
+        let decoder;
+        try {
+            decoder = new TextDecoder(encoding);
+        } catch (e) {
+            decoder = new TextDecoder('iso-8859-1');  // Unknown encoding label
+        }
+        return { format, text: decoder.decode(bytes) };
+    }
+
+    /**
+     * Factor from a unit to the standard unit of a column key.
+     * @param {string} key - Column key
+     * @param {string} unit - Unit as given in the file
+     * @returns {number|null} Factor; 1 for keys without a known quantity or
+     *   without a unit; null for an unknown unit
+     */
+    static unitFactor(key, unit) {
+        const factors = CPT_QUANTITY_UNITS[CPT_KEY_QUANTITIES[key]];
+        const norm = u => String(u || '').toLowerCase().replace(/\s+/g, '');
+        if (!factors || !norm(unit) || norm(unit) === '-') return 1;
+        const match = Object.keys(factors).find(u => norm(u) === norm(unit));
+        return match ? factors[match] : null;
+    }
+
+    /** Value times a unit factor, without the rounding noise of the multiplication. */
+    static convert(value, factor) {
+        return factor === 1 ? value : parseFloat((value * factor).toPrecision(12));
+    }
+
+    /** Standard unit of a column key, null when the key has no known quantity. */
+    static standardUnit(key) {
+        return CptFormats.unitsFor(key)[0] || null;
+    }
+
+    /** Units that convert to the standard unit of a column key, standard unit first. */
+    static unitsFor(key) {
+        const factors = CPT_QUANTITY_UNITS[CPT_KEY_QUANTITIES[key]];
+        return factors ? Object.keys(factors) : [];
+    }
+
+    /**
+     * Derived columns of imported data, as the GEF and BRO-XML parsers add
+     * them: depth from length and inclination, Rf from qc / fs, qt from u2.
+     * @param {Array} data - Data rows, extended in place
+     * @param {Array} columns - Column map, extended in place
+     * @param {object} meta - Header; gets depthCorrection when depths were filled
+     */
+    static computeDerived(data, columns, meta) {
+        const hasKey = key => columns.some(c => c.key === key);
+
+        const correction = CptCorrections.applyDepth(data, columns);
+        if (correction) meta.depthCorrection = correction;
+
+        if (!hasKey('rf') && hasKey('qc') && hasKey('fs')) {
+            for (const row of data) {
+                row.rf = row.qc !== null && row.fs !== null && row.qc !== 0 ? (row.fs / row.qc) * 100 : null;
+            }
+            columns.push({ key: 'rf', label: 'Wrijvingsgetal (berekend)', unit: '%', computed: true });
+        }
+
+        CptCorrections.applyQt(data, columns, meta.coneAreaRatio);
+    }
+}
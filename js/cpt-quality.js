@@ -0,0 +1,220 @@
+/**
+ * CPT data quality — checks against the application classes of NEN-EN-ISO 22476-1
+ *
+ * The application class claimed in the metadata (BRO qualityClass, GEF
+ * #MEASUREMENTTEXT 6) sets the requirements; the measured data is checked on
+ *   - the largest length interval between readings (table 2)
+ *   - the inclination: maximum, and sudden changes between readings larger
+ *     than the inclination accuracy of the class
+ *   - the penetration rate, 20 ± 5 mm/s, from a speed column or from time
+ *     and length
+ *   - the zero drift of qc, fs and u (readings after minus before the test)
+ *     against the accuracy of the class
+ *
+ * Each criterion passes (true), fails (false) or cannot be checked with the
+ * data at hand (null). Failing criteria list the depth ranges (m below
+ * surface) where the data does not meet the requirement.
+ */
+
+// Requirements per application class (table 2): accuracy of qc, fs and u in
+// MPa (absolute part), inclination in degrees, reading interval in m
+const QUALITY_CLASSES = {
+    1: { qc: 0.035, fs: 0.005, u: 0.010, inclination: 2, interval: 0.02 },
+    2: { qc: 0.100, fs: 0.015, u: 0.025, inclination: 2, interval: 0.02 },
+    3: { qc: 0.200, fs: 0.025, u: 0.050, inclination: 5, interval: 0.05 },
+    4: { qc: 0.500, fs: 0.050, u: null,  inclination: 5, interval: 0.05 },
+};
+
+const QUALITY_LIMITS = {
+    speed: 20,               // mm/s, standard penetration rate
+    speedTolerance: 5,       // mm/s
+    maxInclination: 15,      // degrees; beyond this the test is normally stopped
+    pauseTime: 10,           // s; longer intervals are stops (rod changes), not penetration
+    intervalTolerance: 0.002, // m, rounding of the lengths in the file
+};
+
+// Zero load readings before / after the test, by measured quantity
+const QUALITY_ZERO_DRIFT = [
+    { key: 'qc', label: 'qc', before: 'zeroQcBefore', after: 'zeroQcAfter' },
+    { key: 'fs', label: 'fs', before: 'zeroFsBefore', after: 'zeroFsAfter' },
+    { key: 'u',  label: 'u1', before: 'zeroU1Before', after: 'zeroU1After' },
+    { key: 'u',  label: 'u2', before: 'zeroU2Before', after: 'zeroU2After' },
+    { key: 'u',  label: 'u3', before: 'zeroU3Before', after: 'zeroU3After' },
+];
+
+class CptQuality {
+    /**
+     * Application class claimed in the metadata.
+     * @param {object} meta - Dataset header
+     * @returns {number|null} 1 to 4, null when not given
+     */
+    static claimedClass(meta) {
+        const text = `${meta.qualityClass || ''} ${meta.cptStandard || ''}`;
+        const m = text.match(/(?:klasse|class)\s*([1-4])\b/i);
+        return m ? parseInt(m[1], 10) : null;
+    }
+
+    /**
+     * Check a CPT against the requirements of an application class.
+     * @param {object} ds - Dataset { header, columns, data }
+     * @param {number} [applicationClass] - Class to check; default the claimed class
+     * @returns {object|null} { applicationClass, claimed, pass, criteria: [{ id, label,
+     *   requirement, value, pass, ranges: [{ startDepth, endDepth }] }] };
+     *   null without a class to check
+     */
+    static assess(ds, applicationClass) {
+        const claimed = CptQuality.claimedClass(ds.header);
+        const cls = applicationClass || claimed;
+        const req = QUALITY_CLASSES[cls];
+        if (!req) return null;
+
+        const rows = CptQuality._rows(ds.data);
+        const criteria = [
+            CptQuality._interval(rows, req),
+            ...CptQuality._inclination(rows, ds.columns, req),
+            CptQuality._speed(rows, ds.columns),
+            ...CptQuality._zeroDrift(ds.header, req),
+        ];
+        const checked = criteria.filter(c => c.pass !== null);
+        return {
+            applicationClass: cls,
+            claimed,
+            pass: checked.length ? checked.every(c => c.pass) : null,
+            criteria,
+        };
+    }
+
+    /**
+     * Depth ranges of all failing criteria, merged.
+     * @param {object|null} result - Result of assess
+     * @returns {Array} [{ startDepth, endDepth }]
+     */
+    static failingRanges(result) {
+        if (!result) return [];
+        return CptQuality._merge(result.criteria.flatMap(c => c.ranges));
+    }
+
+    // ---- Criteria ----
+
+    static _interval(rows, req) {
+        const limit = req.interval + QUALITY_LIMITS.intervalTolerance;
+        const ranges = [];
+        let max = 0;
+        for (let i = 1; i < rows.length; i++) {
+            const step = rows[i].length - rows[i - 1].length;
+            if (step > max) max = step;
+            if (step > limit) ranges.push(CptQuality._range(rows[i - 1], rows[i]));
+        }
+        return CptQuality._criterion('interval', 'Meetinterval', `≤ ${req.interval * 1000} mm`,
+            rows.length > 1 ? `max. ${Math.round(max * 1000)} mm` : '-', rows.length > 1 ? !ranges.length : null, ranges);
+    }
+
+    static _inclination(rows, columns, req) {
+        const source = CptCorrections.inclinationSource(columns);
+        if (!source) {
+            return [
+                CptQuality._criterion('inclination', 'Helling', `≤ ${QUALITY_LIMITS.maxInclination}°`, 'niet gemeten', null),
+                CptQuality._criterion('inclination-change', 'Hellingsverandering', `≤ ${req.inclination}° per meting`, 'niet gemeten', null),
+            ];
+        }
+
+        const tooLarge = [], jumps = [];
+        let max = 0, maxJump = 0, prev = null;
+        for (const r of rows) {
+            const theta = CptCorrections.inclination(r.row, source);
+            if (theta === null) continue;
+            if (theta > max) max = theta;
+            if (theta > QUALITY_LIMITS.maxInclination) tooLarge.push(CptQuality._range(prev ? prev.r : r, r));
+            if (prev) {
+                const jump = Math.abs(theta - prev.theta);
+                if (jump > maxJump) maxJump = jump;
+                if (jump > req.inclination) jumps.push(CptQuality._range(prev.r, r));
+            }
+            prev = { r, theta };
+        }
+        return [
+            CptQuality._criterion('inclination', 'Helling', `≤ ${QUALITY_LIMITS.maxInclination}°`,
+                `max. ${max.toFixed(1)}°`, !tooLarge.length, tooLarge),
+            CptQuality._criterion('inclination-change', 'Hellingsverandering', `≤ ${req.inclination}° per meting`,
+                `max. ${maxJump.toFixed(1)}°`, !jumps.length, jumps),
+        ];
+    }
+
+    /** Penetration rate from a speed column (mm/s), else from time and length. */
+    static _speed(rows, columns) {
+        const has = key => columns.some(c => c.key === key);
+        const timeKey = ['time', 'elapsedTime'].find(has);
+        const lo = QUALITY_LIMITS.speed - QUALITY_LIMITS.speedTolerance;
+        const hi = QUALITY_LIMITS.speed + QUALITY_LIMITS.speedTolerance;
+        const requirement = `${lo}–${hi} mm/s`;
+
+        const speeds = [];   // { speed, from, to }
+        if (has('speed')) {
+            rows.forEach((r, i) => {
+                if (r.row.speed !== null) speeds.push({ speed: r.row.speed, from: rows[i - 1] || r, to: r });
+            });
+        } else if (timeKey) {
+            for (let i = 1; i < rows.length; i++) {
+                const a = rows[i - 1], b = rows[i];
+                const dt = b.row[timeKey] - a.row[timeKey];
+                if (a.row[timeKey] === null || b.row[timeKey] === null || !(dt > 0) || dt > QUALITY_LIMITS.pauseTime) continue;
+                speeds.push({ speed: (b.length - a.length) * 1000 / dt, from: a, to: b });
+            }
+        }
+        if (!speeds.length) return CptQuality._criterion('speed', 'Sondeersnelheid', requirement, 'niet gemeten', null);
+
+        const ranges = speeds.filter(s => s.speed < lo || s.speed > hi).map(s => CptQuality._range(s.from, s.to));
+        const mean = speeds.reduce((sum, s) => sum + s.speed, 0) / speeds.length;
+        const share = 100 * (speeds.length - ranges.length) / speeds.length;
+        return CptQuality._criterion('speed', 'Sondeersnelheid', requirement,
+            `gem. ${mean.toFixed(1)} mm/s, ${share.toFixed(0)}% binnen marge`, !ranges.length, ranges);
+    }
+
+    static _zeroDrift(meta, req) {
+        return QUALITY_ZERO_DRIFT
+            .filter(z => typeof meta[z.before] === 'number' && typeof meta[z.after] === 'number')
+            .map(z => {
+                const drift = meta[z.after] - meta[z.before];
+                const limit = req[z.key];
+                const requirement = limit !== null ? `≤ ${limit * 1000} kPa` : 'geen eis';
+                const value = `${(drift * 1000).toFixed(0)} kPa`;
+                return CptQuality._criterion(`zero-${z.label}`, `Nulpuntsverloop ${z.label}`, requirement, value,
+                    limit !== null ? Math.abs(drift) <= limit + 1e-9 : null);
+            });
+    }
+
+    // ---- Helpers ----
+
+    /** Rows with a penetration length: { row, length, depth } (depth in m below surface). */
+    static _rows(data) {
+        return data
+            .filter(r => r.length !== null || r.depth != null)
+            .map(r => {
+                const depth = r.depth != null ? Math.abs(r.depth) : r.length;
+                return { row: r, length: r.length !== null ? r.length : depth, depth };
+            });
+    }
+
+    static _criterion(id, label, requirement, value, pass, ranges = []) {
+        return { id, label, requirement, value, pass, ranges: pass === false ? CptQuality._merge(ranges) : [] };
+    }
+
+    static _range(a, b) {
+        return { startDepth: Math.min(a.depth, b.depth), endDepth: Math.max(a.depth, b.depth) };
+    }
+
+    /** Sort ranges and merge those that overlap or touch. */
+    static _merge(ranges) {
+        const sorted = [...ranges].sort((a, b) => a.startDepth - b.startDepth);
+        const merged = [];
+        for (const r of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && r.startDepth <= last.endDepth + 1e-6) {
+                last.endDepth = Math.max(last.endDepth, r.endDepth);
+            } else {
+                merged.push({ ...r });
+            }
+        }
+        return merged;
+    }
+}
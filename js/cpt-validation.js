@@ -0,0 +1,158 @@
+/**
+ * Parser diagnostics — what a parser skipped, repaired or found suspicious
+ *
+ * Both parsers return diagnostics: [{ severity, message, line, row }]
+ *   severity  'error' | 'warning' | 'info' (see VALIDATION_SEVERITIES)
+ *   line      line number in the file (GEF), null when not applicable
+ *   row       data row (GEF) or data block (BRO-XML) number, 1-based
+ *
+ * ParserDiagnostics collects them during parsing and caps the number of
+ * messages per kind; CptValidation holds the checks both formats share.
+ */
+
+const VALIDATION_SEVERITIES = {
+    error:   'Fout',
+    warning: 'Waarschuwing',
+    info:    'Info',
+};
+
+// Messages of one kind beyond this number are summarized in a single message
+const VALIDATION_MAX_PER_KIND = 20;
+
+// Accepted units per column key, the standard unit first; compared case
+// and space insensitive
+const VALIDATION_UNITS = {
+    length:       ['m'],
+    depth:        ['m', 'm NAP', 'm-mv'],
+    qc:           ['MPa'],
+    corrected_qc: ['MPa'],
+    net_qc:       ['MPa'],
+    fs:           ['MPa'],
+    rf:           ['%'],
+    u1:           ['MPa'],
+    u2:           ['MPa'],
+    u3:           ['MPa'],
+    inclination:  ['graden', 'grad', 'deg', '°'],
+    incl_ns:      ['graden', 'grad', 'deg', '°'],
+    incl_ew:      ['graden', 'grad', 'deg', '°'],
+    time:         ['s'],
+    speed:        ['mm/s'],
+    temp:         ['°C', 'C', 'graden'],
+};
+
+// Largest plausible value per column in its standard unit; above it the
+// column is most likely in kPa instead of MPa (or similar)
+const VALIDATION_MAX_VALUES = {
+    qc: 150, corrected_qc: 150, fs: 5, rf: 50, u1: 10, u2: 10, u3: 10,
+};
+
+class ParserDiagnostics {
+    constructor() {
+        this.items = [];
+        this.counts = {};   // messages per kind, including those not kept
+    }
+
+    /**
+     * @param {string} severity - 'error', 'warning' or 'info'
+     * @param {string} kind - Message kind, for capping
+     * @param {string} message
+     * @param {object} [where] - { line, row }
+     */
+    add(severity, kind, message, where = {}) {
+        this.counts[kind] = (this.counts[kind] || 0) + 1;
+        if (this.counts[kind] > VALIDATION_MAX_PER_KIND) return;
+        this.items.push({ severity, kind, message, line: where.line || null, row: where.row || null });
+    }
+
+    /** Diagnostics, with a closing message per kind that exceeded the cap. */
+    list() {
+        const list = [...this.items];
+        for (const [kind, count] of Object.entries(this.counts)) {
+            if (count <= VALIDATION_MAX_PER_KIND) continue;
+            const first = this.items.find(d => d.kind === kind);
+            list.push({
+                severity: first.severity, kind, line: null, row: null,
+                message: `… en nog ${count - VALIDATION_MAX_PER_KIND} meldingen van dit type`,
+                count: count - VALIDATION_MAX_PER_KIND,
+            });
+        }
+        return list;
+    }
+}
+
+class CptValidation {
+    /**
+     * Checks on the parsed data: void values, declared but empty columns,
+     * non-monotonic and duplicate depths (or times, for a dissipation test).
+     * @param {ParserDiagnostics} diag
+     * @param {Array} data - Data rows
+     * @param {Array} columns - Declared (measured) columns
+     * @param {Array} where - { line, row } per data row
+     * @param {string} [orderKey] - Column that should increase row by row;
+     *   by default depth, else length
+     */
+    static checkData(diag, data, columns, where, orderKey) {
+        for (const col of columns) {
+            const missing = data.reduce((n, r) => n + (r[col.key] === null ? 1 : 0), 0);
+            if (data.length && missing === data.length) {
+                diag.add('warning', 'empty-column', `Kolom ${col.label} (${col.key}) is gedeclareerd maar bevat geen waarden`);
+            } else if (missing) {
+                const first = data.findIndex(r => r[col.key] === null);
+                diag.add('info', 'void', `Kolom ${col.label} (${col.key}): ${missing} lege of void waarden`, where[first]);
+            }
+        }
+
+        // The vertical position (or time) should increase row by row
+        const has = key => columns.some(c => c.key === key);
+        const key = orderKey || (has('depth') ? 'depth' : has('length') ? 'length' : null);
+        if (!key || !has(key)) return;
+        const label = key === 'depth' ? 'Diepte' : key === 'length' ? 'Sondeerlengte' : 'Tijd';
+        const unit = key === 'time' ? 's' : 'm';
+        let prev = null;
+        data.forEach((r, i) => {
+            if (r[key] === null) return;
+            const v = Math.abs(r[key]);
+            if (prev !== null && v < prev) {
+                diag.add('error', 'non-monotonic', `${label} neemt af: ${prev.toFixed(3)} → ${v.toFixed(3)} ${unit}`, where[i]);
+            } else if (prev !== null && v === prev) {
+                diag.add('warning', 'duplicate-depth', `${label} ${v.toFixed(3)} ${unit} komt dubbel voor`, where[i]);
+            }
+            prev = v;
+        });
+    }
+
+    /**
+     * Units that do not match the column's quantity, and values far beyond
+     * the plausible range of the unit.
+     * @param {ParserDiagnostics} diag
+     * @param {Array} data - Data rows
+     * @param {Array} columns - Declared columns { key, label, unit, line }
+     */
+    static checkUnits(diag, data, columns) {
+        for (const col of columns) {
+            const norm = u => String(u || '').toLowerCase().replace(/\s+/g, '');
+            const unit = norm(col.unit);
+            const accepted = VALIDATION_UNITS[col.key];
+            if (accepted && unit && unit !== '-' && !accepted.map(norm).includes(unit)) {
+                diag.add('warning', 'unit', `Kolom ${col.label} heeft eenheid '${col.unit}', verwacht ${accepted[0]}`, { line: col.line });
+            }
+            const limit = VALIDATION_MAX_VALUES[col.key];
+            if (!limit) continue;
+            const max = data.reduce((m, r) => (r[col.key] !== null && Math.abs(r[col.key]) > m ? Math.abs(r[col.key]) : m), 0);
+            if (max > limit) {
+                diag.add('warning', 'unit', `Kolom ${col.label}: maximum ${max} ${col.unit} is onwaarschijnlijk — verkeerde eenheid?`, { line: col.line });
+            }
+        }
+    }
+
+    /**
+     * Count diagnostics by severity, including those summarized by the cap.
+     * @param {Array} diagnostics
+     * @returns {object} { error, warning, info }
+     */
+    static summary(diagnostics) {
+        const counts = { error: 0, warning: 0, info: 0 };
+        for (const d of diagnostics || []) counts[d.severity] += d.count || 1;
+        return counts;
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * Cross-section Chart — CPTs along a profile line
+ *
+ * Horizontal axis: distance along the line (m). Vertical axis: level (m NAP).
+ * Per CPT a soil strip at its chainage with the qc trace to the right of it;
+ * layers of neighbouring CPTs are connected as interpreted by CrossSection.
+ */
+
+const CROSS_SECTION_QC_MAX = 30;    // MPa at full trace width
+const CROSS_SECTION_QC_WIDTH = 60;  // px, trace width for CROSS_SECTION_QC_MAX
+const CROSS_SECTION_STRIP_W = 10;   // px, soil strip width
+
+class CrossSectionChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.dpr = window.devicePixelRatio || 1;
+
+        this.section = null;    // Output of CrossSection.build
+        this.hover = null;      // { x, y } in CSS pixels
+
+        this.COLORS = {
+            bg:         '#0d1117',
+            panelBg:    '#0f1318',
+            grid:       'rgba(255,255,255,0.05)',
+            gridMajor:  'rgba(255,255,255,0.10)',
+            border:     'rgba(255,255,255,0.08)',
+            text:       '#6e7681',
+            textBright: '#8b949e',
+            label:      '#e6edf3',
+            surface:    '#a3a3a3',
+            qc:         '#3b82f6',
+            crosshair:  'rgba(255,255,255,0.25)',
+        };
+
+        this.canvas.addEventListener('mousemove', e => {
+            const r = this.canvas.getBoundingClientRect();
+            this.hover = { x: e.clientX - r.left, y: e.clientY - r.top };
+            this.draw();
+        });
+        this.canvas.addEventListener('mouseleave', () => {
+            this.hover = null;
+            this.draw();
+        });
+    }
+
+    resize() {
+        const p = this.canvas.parentElement;
+        if (!p) return;
+        const r = p.getBoundingClientRect();
+        const w = Math.floor(r.width);
+        const h = Math.floor(r.height);
+        if (w < 10 || h < 10) return;
+        this.dpr = window.devicePixelRatio || 1;
+        this.canvas.width = w * this.dpr;
+        this.canvas.height = h * this.dpr;
+        this.canvas.style.width = w + 'px';
+        this.canvas.style.height = h + 'px';
+        this.W = w;
+        this.H = h;
+        this.draw();
+    }
+
+    /**
+     * @param {object|null} section - Output of CrossSection.build
+     */
+    setData(section) {
+        this.section = section;
+        this.resize();
+    }
+
+    // ---- Layout / scales ----
+
+    _layout() {
+        const LEFT = 48, RIGHT = 12 + CROSS_SECTION_QC_WIDTH, TOP = 30, BOTTOM = 28;
+        const L = {
+            l: LEFT, t: TOP,
+            w: Math.max(10, this.W - LEFT - RIGHT),
+            h: Math.max(10, this.H - TOP - BOTTOM),
+        };
+
+        // Horizontal range: line length with a small margin
+        const cpts = this.section ? this.section.cpts : [];
+        const chain = cpts.map(p => p.chainage);
+        const xMin = Math.min(0, ...chain);
+        const xMax = Math.max(this.section ? this.section.length : 1, ...chain);
+        const pad = Math.max(5, (xMax - xMin) * 0.04);
+        L.xMin = xMin - pad;
+        L.xMax = xMax + pad;
+
+        // Vertical range: highest surface to deepest CPT end
+        const tops = cpts.map(p => p.surfaceLevel);
+        const bottoms = cpts.map(p => p.surfaceLevel - Math.max(0, ...p.depths.filter(d => d !== null)));
+        L.zMax = tops.length ? Math.ceil(Math.max(...tops) + 0.5) : 0;
+        L.zMin = bottoms.length ? Math.floor(Math.min(...bottoms) - 0.5) : -30;
+        return L;
+    }
+
+    _x(chainage, L) { return L.l + ((chainage - L.xMin) / (L.xMax - L.xMin)) * L.w; }
+    _y(level, L) { return L.t + ((L.zMax - level) / (L.zMax - L.zMin)) * L.h; }
+
+    // ---- Drawing ----
+
+    draw() {
+        if (!this.W || !this.H) return;
+        const c = this.ctx;
+        c.save();
+        c.scale(this.dpr, this.dpr);
+        c.fillStyle = this.COLORS.bg;
+        c.fillRect(0, 0, this.W, this.H);
+
+        const L = this._layout();
+        c.fillStyle = this.COLORS.panelBg;
+        c.fillRect(L.l, L.t, L.w, L.h);
+
+        this._drawGrid(c, L);
+
+        if (this.section && this.section.cpts.length) {
+            c.save();
+            c.beginPath();
+            c.rect(L.l, L.t, L.w + CROSS_SECTION_QC_WIDTH, L.h);
+            c.clip();
+            for (const link of this.section.links) this._drawLink(c, L, link);
+            this._drawSurface(c, L);
+            for (const cpt of this.section.cpts) this._drawCpt(c, L, cpt);
+            c.restore();
+            for (const cpt of this.section.cpts) this._drawCptLabel(c, L, cpt);
+        } else {
+            c.fillStyle = this.COLORS.text;
+            c.font = '11px Inter, system-ui, sans-serif';
+            c.textAlign = 'center';
+            c.textBaseline = 'middle';
+            c.fillText('Teken een profiellijn op de kaart', L.l + L.w / 2, L.t + L.h / 2);
+        }
+
+        c.strokeStyle = this.COLORS.border;
+        c.lineWidth = 1;
+        c.strokeRect(L.l + 0.5, L.t + 0.5, L.w - 1, L.h - 1);
+
+        this._drawCrosshair(c, L);
+        c.restore();
+    }
+
+    _drawGrid(c, L) {
+        c.font = '9px JetBrains Mono, monospace';
+        c.lineWidth = 1;
+
+        // Levels
+        const zStep = this._niceStep(L.zMax - L.zMin, 8);
+        c.textAlign = 'right';
+        c.textBaseline = 'middle';
+        for (let z = Math.floor(L.zMax / zStep) * zStep; z >= L.zMin; z = +(z - zStep).toFixed(6)) {
+            const y = Math.round(this._y(z, L)) + 0.5;
+            if (y < L.t || y > L.t + L.h) continue;
+            c.strokeStyle = z === 0 ? this.COLORS.gridMajor : this.COLORS.grid;
+            c.beginPath();
+            c.moveTo(L.l, y);
+            c.lineTo(L.l + L.w, y);
+            c.stroke();
+            c.fillStyle = this.COLORS.text;
+            c.fillText(z.toFixed(1), L.l - 4, y);
+        }
+
+        // Distances
+        const xStep = this._niceStep(L.xMax - L.xMin, 8);
+        c.textAlign = 'center';
+        c.textBaseline = 'top';
+        for (let x = Math.ceil(L.xMin / xStep) * xStep; x <= L.xMax; x = +(x + xStep).toFixed(6)) {
+            const px = Math.round(this._x(x, L)) + 0.5;
+            c.strokeStyle = this.COLORS.grid;
+            c.beginPath();
+            c.moveTo(px, L.t);
+            c.lineTo(px, L.t + L.h);
+            c.stroke();
+            c.fillStyle = this.COLORS.text;
+            c.fillText(x.toFixed(0), px, L.t + L.h + 4);
+        }
+
+        // Axis titles
+        c.font = '600 9px Inter, system-ui, sans-serif';
+        c.fillStyle = this.COLORS.text;
+        c.fillText('Afstand langs profiel (m)', L.l + L.w / 2, L.t + L.h + 15);
+        c.save();
+        c.translate(10, L.t + L.h / 2);
+        c.rotate(-Math.PI / 2);
+        c.textAlign = 'center';
+        c.textBaseline = 'middle';
+        c.fillText('Niveau (m NAP)', 0, 0);
+        c.restore();
+    }
+
+    /** Interpreted layers between two neighbouring CPTs. */
+    _drawLink(c, L, link) {
+        const half = CROSS_SECTION_STRIP_W / 2;
+        const xl = this._x(link.left.chainage, L) + half;
+        const xr = this._x(link.right.chainage, L) - half;
+        const xm = (xl + xr) / 2;
+        const zl = link.left.surfaceLevel, zr = link.right.surfaceLevel;
+
+        c.globalAlpha = 0.35;
+        for (const pair of link.pairs) {
+            const a = pair.left, b = pair.right;
+            c.fillStyle = (a || b).zone.color;
+            c.beginPath();
+            if (a && b) {
+                c.moveTo(xl, this._y(zl - a.startDepth, L));
+                c.lineTo(xr, this._y(zr - b.startDepth, L));
+                c.lineTo(xr, this._y(zr - b.endDepth, L));
+                c.lineTo(xl, this._y(zl - a.endDepth, L));
+            } else if (a) {
+                // Pinches out halfway
+                c.moveTo(xl, this._y(zl - a.startDepth, L));
+                c.lineTo(xm, this._y(zl - (a.startDepth + a.endDepth) / 2, L));
+                c.lineTo(xl, this._y(zl - a.endDepth, L));
+            } else {
+                c.moveTo(xr, this._y(zr - b.startDepth, L));
+                c.lineTo(xm, this._y(zr - (b.startDepth + b.endDepth) / 2, L));
+                c.lineTo(xr, this._y(zr - b.endDepth, L));
+            }
+            c.closePath();
+            c.fill();
+        }
+        c.globalAlpha = 1;
+    }
+
+    _drawSurface(c, L) {
+        c.strokeStyle = this.COLORS.surface;
+        c.lineWidth = 1.2;
+        c.beginPath();
+        this.section.cpts.forEach((cpt, i) => {
+            const x = this._x(cpt.chainage, L), y = this._y(cpt.surfaceLevel, L);
+            if (i === 0) c.moveTo(x, y); else c.lineTo(x, y);
+        });
+        c.stroke();
+    }
+
+    _drawCpt(c, L, cpt) {
+        const x = this._x(cpt.chainage, L);
+        const half = CROSS_SECTION_STRIP_W / 2;
+
+        for (const layer of cpt.layers) {
+            const y1 = this._y(cpt.surfaceLevel - layer.startDepth, L);
+            const y2 = this._y(cpt.surfaceLevel - layer.endDepth, L);
+            c.fillStyle = layer.zone.color;
+            c.globalAlpha = 0.85;
+            c.fillRect(x - half, y1, CROSS_SECTION_STRIP_W, Math.max(1, y2 - y1));
+            c.globalAlpha = 1;
+        }
+        c.strokeStyle = this.COLORS.border;
+        c.lineWidth = 1;
+        const bottom = Math.max(0, ...cpt.depths.filter(d => d !== null));
+        c.strokeRect(x - half + 0.5, this._y(cpt.surfaceLevel, L), CROSS_SECTION_STRIP_W - 1,
+            this._y(cpt.surfaceLevel - bottom, L) - this._y(cpt.surfaceLevel, L));
+
+        // qc trace to the right of the strip
+        c.strokeStyle = this.COLORS.qc;
+        c.lineWidth = 1;
+        c.lineJoin = 'round';
+        c.beginPath();
+        let on = false;
+        cpt.data.forEach((row, i) => {
+            const d = cpt.depths[i];
+            if (d === null || row.qc == null) { on = false; return; }
+            const px = x + half + (Math.max(0, row.qc) / CROSS_SECTION_QC_MAX) * CROSS_SECTION_QC_WIDTH;
+            const py = this._y(cpt.surfaceLevel - d, L);
+            if (!on) { c.moveTo(px, py); on = true; } else { c.lineTo(px, py); }
+        });
+        c.stroke();
+    }
+
+    _drawCptLabel(c, L, cpt) {
+        const x = this._x(cpt.chainage, L);
+        c.font = '600 10px Inter, system-ui, sans-serif';
+        c.fillStyle = this.COLORS.label;
+        c.textAlign = 'center';
+        c.textBaseline = 'top';
+        c.fillText(cpt.name, x, 4);
+        c.font = '9px JetBrains Mono, monospace';
+        c.fillStyle = this.COLORS.textBright;
+        c.fillText(`${cpt.chainage.toFixed(0)} m`, x, 16);
+    }
+
+    _drawCrosshair(c, L) {
+        const h = this.hover;
+        if (!h || !this.section || h.x < L.l || h.x > L.l + L.w || h.y < L.t || h.y > L.t + L.h) return;
+
+        c.strokeStyle = this.COLORS.crosshair;
+        c.lineWidth = 1;
+        c.setLineDash([3, 3]);
+        c.beginPath();
+        c.moveTo(L.l, h.y);
+        c.lineTo(L.l + L.w, h.y);
+        c.moveTo(h.x, L.t);
+        c.lineTo(h.x, L.t + L.h);
+        c.stroke();
+        c.setLineDash([]);
+
+        const chainage = L.xMin + ((h.x - L.l) / L.w) * (L.xMax - L.xMin);
+        const level = L.zMax - ((h.y - L.t) / L.h) * (L.zMax - L.zMin);
+        const txt = `${chainage.toFixed(1)} m  |  ${level.toFixed(2)} m NAP`;
+        c.font = '9px JetBrains Mono, monospace';
+        const tw = c.measureText(txt).width;
+        c.fillStyle = 'rgba(22,27,34,0.92)';
+        c.fillRect(L.l + L.w - tw - 10, L.t + 4, tw + 6, 15);
+        c.fillStyle = this.COLORS.label;
+        c.textAlign = 'right';
+        c.textBaseline = 'middle';
+        c.fillText(txt, L.l + L.w - 7, L.t + 11.5);
+    }
+
+    // ---- Utility ----
+
+    _niceStep(range, targetSteps) {
+        if (range <= 0) return 1;
+        const raw = range / Math.max(2, targetSteps);
+        const p = Math.pow(10, Math.floor(Math.log10(raw)));
+        const n = raw / p;
+        if (n <= 1) return p;
+        if (n <= 2) return 2 * p;
+        if (n <= 5) return 5 * p;
+        return 10 * p;
+    }
+}
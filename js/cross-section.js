@@ -0,0 +1,144 @@
+/**
+ * Cross-section (profile) along a polyline
+ *
+ * CPTs are projected perpendicular onto the line: the chainage is the distance
+ * along the line to the projected point, the offset the distance from the line.
+ * CPTs further from the line than maxOffset, or without a surface level,
+ * are left out.
+ *
+ * Layers of neighbouring CPTs are connected by matching their zone sequences
+ * (longest common subsequence, top to bottom). Matched layers are joined;
+ * unmatched layers pinch out halfway between the two CPTs. Zone numbers mean
+ * different soils per classification method, so the layers of all CPTs must
+ * come from the same method.
+ *
+ * Distances use a local equirectangular projection around the line, which is
+ * accurate to well below a metre over the few kilometres of a profile.
+ */
+
+const CROSS_SECTION_DEFAULTS = {
+    maxOffset: 100,           // m, CPTs further from the line are excluded
+    minLayerThickness: 0.5,   // m, coarser layering than the CPT chart for readability
+    method: null,             // Classification of all CPTs; null: that of the active CPT
+};
+
+const EARTH_RADIUS = 6371008.8;  // m, mean radius
+
+class CrossSection {
+    /**
+     * Build a cross-section.
+     * @param {Array} line - Polyline vertices [{ lat, lon }], at least 2
+     * @param {Array} items - [{ name, lat, lon, surfaceLevel, data, depths, layers }]
+     *                        (depths aligned with data, layers from mergeLayers)
+     * @param {object} [options] - Overrides for CROSS_SECTION_DEFAULTS
+     * @returns {object} { length, cpts: [item + { chainage, offset }], excluded: [{ name, reason }], links: [{ left, right, pairs }] }
+     */
+    static build(line, items, options = {}) {
+        const opt = { ...CROSS_SECTION_DEFAULTS, ...options };
+        if (!line || line.length < 2) throw new Error('Dwarsprofiel: teken een lijn met minimaal twee punten');
+
+        const origin = line[0];
+        const pts = line.map(p => CrossSection._toLocal(p, origin));
+        const length = CrossSection._length(pts);
+
+        const cpts = [];
+        const excluded = [];
+        for (const item of items) {
+            if (item.surfaceLevel == null) {
+                excluded.push({ name: item.name, reason: 'geen maaiveldhoogte in NAP' });
+                continue;
+            }
+            if (item.lat == null || item.lon == null) {
+                excluded.push({ name: item.name, reason: 'geen locatie' });
+                continue;
+            }
+            const { chainage, offset } = CrossSection.project(pts, CrossSection._toLocal(item, origin));
+            if (offset > opt.maxOffset) {
+                excluded.push({ name: item.name, reason: `${offset.toFixed(0)} m uit de lijn` });
+                continue;
+            }
+            cpts.push({ ...item, chainage, offset });
+        }
+        cpts.sort((a, b) => a.chainage - b.chainage);
+
+        const links = [];
+        for (let i = 1; i < cpts.length; i++) {
+            links.push({
+                left: cpts[i - 1],
+                right: cpts[i],
+                pairs: CrossSection.connectLayers(cpts[i - 1].layers, cpts[i].layers),
+            });
+        }
+
+        return { length, cpts, excluded, links };
+    }
+
+    /**
+     * Project a point onto a polyline.
+     * @param {Array} pts - Polyline vertices in local metres [{ x, y }]
+     * @param {object} p - Point in local metres { x, y }
+     * @returns {object} { chainage, offset } in m
+     */
+    static project(pts, p) {
+        let best = null;
+        let start = 0;
+        for (let i = 1; i < pts.length; i++) {
+            const a = pts[i - 1], b = pts[i];
+            const dx = b.x - a.x, dy = b.y - a.y;
+            const len2 = dx * dx + dy * dy;
+            const t = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+            const offset = Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+            if (!best || offset < best.offset) {
+                best = { chainage: start + t * Math.sqrt(len2), offset };
+            }
+            start += Math.sqrt(len2);
+        }
+        return best;
+    }
+
+    /**
+     * Match the layers of two neighbouring CPTs by zone.
+     * @param {Array} left - Layers { startDepth, endDepth, zone }, top to bottom
+     * @param {Array} right - Idem
+     * @returns {Array} [{ left: layer|null, right: layer|null }] in depth order
+     */
+    static connectLayers(left, right) {
+        const n = left.length, m = right.length;
+        const same = (i, j) => left[i].zone.zone === right[j].zone.zone;
+
+        // LCS table on zone numbers
+        const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i][j] = same(i, j) ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const pairs = [];
+        let i = 0, j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && same(i, j)) {
+                pairs.push({ left: left[i++], right: right[j++] });
+            } else if (j >= m || (i < n && lcs[i + 1][j] >= lcs[i][j + 1])) {
+                pairs.push({ left: left[i++], right: null });
+            } else {
+                pairs.push({ left: null, right: right[j++] });
+            }
+        }
+        return pairs;
+    }
+
+    static _toLocal(p, origin) {
+        const rad = Math.PI / 180;
+        return {
+            x: (p.lon - origin.lon) * rad * EARTH_RADIUS * Math.cos(origin.lat * rad),
+            y: (p.lat - origin.lat) * rad * EARTH_RADIUS,
+        };
+    }
+
+    static _length(pts) {
+        let len = 0;
+        for (let i = 1; i < pts.length; i++) len += Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y);
+        return len;
+    }
+}
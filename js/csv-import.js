@@ -0,0 +1,302 @@
+/**
+ * CSV import — generic delimited text with CPT readings
+ *
+ * A CSV file has no fixed layout, so the import takes a mapping:
+ *
+ *   { name, signature, delimiter, decimal, columns: [{ header, key, unit }] }
+ *
+ * name       name under which the mapping is stored
+ * signature  the file's column headers, to find the mapping again
+ * delimiter  field separator (';', ',', '\t' or '|'), decimal '.' or ','
+ * columns    per CSV column (by header) the viewer key (length, qc, fs, ...)
+ *            and the unit in the file; values are converted to the viewer's
+ *            units (see CptFormats.unitFactor)
+ *
+ * guess() proposes a mapping from a stored one with the same headers, else
+ * from the header names ('qc [kPa]', 'Depth (m)', ...). Mappings are stored
+ * in localStorage so they can be reused for the next file.
+ */
+
+const CSV_IMPORT_STORAGE_KEY = 'cpt-viewer.csv-mappings';
+
+const CSV_IMPORT_DELIMITERS = [';', ',', '\t', '|'];
+
+// Viewer columns a CSV column can be mapped to
+const CSV_IMPORT_TARGETS = {
+    length:       'Sondeerlengte',
+    depth:        'Diepte (m-mv)',
+    qc:           'Conusweerstand',
+    fs:           'Plaatselijke wrijving',
+    rf:           'Wrijvingsgetal',
+    u1:           'Waterspanning u1',
+    u2:           'Waterspanning u2',
+    u3:           'Waterspanning u3',
+    corrected_qc: 'Gecorr. conusweerstand',
+    inclination:  'Inclinatie resultant',
+    incl_ns:      'Inclinatie N-Z',
+    incl_ew:      'Inclinatie O-W',
+    time:         'Tijd',
+    speed:        'Sondeersnelheid',
+    temp:         'Temperatuur',
+};
+
+// Header name patterns for the proposed mapping, checked in this order
+const CSV_IMPORT_GUESSES = [
+    ['rf',           /^(rf|fr|r_f|friction\s*ratio|wrijvingsgetal)\b/i],
+    ['corrected_qc', /^(qt|q_t|corrected\s*cone)/i],
+    ['qc',           /^(qc|q_c|cone\s*(tip\s*)?resistance|conusweerstand)/i],
+    ['fs',           /^(fs|f_s|sleeve|local\s*friction|plaatselijke\s*wrijving|kleef)/i],
+    ['u1',           /\bu_?1\b/i],
+    ['u3',           /\bu_?3\b/i],
+    ['u2',           /(\bu_?2\b|^u\b|pore|waterspanning|pwp)/i],
+    ['depth',        /(depth|diepte|dpth|^z\b)/i],
+    ['length',       /(length|lengte|penetration|^l\b)/i],
+    ['inclination',  /(incl|tilt|helling)/i],
+    ['time',         /(time|tijd)/i],
+    ['speed',        /(speed|rate|snelheid)/i],
+    ['temp',         /temp/i],
+];
+
+class CsvImport {
+    /**
+     * Field separator and decimal mark of delimited text.
+     * @param {string} text - File contents (or at least its start)
+     * @returns {object|null} { delimiter, decimal }; null when no separator
+     *   gives the lines a consistent number of fields
+     */
+    static dialect(text) {
+        const lines = text.split(/\r?\n/).filter(l => l.trim());
+        // The last line of a partial read may be cut off
+        if (lines.length > 3) lines.pop();
+        const sample = lines.slice(0, 50);
+        if (sample.length < 2) return null;
+
+        let best = null;
+        for (const delimiter of CSV_IMPORT_DELIMITERS) {
+            const counts = sample.map(l => CsvImport.splitLine(l, delimiter).length);
+            const n = CsvImport._mode(counts);
+            const agree = counts.filter(c => c === n).length;
+            if (n < 2 || agree < sample.length * 0.6) continue;
+            if (!best || agree > best.agree || (agree === best.agree && n > best.n)) best = { delimiter, n, agree };
+        }
+        if (!best) return null;
+
+        const decimalComma = best.delimiter !== ',' && sample.some(l =>
+            CsvImport.splitLine(l, best.delimiter).some(c => /^-?\d+,\d+$/.test(c.trim())));
+        return { delimiter: best.delimiter, decimal: decimalComma ? ',' : '.' };
+    }
+
+    /**
+     * Split a line into fields; fields may be quoted with "", a quote inside
+     * a quoted field doubled.
+     */
+    static splitLine(line, delimiter) {
+        const fields = [];
+        let field = '', quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch === '"' && line[i + 1] === '"') { field += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else field += ch;
+            } else if (ch === '"' && !field.trim()) {
+                quoted = true;
+                field = '';
+            } else if (ch === delimiter) {
+                fields.push(field);
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        fields.push(field);
+        return fields.map(f => f.trim());
+    }
+
+    /**
+     * Split delimited text into a table. Lines with a different number of
+     * fields before the table (a preamble) are skipped; of the lines before
+     * the first numeric row the first holds the headers, a second the units.
+     * @param {string} text
+     * @param {object} dialect - { delimiter, decimal }
+     * @returns {object} { headers, units, rows: [{ line, cells }], preamble }
+     */
+    static table(text, dialect) {
+        const lines = text.split(/\r?\n/);
+        const split = lines.map(l => (l.trim() ? CsvImport.splitLine(l, dialect.delimiter) : null));
+        const n = CsvImport._mode(split.filter(Boolean).map(c => c.length));
+        const isNumeric = cells => cells.filter(c => CsvImport.number(c, dialect.decimal) !== null).length > cells.length / 2;
+
+        let first = split.findIndex(c => c && c.length === n);
+        const preamble = split.slice(0, Math.max(first, 0)).filter(Boolean).length;
+        const labels = [];
+        while (first >= 0 && first < split.length && split[first] && !isNumeric(split[first])) {
+            labels.push(split[first]);
+            first++;
+        }
+
+        const headers = labels[0] ? labels[0].map((h, i) => h || `Kolom ${i + 1}`)
+            : Array.from({ length: n }, (v, i) => `Kolom ${i + 1}`);
+        const rows = [];
+        for (let i = Math.max(first, 0); i < split.length; i++) {
+            if (split[i]) rows.push({ line: i + 1, cells: split[i] });
+        }
+        return { headers, units: labels[1] || [], rows, preamble };
+    }
+
+    /** Parse a field as a number with the given decimal mark, null when empty or not a number. */
+    static number(cell, decimal = '.') {
+        let s = String(cell).trim();
+        if (!s) return null;
+        if (decimal === ',') s = s.replace(/\./g, '').replace(',', '.');
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(s)) return null;
+        return parseFloat(s);
+    }
+
+    // ---- Mappings ----
+
+    /**
+     * Proposed mapping for a table: a stored mapping for the same headers,
+     * else one guessed from the header names and units.
+     * @param {object} table - Result of table()
+     * @param {object} dialect - { delimiter, decimal }
+     * @returns {object} Mapping
+     */
+    static guess(table, dialect) {
+        const stored = CsvImport.findMapping(table.headers);
+        if (stored) return stored;
+
+        const used = new Set();
+        const columns = table.headers.map((header, i) => {
+            const name = header.replace(/[\[(].*$/, '').trim();
+            const match = CSV_IMPORT_GUESSES.find(([key, re]) => !used.has(key) && re.test(name));
+            const key = match ? match[0] : null;
+            if (key) used.add(key);
+            const inHeader = header.match(/[\[(]\s*([^\])]+?)\s*[\])]/);
+            const unit = inHeader ? inHeader[1] : (table.units[i] || (key ? CptFormats.standardUnit(key) : ''));
+            return { header, key, unit };
+        });
+        return { name: '', signature: CsvImport.signature(table.headers), ...dialect, columns };
+    }
+
+    static signature(headers) {
+        return headers.map(h => h.toLowerCase()).join('|');
+    }
+
+    /** Stored mappings, [] when none or storage is unavailable. */
+    static loadMappings() {
+        try {
+            const list = JSON.parse(localStorage.getItem(CSV_IMPORT_STORAGE_KEY) || '[]');
+            return Array.isArray(list) ? list.filter(m => m && m.name && Array.isArray(m.columns)) : [];
+        } catch (err) {
+            console.warn('CSV-koppelingen niet geladen:', err);
+            return [];
+        }
+    }
+
+    /** Store a mapping under its name, replacing a mapping with the same name. */
+    static saveMapping(mapping) {
+        const list = CsvImport.loadMappings().filter(m => m.name !== mapping.name);
+        list.push(mapping);
+        try {
+            localStorage.setItem(CSV_IMPORT_STORAGE_KEY, JSON.stringify(list));
+        } catch (err) {
+            console.warn('CSV-koppeling niet opgeslagen:', err);
+        }
+    }
+
+    /** Stored mapping for these headers: same signature, else one whose headers all occur. */
+    static findMapping(headers) {
+        const list = CsvImport.loadMappings();
+        const signature = CsvImport.signature(headers);
+        const lower = headers.map(h => h.toLowerCase());
+        return list.find(m => m.signature === signature)
+            || list.find(m => m.columns.filter(c => c.key).every(c => lower.includes(c.header.toLowerCase())))
+            || null;
+    }
+
+    // ---- Import ----
+
+    /**
+     * Build a dataset from a table and a mapping.
+     * @param {object} table - Result of table()
+     * @param {object} mapping
+     * @param {string} fileName
+     * @returns {object} { header, columns, data, diagnostics }
+     */
+    static apply(table, mapping, fileName) {
+        const diag = new ParserDiagnostics();
+        if (table.preamble) diag.add('info', 'preamble', `${table.preamble} regel(s) voor de tabel overgeslagen`);
+
+        const lower = table.headers.map(h => h.toLowerCase());
+        const mapped = [];
+        for (const col of mapping.columns) {
+            if (!col.key || !CSV_IMPORT_TARGETS[col.key]) continue;
+            const index = lower.indexOf(col.header.toLowerCase());
+            if (index < 0) {
+                diag.add('warning', 'mapping', `Kolom '${col.header}' van de koppeling komt niet voor in het bestand`);
+                continue;
+            }
+            if (mapped.some(m => m.key === col.key)) {
+                diag.add('warning', 'mapping', `Kolom '${col.header}': ${col.key} is al gekoppeld, kolom overgeslagen`);
+                continue;
+            }
+            let factor = CptFormats.unitFactor(col.key, col.unit);
+            if (factor === null) {
+                diag.add('warning', 'unit', `Kolom '${col.header}': eenheid '${col.unit}' onbekend, waarden niet omgerekend`);
+                factor = 1;
+            }
+            mapped.push({ key: col.key, index, factor, header: col.header });
+        }
+        if (!mapped.some(m => m.key === 'length' || m.key === 'depth')) {
+            throw new Error('Geen kolom gekoppeld aan sondeerlengte of diepte');
+        }
+
+        const data = [];
+        const where = [];
+        table.rows.forEach((r, i) => {
+            if (r.cells.length < table.headers.length) {
+                diag.add('warning', 'short-row', `${r.cells.length} van ${table.headers.length} waarden, rij overgeslagen`, { line: r.line, row: i + 1 });
+                return;
+            }
+            const row = {};
+            for (const m of mapped) {
+                const cell = r.cells[m.index];
+                const v = CsvImport.number(cell, mapping.decimal);
+                if (v === null && cell) {
+                    diag.add('warning', 'not-a-number', `Kolom '${m.header}': '${cell}' is geen getal`, { line: r.line, row: i + 1 });
+                }
+                row[m.key] = v !== null ? CptFormats.convert(v, m.factor) : null;
+            }
+            data.push(row);
+            where.push({ line: r.line, row: i + 1 });
+        });
+
+        const columns = mapped.map(m => ({ key: m.key, label: CSV_IMPORT_TARGETS[m.key], unit: CptFormats.standardUnit(m.key) || '-' }));
+        // Without a length column the depth is taken as penetration length
+        if (!columns.some(c => c.key === 'length')) {
+            for (const row of data) row.length = row.depth !== null ? Math.abs(row.depth) : null;
+            columns.unshift({ key: 'length', label: 'Sondeerlengte (= diepte)', unit: 'm' });
+            diag.add('info', 'length', 'Geen sondeerlengte gekoppeld: de diepte is als sondeerlengte gebruikt');
+        }
+
+        if (!data.length) diag.add('error', 'no-data', 'Geen enkele datarij kon worden gelezen');
+        CptValidation.checkUnits(diag, data, columns);
+        CptValidation.checkData(diag, data, columns, where);
+
+        const name = fileName.replace(/\.\w+$/, '');
+        const meta = { name, testId: name };
+        CptFormats.computeDerived(data, columns, meta);
+        return { header: meta, columns, data, diagnostics: diag.list() };
+    }
+
+    static _mode(values) {
+        const counts = {};
+        let best = 0, mode = 0;
+        for (const v of values) {
+            counts[v] = (counts[v] || 0) + 1;
+            if (counts[v] > best) { best = counts[v]; mode = v; }
+        }
+        return mode;
+    }
+}
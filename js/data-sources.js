@@ -0,0 +1,305 @@
+/**
+ * Data sources — where the map gets CPT locations, BRO CPTs and map tiles
+ *
+ * A data source has
+ *   label              name shown in the Kaart tab
+ *   tiles              { url, options } of the Leaflet tile layer, null for no tiles
+ *   findCpts(bounds, onProgress)
+ *                      { features, complete }: GeoJSON features of the CPTs within
+ *                      { south, west, north, east } (WGS84); complete is false
+ *                      when the area holds more than could be loaded
+ *   fetchCpt(broId)    BRO-XML text of a CPT
+ *
+ * Implementations:
+ *   BroServiceSource  the public services (PDOK WFS, BRO REST API, CARTO
+ *                     tiles), or a mirror that serves the same paths under
+ *                     its own base URL (DATA_SOURCE_MIRROR_PATHS)
+ *   LocalSource       CPTs and footprints stored in IndexedDB (LocalCptStore):
+ *                     downloaded earlier or imported from a folder; no
+ *                     network needed, so it also serves as offline mock
+ *
+ * The choice of source is stored in localStorage; DataSources.create()
+ * builds the source for the stored settings.
+ */
+
+const DATA_SOURCE_STORAGE_KEY = 'cpt-viewer.data-source';
+
+const DATA_SOURCE_TYPES = {
+    public: 'BRO / PDOK',
+    custom: 'Eigen server',
+    local:  'Lokaal (offline)',
+};
+
+const DATA_SOURCE_DEFAULTS = { type: 'public', baseUrl: '', cache: true, autoLoad: true };
+
+const DATA_SOURCE_PUBLIC = {
+    wfs: 'https://service.pdok.nl/bzk/brocpt/wfs/v1_0',
+    cpt: 'https://publiek.broservices.nl/sr/bro-cptv2/api/v2/objects/{broId}?outputFormat=xml',
+    tiles: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+};
+
+// Paths a mirror serves under its base URL: those of the public services
+const DATA_SOURCE_MIRROR_PATHS = {
+    wfs: '/bzk/brocpt/wfs/v1_0',
+    cpt: '/sr/bro-cptv2/api/v2/objects/{broId}?outputFormat=xml',
+    tiles: '/tiles/{z}/{x}/{y}.png',
+};
+
+const DATA_SOURCE_TILE_OPTIONS = {
+    attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OSM</a> &copy; <a href="https://carto.com/">CARTO</a>',
+    subdomains: 'abcd',
+    maxZoom: 19,
+};
+
+// Features per WFS request (the server maximum), and requests per area:
+// larger areas are loaded in part
+const DATA_SOURCE_WFS_COUNT = 1000;
+const DATA_SOURCE_WFS_MAX_PAGES = 20;
+
+// Loading many CPTs: requests at the same time, retries of a failed request
+// and the wait before a retry (ms, times the attempt)
+const DATA_SOURCE_BATCH = { concurrency: 4, retries: 2, retryDelay: 1000 };
+
+// IndexedDB database of LocalCptStore
+const DATA_SOURCE_DB = { name: 'cpt-viewer', version: 1, cpts: 'cpts', features: 'features' };
+
+class DataSources {
+    /** Stored settings { type, baseUrl, cache, autoLoad }, the defaults when none are stored. */
+    static loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(DATA_SOURCE_STORAGE_KEY) || '{}');
+            const settings = { ...DATA_SOURCE_DEFAULTS, ...stored };
+            if (!DATA_SOURCE_TYPES[settings.type]) settings.type = DATA_SOURCE_DEFAULTS.type;
+            return settings;
+        } catch (err) {
+            console.warn('Instellingen gegevensbron niet geladen:', err);
+            return { ...DATA_SOURCE_DEFAULTS };
+        }
+    }
+
+    static saveSettings(settings) {
+        try {
+            localStorage.setItem(DATA_SOURCE_STORAGE_KEY, JSON.stringify(settings));
+        } catch (err) {
+            console.warn('Instellingen gegevensbron niet opgeslagen:', err);
+        }
+    }
+
+    /**
+     * Data source for settings.
+     * @param {object} settings - { type, baseUrl, cache }
+     * @param {LocalCptStore} store - Offline store; network sources save what
+     *   they download in it when settings.cache is set
+     * @returns {object} Data source
+     */
+    static create(settings, store) {
+        const cache = settings.cache && LocalCptStore.available() ? store : null;
+        if (settings.type === 'local') return new LocalSource(store);
+        if (settings.type === 'custom') {
+            const base = (settings.baseUrl || '').trim().replace(/\/+$/, '');
+            if (!/^https?:\/\//i.test(base)) throw new Error('Geen geldige basis-URL voor de eigen server');
+            const endpoints = {};
+            for (const [key, path] of Object.entries(DATA_SOURCE_MIRROR_PATHS)) endpoints[key] = base + path;
+            return new BroServiceSource(`${DATA_SOURCE_TYPES.custom} (${base})`, endpoints, cache);
+        }
+        return new BroServiceSource(DATA_SOURCE_TYPES.public, DATA_SOURCE_PUBLIC, cache);
+    }
+
+    /** BRO ID of a WFS feature; property names differ between service versions. */
+    static broId(feature) {
+        const props = feature.properties || {};
+        return props.bro_id || props.broId || props.BRO_ID || feature.id || null;
+    }
+
+    /**
+     * Whether a failed request may succeed when repeated: network errors
+     * (fetch rejects with a TypeError), too many requests and server errors.
+     */
+    static isRetryable(err) {
+        return err instanceof TypeError || /^HTTP (429|5\d\d)/.test(err.message);
+    }
+
+    /**
+     * GeoJSON footprint of a parsed BRO CPT, as the WFS returns it.
+     * @param {object} ds - Dataset from BroXmlParser
+     * @returns {object|null} Feature, null without a location
+     */
+    static footprint(ds) {
+        const loc = Coordinates.location(ds.header);
+        if (!loc || !ds.header.testId) return null;
+        const lengths = ds.data.map(r => r.length).filter(v => v !== null && v !== undefined);
+        return {
+            type: 'Feature',
+            id: ds.header.testId,
+            geometry: { type: 'Point', coordinates: [loc.lon, loc.lat] },
+            properties: {
+                bro_id: ds.header.testId,
+                final_depth: lengths.length ? Math.max(...lengths) : '',
+                research_report_date: ds.header.date || '',
+                quality_class: ds.header.qualityClass || '',
+                cpt_standard: ds.header.cptStandard || '',
+                delivery_accountable_party: ds.header.company || '',
+            },
+        };
+    }
+}
+
+class BroServiceSource {
+    /**
+     * @param {string} label
+     * @param {object} endpoints - { wfs, cpt, tiles } as DATA_SOURCE_PUBLIC
+     * @param {LocalCptStore} [store] - Keeps downloaded CPTs and footprints for offline use
+     */
+    constructor(label, endpoints, store = null) {
+        this.label = label;
+        this.endpoints = endpoints;
+        this.store = store;
+        this.tiles = { url: endpoints.tiles, options: DATA_SOURCE_TILE_OPTIONS };
+    }
+
+    /**
+     * CPT footprints within bounds, in pages of DATA_SOURCE_WFS_COUNT features.
+     * @param {object} bounds - { south, west, north, east }
+     * @param {Function} [onProgress] - Called with the number of features after each page
+     * @returns {Promise<object>} { features, complete }
+     */
+    async findCpts(bounds, onProgress) {
+        const bbox = `${bounds.south},${bounds.west},${bounds.north},${bounds.east},urn:ogc:def:crs:EPSG::4326`;
+        const features = [];
+        for (let page = 0; page < DATA_SOURCE_WFS_MAX_PAGES; page++) {
+            const url = `${this.endpoints.wfs}?` +
+                `service=WFS&version=2.0.0&request=GetFeature` +
+                `&outputFormat=application/json&count=${DATA_SOURCE_WFS_COUNT}` +
+                `&startIndex=${page * DATA_SOURCE_WFS_COUNT}&bbox=${bbox}`;
+
+            const resp = await fetch(url);
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+            const data = await resp.json();
+            const pageFeatures = data.features || [];
+            features.push(...pageFeatures);
+            if (this.store) this.store.putFeatures(pageFeatures).catch(err => console.warn('Offline opslag mislukt:', err));
+            if (onProgress) onProgress(features.length);
+
+            const matched = typeof data.numberMatched === 'number' ? data.numberMatched : null;
+            if (pageFeatures.length < DATA_SOURCE_WFS_COUNT || (matched !== null && features.length >= matched)) {
+                return { features, complete: true };
+            }
+        }
+        return { features, complete: false };
+    }
+
+    async fetchCpt(broId) {
+        const resp = await fetch(this.endpoints.cpt.replace('{broId}', encodeURIComponent(broId)));
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        const xml = await resp.text();
+        if (this.store) this.store.putCpt(broId, xml).catch(err => console.warn('Offline opslag mislukt:', err));
+        return xml;
+    }
+}
+
+class LocalSource {
+    /**
+     * @param {LocalCptStore} store
+     */
+    constructor(store) {
+        this.label = DATA_SOURCE_TYPES.local;
+        this.store = store;
+        this.tiles = null;
+    }
+
+    async findCpts(bounds) {
+        return { features: await this.store.features(bounds), complete: true };
+    }
+
+    async fetchCpt(broId) {
+        const xml = await this.store.getCpt(broId);
+        if (!xml) throw new Error(`${broId} is niet offline beschikbaar`);
+        return xml;
+    }
+}
+
+/**
+ * CPTs (BRO-XML by BRO ID) and their footprints (GeoJSON features) in IndexedDB.
+ */
+class LocalCptStore {
+    constructor() {
+        this._db = null;
+    }
+
+    static available() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    putCpt(broId, xml) {
+        return this._transaction(DATA_SOURCE_DB.cpts, 'readwrite', s => s.put({ broId, xml, stored: new Date().toISOString() }));
+    }
+
+    async getCpt(broId) {
+        const record = await this._transaction(DATA_SOURCE_DB.cpts, 'readonly', s => s.get(broId));
+        return record ? record.xml : null;
+    }
+
+    /** Store features by BRO ID, replacing stored features with the same ID. */
+    putFeatures(features) {
+        const records = features
+            .map(f => ({ id: DataSources.broId(f), feature: f }))
+            .filter(r => r.id && r.feature.geometry);
+        return this._transaction(DATA_SOURCE_DB.features, 'readwrite', s => records.forEach(r => s.put(r)));
+    }
+
+    /** Stored features within { south, west, north, east }. */
+    async features(bounds) {
+        const records = await this._transaction(DATA_SOURCE_DB.features, 'readonly', s => s.getAll());
+        return records.map(r => r.feature).filter(f => {
+            const [lon, lat] = f.geometry.coordinates;
+            return lat >= bounds.south && lat <= bounds.north && lon >= bounds.west && lon <= bounds.east;
+        });
+    }
+
+    /** Number of stored CPTs and footprints: { cpts, features } */
+    async counts() {
+        const [cpts, features] = await Promise.all([
+            this._transaction(DATA_SOURCE_DB.cpts, 'readonly', s => s.count()),
+            this._transaction(DATA_SOURCE_DB.features, 'readonly', s => s.count()),
+        ]);
+        return { cpts, features };
+    }
+
+    // ---- IndexedDB ----
+
+    _open() {
+        if (this._db) return this._db;
+        this._db = new Promise((resolve, reject) => {
+            if (!LocalCptStore.available()) {
+                reject(new Error('Offline opslag (IndexedDB) is niet beschikbaar in deze browser'));
+                return;
+            }
+            const request = indexedDB.open(DATA_SOURCE_DB.name, DATA_SOURCE_DB.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(DATA_SOURCE_DB.cpts)) db.createObjectStore(DATA_SOURCE_DB.cpts, { keyPath: 'broId' });
+                if (!db.objectStoreNames.contains(DATA_SOURCE_DB.features)) db.createObjectStore(DATA_SOURCE_DB.features, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a new attempt after a failure
+        this._db.catch(() => { this._db = null; });
+        return this._db;
+    }
+
+    /**
+     * Run fn on an object store in a transaction.
+     * @returns {Promise} Result of the request fn returns, once the transaction completes
+     */
+    async _transaction(storeName, mode, fn) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
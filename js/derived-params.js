@@ -0,0 +1,185 @@
+/**
+ * Derived geotechnical parameters from CPT data
+ *
+ * Each parameter offers one or more published correlations with editable
+ * coefficients. Inputs per point come from the data row (qc, qt, fs, u2 in MPa)
+ * and the normalized classification (σv0, σ'v0, u0 in kPa, Qtn, Ic).
+ *
+ *   su   undrained shear strength       kPa
+ *   phi  effective friction angle        °
+ *   dr   relative density                %
+ *   ocr  overconsolidation ratio         -
+ *   E    Young's modulus (drained)       MPa
+ *   M    constrained modulus             MPa
+ *
+ * Points outside the validity of a correlation (e.g. su in sand) give null.
+ */
+
+const IC_SAND_LIMIT = 2.6;  // Ic below this: coarse-grained (drained) behaviour
+
+const DERIVED_PARAMETERS = {
+    su: {
+        label: 'su', unit: 'kPa', color: '#14b8a6',
+        correlations: {
+            nkt: {
+                label: 'qnet / Nkt',
+                params: { nkt: 15 },
+                compute: (p, c) => p.fine ? p.qnet / c.nkt : null,
+            },
+            ndu: {
+                label: 'Δu / NΔu',
+                params: { ndu: 6 },
+                compute: (p, c) => p.fine && p.du != null ? Math.max(0, p.du) / c.ndu : null,
+            },
+        },
+    },
+    phi: {
+        label: "φ'", unit: '°', color: '#f97316',
+        correlations: {
+            'kulhawy-mayne': {
+                label: 'Kulhawy & Mayne (1990)',
+                params: { a: 17.6, b: 11.0 },
+                compute: (p, c) => p.fine ? null : c.a + c.b * Math.log10(p.Qtn),
+            },
+            'robertson-campanella': {
+                label: 'Robertson & Campanella (1983)',
+                params: { a: 0.29, b: 2.68 },
+                compute: (p, c) => p.fine ? null
+                    : Math.atan((Math.log10(p.qt / p.sigmaV0Eff) + c.a) / c.b) * 180 / Math.PI,
+            },
+        },
+    },
+    dr: {
+        label: 'Dr', unit: '%', color: '#eab308',
+        correlations: {
+            'kulhawy-mayne': {
+                label: 'Kulhawy & Mayne (1990), √(Qtn/C)',
+                params: { c: 350 },
+                compute: (p, c) => p.fine ? null : DerivedParameters.clamp(100 * Math.sqrt(p.Qtn / c.c), 0, 100),
+            },
+            baldi: {
+                label: 'Baldi et al. (1986)',
+                params: { c0: 157, c1: 0.55, c2: 2.41 },
+                compute: (p, c) => p.fine ? null
+                    : DerivedParameters.clamp(100 * Math.log(p.qc / (c.c0 * Math.pow(p.sigmaV0Eff, c.c1))) / c.c2, 0, 100),
+            },
+        },
+    },
+    ocr: {
+        label: 'OCR', unit: '-', color: '#ec4899',
+        correlations: {
+            robertson: {
+                label: 'Robertson (2009), k·Qt',
+                params: { k: 0.25 },
+                compute: (p, c) => p.fine ? Math.max(1, c.k * p.qnet / p.sigmaV0Eff) : null,
+            },
+            mayne: {
+                label: "Mayne (2014), σ'p = k·qnet^m'",
+                params: { k: 0.33 },
+                compute: (p, c) => {
+                    if (!p.fine) return null;
+                    const m = 1 - 0.28 / (1 + Math.pow(p.Ic / 2.65, 25));
+                    const sigmaP = c.k * Math.pow(p.qnet, m) * Math.pow(ATMOSPHERIC_PRESSURE / 100, 1 - m);
+                    return Math.max(1, sigmaP / p.sigmaV0Eff);
+                },
+            },
+        },
+    },
+    E: {
+        label: "E'", unit: 'MPa', color: '#8b5cf6',
+        correlations: {
+            robertson: {
+                label: 'Robertson (2009), αE·qnet',
+                params: { a: 0.015 },
+                compute: (p, c) => c.a * Math.pow(10, 0.55 * p.Ic + 1.68) * p.qnet / 1000,
+            },
+            'alpha-qc': {
+                label: 'α·qc',
+                params: { alpha: 2.5 },
+                compute: (p, c) => c.alpha * p.qc / 1000,
+            },
+        },
+    },
+    M: {
+        label: 'M', unit: 'MPa', color: '#06b6d4',
+        correlations: {
+            robertson: {
+                label: 'Robertson (2009), αM·qnet',
+                params: { max: 14 },
+                compute: (p, c) => {
+                    const Qt = p.qnet / p.sigmaV0Eff;
+                    const alphaM = p.Ic > 2.2
+                        ? Math.min(Qt, c.max)
+                        : 0.0188 * Math.pow(10, 0.55 * p.Ic + 1.68);
+                    return alphaM * p.qnet / 1000;
+                },
+            },
+            'alpha-qc': {
+                label: 'α·qc (Buisman)',
+                params: { alpha: 3 },
+                compute: (p, c) => c.alpha * p.qc / 1000,
+            },
+        },
+    },
+};
+
+class DerivedParameters {
+    /**
+     * Default settings: first correlation of each parameter with its default coefficients.
+     * @returns {object} { [key]: { method, params, visible } }
+     */
+    static defaultSettings() {
+        const settings = {};
+        for (const [key, def] of Object.entries(DERIVED_PARAMETERS)) {
+            const method = Object.keys(def.correlations)[0];
+            settings[key] = { method, params: { ...def.correlations[method].params }, visible: false };
+        }
+        return settings;
+    }
+
+    /**
+     * Compute all derived parameters for a dataset.
+     * @param {Array} data - Data rows
+     * @param {Array} normalized - Output of Robertson.classifyDatasetNormalized (aligned with data)
+     * @param {object} settings - Output of defaultSettings(), possibly modified
+     * @returns {Array} Array of { su, phi, dr, ocr, E, M } aligned with data (null where not applicable)
+     */
+    static compute(data, normalized, settings) {
+        return data.map((row, i) => {
+            const n = normalized[i];
+            const out = {};
+            const p = DerivedParameters._inputs(row, n);
+            for (const [key, def] of Object.entries(DERIVED_PARAMETERS)) {
+                if (!p) { out[key] = null; continue; }
+                const s = settings[key];
+                const corr = def.correlations[s.method];
+                const v = corr.compute(p, s.params);
+                out[key] = v != null && isFinite(v) ? v : null;
+            }
+            return out;
+        });
+    }
+
+    static clamp(v, min, max) {
+        return Math.min(max, Math.max(min, v));
+    }
+
+    static _inputs(row, n) {
+        if (!n || n.Ic == null || row.qc == null || !(n.sigmaV0Eff > 0)) return null;
+        const qtMpa = row.corrected_qc != null ? row.corrected_qc : row.qc;
+        const qt = qtMpa * 1000;
+        const qnet = qt - n.sigmaV0;
+        if (qnet <= 0) return null;
+        return {
+            qc: row.qc * 1000,
+            qt,
+            qnet,
+            du: row.u2 != null && n.u0 != null ? row.u2 * 1000 - n.u0 : null,
+            sigmaV0: n.sigmaV0,
+            sigmaV0Eff: n.sigmaV0Eff,
+            Qtn: n.Qtn,
+            Ic: n.Ic,
+            fine: n.Ic >= IC_SAND_LIMIT,
+        };
+    }
+}
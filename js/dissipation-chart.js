@@ -0,0 +1,236 @@
+/**
+ * Dissipation Chart — pore pressure against log time for one dissipation test
+ *
+ * Draws the pore pressure readings of the analysed column with the initial
+ * (ui), 50% (u50) and equilibrium (ueq) levels of Dissipation.analyze, the
+ * hydrostatic pore pressure (u0) when given, and the time t50.
+ */
+
+class DissipationChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.dpr = window.devicePixelRatio || 1;
+
+        this.test = null;       // { length, depth, columns, data }
+        this.analysis = null;   // Dissipation.analyze result
+        this.u0 = null;         // Hydrostatic pore pressure (MPa)
+
+        this.COLORS = {
+            bg:         '#0d1117',
+            panelBg:    '#0f1318',
+            grid:       'rgba(255,255,255,0.05)',
+            gridMajor:  'rgba(255,255,255,0.10)',
+            border:     'rgba(255,255,255,0.08)',
+            text:       '#6e7681',
+            textBright: '#8b949e',
+            line:       '#3b82f6',
+            ui:         '#ef4444',
+            u50:        '#d29922',
+            ueq:        '#22c55e',
+            u0:         '#58a6ff',
+        };
+    }
+
+    resize() {
+        const p = this.canvas.parentElement;
+        if (!p) return;
+        const r = p.getBoundingClientRect();
+        const w = Math.floor(r.width);
+        const h = Math.floor(r.height);
+        if (w < 10 || h < 10) return;
+        this.dpr = window.devicePixelRatio || 1;
+        this.canvas.width = w * this.dpr;
+        this.canvas.height = h * this.dpr;
+        this.canvas.style.width = w + 'px';
+        this.canvas.style.height = h + 'px';
+        this.W = w;
+        this.H = h;
+        this.draw();
+    }
+
+    /**
+     * @param {object|null} test - Dissipation test
+     * @param {object|null} analysis - Result of Dissipation.analyze
+     * @param {number|null} [u0] - Hydrostatic pore pressure at the test depth (MPa)
+     */
+    setData(test, analysis, u0 = null) {
+        this.test = test;
+        this.analysis = analysis;
+        this.u0 = u0;
+        this.draw();
+    }
+
+    clear() {
+        this.setData(null, null);
+    }
+
+    // ---- Layout / scales ----
+
+    _layout() {
+        const LEFT = 38, RIGHT = 8, TOP = 8, BOTTOM = 24;
+        return {
+            l: LEFT, t: TOP,
+            w: Math.max(10, this.W - LEFT - RIGHT),
+            h: Math.max(10, this.H - TOP - BOTTOM),
+        };
+    }
+
+    /** Readings with a positive time: [{ t, u }] */
+    _points() {
+        if (!this.test || !this.analysis) return [];
+        const key = this.analysis.key;
+        return this.test.data.filter(r => r.time > 0 && r[key] !== null).map(r => ({ t: r.time, u: r[key] }));
+    }
+
+    _ranges(points) {
+        const a = this.analysis;
+        const ts = points.map(p => p.t);
+        const us = [...points.map(p => p.u), a.ui, a.ueq, this.u0].filter(v => v !== null && isFinite(v));
+        const uMin = Math.min(...us), uMax = Math.max(...us);
+        const pad = (uMax - uMin) * 0.08 || 0.01;
+        return {
+            tMin: Math.pow(10, Math.floor(Math.log10(Math.min(...ts)))),
+            tMax: Math.pow(10, Math.ceil(Math.log10(Math.max(...ts)))),
+            uMin: Math.max(0, uMin - pad),
+            uMax: uMax + pad,
+        };
+    }
+
+    _t2x(t, L, R) {
+        return L.l + (Math.log10(t / R.tMin) / Math.log10(R.tMax / R.tMin)) * L.w;
+    }
+
+    _u2y(u, L, R) {
+        return L.t + L.h - ((u - R.uMin) / (R.uMax - R.uMin)) * L.h;
+    }
+
+    // ---- Drawing ----
+
+    draw() {
+        if (!this.W || !this.H) return;
+        const c = this.ctx;
+        c.save();
+        c.scale(this.dpr, this.dpr);
+        c.fillStyle = this.COLORS.bg;
+        c.fillRect(0, 0, this.W, this.H);
+
+        const L = this._layout();
+        c.fillStyle = this.COLORS.panelBg;
+        c.fillRect(L.l, L.t, L.w, L.h);
+
+        const points = this._points();
+        if (points.length > 1) {
+            const R = this._ranges(points);
+            this._drawGrid(c, L, R);
+
+            c.save();
+            c.beginPath();
+            c.rect(L.l, L.t, L.w, L.h);
+            c.clip();
+            this._drawLevels(c, L, R);
+            this._drawReadings(c, L, R, points);
+            c.restore();
+
+            this._drawAxisLabels(c, L, R);
+        }
+
+        c.strokeStyle = this.COLORS.border;
+        c.lineWidth = 1;
+        c.strokeRect(L.l + 0.5, L.t + 0.5, L.w - 1, L.h - 1);
+        c.restore();
+    }
+
+    _drawGrid(c, L, R) {
+        c.lineWidth = 1;
+        for (let decade = R.tMin; decade < R.tMax; decade *= 10) {
+            for (let m = 1; m < 10; m++) {
+                const x = Math.round(this._t2x(decade * m, L, R)) + 0.5;
+                c.strokeStyle = m === 1 ? this.COLORS.gridMajor : this.COLORS.grid;
+                c.beginPath(); c.moveTo(x, L.t); c.lineTo(x, L.t + L.h); c.stroke();
+            }
+        }
+        for (const u of this._uTicks(R)) {
+            const y = Math.round(this._u2y(u, L, R)) + 0.5;
+            c.strokeStyle = this.COLORS.grid;
+            c.beginPath(); c.moveTo(L.l, y); c.lineTo(L.l + L.w, y); c.stroke();
+        }
+    }
+
+    _drawLevels(c, L, R) {
+        const a = this.analysis;
+        const level = (u, color) => {
+            if (u === null || !isFinite(u)) return;
+            const y = Math.round(this._u2y(u, L, R)) + 0.5;
+            c.strokeStyle = color;
+            c.beginPath(); c.moveTo(L.l, y); c.lineTo(L.l + L.w, y); c.stroke();
+        };
+        c.lineWidth = 1;
+        c.setLineDash([4, 3]);
+        level(a.ui, this.COLORS.ui);
+        level(a.u50, this.COLORS.u50);
+        level(a.ueq, this.COLORS.ueq);
+        level(this.u0, this.COLORS.u0);
+
+        // t50 on the time axis of the readings (counted from tStart)
+        if (a.t50) {
+            const x = Math.round(this._t2x(a.tStart + a.t50, L, R)) + 0.5;
+            c.strokeStyle = this.COLORS.u50;
+            c.beginPath(); c.moveTo(x, L.t); c.lineTo(x, L.t + L.h); c.stroke();
+        }
+        c.setLineDash([]);
+    }
+
+    _drawReadings(c, L, R, points) {
+        c.strokeStyle = this.COLORS.line;
+        c.lineWidth = 1.4;
+        c.beginPath();
+        points.forEach((p, i) => {
+            const x = this._t2x(p.t, L, R), y = this._u2y(p.u, L, R);
+            if (i === 0) c.moveTo(x, y); else c.lineTo(x, y);
+        });
+        c.stroke();
+    }
+
+    _drawAxisLabels(c, L, R) {
+        c.font = '8px JetBrains Mono, monospace';
+        c.fillStyle = this.COLORS.text;
+
+        c.textAlign = 'center';
+        c.textBaseline = 'top';
+        for (let v = R.tMin; v <= R.tMax * 1.001; v *= 10) {
+            c.fillText(v < 1 ? v.toFixed(1) : Math.round(v).toString(), this._t2x(v, L, R), L.t + L.h + 2);
+        }
+        c.font = '600 9px Inter, system-ui, sans-serif';
+        c.fillStyle = this.COLORS.textBright;
+        c.fillText('t (s)', L.l + L.w / 2, L.t + L.h + 12);
+
+        c.font = '8px JetBrains Mono, monospace';
+        c.fillStyle = this.COLORS.text;
+        c.textAlign = 'right';
+        c.textBaseline = 'middle';
+        for (const u of this._uTicks(R)) {
+            c.fillText(u.toFixed(3), L.l - 3, this._u2y(u, L, R));
+        }
+
+        c.save();
+        c.translate(8, L.t + L.h / 2);
+        c.rotate(-Math.PI / 2);
+        c.textAlign = 'center';
+        c.font = '600 9px Inter, system-ui, sans-serif';
+        c.fillStyle = this.COLORS.textBright;
+        c.fillText(`${this.analysis.key} (MPa)`, 0, 0);
+        c.restore();
+    }
+
+    _uTicks(R) {
+        const range = R.uMax - R.uMin;
+        const raw = range / 5;
+        const p = Math.pow(10, Math.floor(Math.log10(raw)));
+        const n = raw / p;
+        const step = (n <= 1 ? 1 : n <= 2 ? 2 : n <= 5 ? 5 : 10) * p;
+        const ticks = [];
+        for (let u = Math.ceil(R.uMin / step) * step; u <= R.uMax; u += step) ticks.push(+u.toFixed(6));
+        return ticks;
+    }
+}
@@ -0,0 +1,171 @@
+/**
+ * Pore pressure dissipation tests
+ *
+ * A dissipation test is kept as a small dataset of its own,
+ *   { length, depth, columns, data: [{ time, qc, u1, u2, u3 }] }
+ * with time in s since the start of the test and the penetration length
+ * and depth (m below surface) at which the cone was stopped.
+ *
+ * Analysis (analyze):
+ * - ui: initial pore pressure; for a dilatory response (pore pressure first
+ *   rising) the maximum, with time counted from that maximum (Sully et al. 1999)
+ * - ueq: equilibrium pore pressure, the mean of the last readings when the
+ *   test has levelled off, else from a fit of the dissipation curve
+ * - t50: time to 50% dissipation, u50 = ueq + (ui − ueq) / 2, interpolated
+ *   in log time
+ * - ch = T50*·r²·√Ir / t50, Teh & Houlsby (1991), with the cone radius r from
+ *   the cone tip area and T50* by filter position (u1 / u2)
+ */
+
+const DISSIPATION_DEFAULTS = {
+    rigidityIndex: 100,  // Ir = G / su
+    coneTipArea: 1000,   // mm², when the header does not give one
+};
+
+// Time factor T50* of Teh & Houlsby (1991) by filter position
+const DISSIPATION_T50_FACTORS = {
+    u1: 0.118,
+    u2: 0.245,
+};
+
+// Pore pressure columns in order of preference
+const DISSIPATION_PORE_KEYS = ['u2', 'u1', 'u3'];
+
+const DISSIPATION_LEVEL_TOLERANCE = 0.02;  // last 10% of log time within 2% of the total dissipation
+const SECONDS_PER_YEAR = 365.25 * 24 * 3600;
+
+class Dissipation {
+    /**
+     * Analyse a dissipation test.
+     * @param {object} test - Dissipation test { length, depth, columns, data }
+     * @param {object} [options] - Overrides for DISSIPATION_DEFAULTS
+     * @returns {object|null} { key, ui, tStart, ueq, levelled, u50, t50, ch, dilatory };
+     *   pore pressures in MPa, times in s, ch in m²/s (null when not determined);
+     *   null without pore pressure readings
+     */
+    static analyze(test, options = {}) {
+        const opt = { ...DISSIPATION_DEFAULTS, ...options };
+        const key = DISSIPATION_PORE_KEYS.find(k => test.columns.some(c => c.key === k));
+        if (!key) return null;
+
+        const points = test.data
+            .filter(r => r.time !== null && r.time >= 0 && r[key] !== null)
+            .map(r => ({ t: r.time, u: r[key] }));
+        if (points.length < 3) return null;
+
+        // Initial pore pressure: maximum in the first half of the test
+        let iMax = 0;
+        for (let i = 1; i < points.length / 2; i++) {
+            if (points[i].u > points[iMax].u) iMax = i;
+        }
+        const dilatory = iMax > 0;
+        const ui = points[iMax].u;
+        const tStart = dilatory ? points[iMax].t : 0;
+
+        // Dissipation part, time counted from tStart
+        const decay = points.slice(iMax).map(p => ({ t: p.t - tStart, u: p.u }));
+        const { ueq, levelled } = Dissipation._equilibrium(decay, ui);
+        const result = { key, ui, tStart, ueq, levelled, u50: null, t50: null, ch: null, dilatory };
+        if (!(ui > ueq)) return result;
+
+        result.u50 = ueq + (ui - ueq) / 2;
+        result.t50 = Dissipation._crossing(decay, result.u50);
+        if (!(result.t50 > 0)) return result;
+
+        const factor = DISSIPATION_T50_FACTORS[key];
+        if (factor) {
+            const radius = Math.sqrt(opt.coneTipArea / Math.PI) / 1000;  // m
+            result.ch = factor * radius * radius * Math.sqrt(opt.rigidityIndex) / result.t50;
+        }
+        return result;
+    }
+
+    /**
+     * Depth below surface at a penetration length, interpolated in the CPT data.
+     * @param {Array} data - CPT data rows { length, depth }
+     * @param {number} length - Penetration length (m)
+     * @returns {number} Depth (m below surface); the length itself without depth data
+     */
+    static depthAtLength(data, length) {
+        const rows = data.filter(r => r.length !== null && r.depth != null);
+        for (let i = 1; i < rows.length; i++) {
+            const a = rows[i - 1], b = rows[i];
+            if (length < a.length || length > b.length || b.length === a.length) continue;
+            const f = (length - a.length) / (b.length - a.length);
+            return Math.abs(a.depth) + f * (Math.abs(b.depth) - Math.abs(a.depth));
+        }
+        return length;
+    }
+
+    /** ch in m²/jaar, the unit reported in Dutch practice. */
+    static chPerYear(ch) {
+        return ch * SECONDS_PER_YEAR;
+    }
+
+    // ---- Helpers ----
+
+    static _equilibrium(points, ui) {
+        const tEnd = points[points.length - 1].t;
+        const tFirst = Math.max(points[0].t, points.length > 1 ? points[1].t : 1e-3);
+        const logT = t => Math.log10(Math.max(t, 1e-3));
+        const span = logT(tEnd) - logT(tFirst);
+
+        // Levelled off: the last 10% of log time changes less than the tolerance
+        const tail = points.filter(p => logT(p.t) >= logT(tEnd) - span * 0.1);
+        const tailValues = tail.map(p => p.u);
+        const last = tailValues.reduce((s, v) => s + v, 0) / tailValues.length;
+        const range = Math.max(...tailValues) - Math.min(...tailValues);
+        if (span <= 0 || (tail.length >= 3 && range <= DISSIPATION_LEVEL_TOLERANCE * Math.abs(ui - last))) {
+            return { ueq: last, levelled: true };
+        }
+
+        return { ueq: Dissipation._fitEquilibrium(points, ui), levelled: false };
+    }
+
+    /**
+     * Equilibrium pore pressure of a test that has not levelled off: best fit
+     * of u = ueq + (ui − ueq) / (1 + (t/t50)^0.75), an approximation of the
+     * Teh & Houlsby curve, over ueq between uLast − (ui − uLast) and uLast.
+     */
+    static _fitEquilibrium(points, ui) {
+        const uLast = points[points.length - 1].u;
+        if (!(ui > uLast)) return uLast;
+        // At most ~200 readings, spread over the test
+        const step = Math.max(1, Math.floor(points.length / 200));
+        const sample = points.filter((p, i) => p.t > 0 && i % step === 0);
+
+        let best = { ueq: uLast, sse: Infinity };
+        for (let k = 0; k < 100; k++) {
+            const ueq = uLast - (ui - uLast) * (1 - k / 100);
+            // log t50 for this ueq: mean over the readings of the linearized curve
+            let sum = 0, n = 0;
+            for (const p of sample) {
+                const U = (p.u - ueq) / (ui - ueq);
+                if (U <= 0 || U >= 1) continue;
+                sum += Math.log10(p.t) - Math.log10(1 / U - 1) / 0.75;
+                n++;
+            }
+            if (!n) continue;
+            const t50 = Math.pow(10, sum / n);
+            let sse = 0;
+            for (const p of sample) {
+                const u = ueq + (ui - ueq) / (1 + Math.pow(p.t / t50, 0.75));
+                sse += (u - p.u) ** 2;
+            }
+            if (sse < best.sse) best = { ueq, sse };
+        }
+        return best.ueq;
+    }
+
+    /** First time the pore pressure drops to u, interpolated in log time. */
+    static _crossing(points, u) {
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1], b = points[i];
+            if (a.u < u || b.u > u) continue;
+            const f = a.u === b.u ? 0 : (a.u - u) / (a.u - b.u);
+            if (a.t > 0) return Math.pow(10, Math.log10(a.t) + f * (Math.log10(b.t) - Math.log10(a.t)));
+            return a.t + f * (b.t - a.t);
+        }
+        return null;
+    }
+}
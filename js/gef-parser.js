@@ -5,6 +5,12 @@
  * Supports GEF version 1.x with standard column definitions.
  */
 
+// #ZID height system codes
+const GEF_HEIGHT_SYSTEMS = {
+    31000: 'NAP',
+    32000: 'Oostends peil',
+};
+
 const GEF_COLUMN_TYPES = {
     1:  { key: 'length',       label: 'Sondeerlengte',         unit: 'm' },
     2:  { key: 'qc',           label: 'Conusweerstand',        unit: 'MPa' },
@@ -27,11 +33,49 @@ const GEF_COLUMN_TYPES = {
     39: { key: 'friction_total',label: 'Totale wrijving',      unit: 'kN' },
 };
 
+// Keywords that occur more than once in a header; kept as lists of raw values
+const GEF_REPEATED_KEYWORDS = ['MEASUREMENTVAR', 'MEASUREMENTTEXT', 'COMMENT', 'REPORTTEXT', 'SPECIMENVAR', 'SPECIMENTEXT'];
+
+// #MEASUREMENTVAR numbers of the GEF-CPT-Report standard, mapped to header fields
+const GEF_MEASUREMENT_VARS = {
+    1:  { key: 'coneTipArea',     label: 'Oppervlak conuspunt',          unit: 'mm²' },
+    2:  { key: 'sleeveArea',      label: 'Oppervlak kleefmantel',        unit: 'mm²' },
+    3:  { key: 'coneAreaRatio',   label: 'Oppervlaktequotiënt conus (a)', unit: '-' },
+    4:  { key: 'sleeveAreaRatio', label: 'Oppervlaktequotiënt kleefmantel', unit: '-' },
+    5:  { key: 'sleeveDistance',  label: 'Afstand conuspunt-kleefmantel', unit: 'mm' },
+    12: { key: 'cptMethodCode',   label: 'Sondeermethode',               unit: '' },
+    13: { key: 'predrilledDepth', label: 'Voorgeboorde diepte',          unit: 'm' },
+    14: { key: 'groundwaterLevel', label: 'Grondwaterstand',             unit: 'm-mv' },
+    16: { key: 'finalDepth',      label: 'Einddiepte',                   unit: 'm' },
+    17: { key: 'stopCriterion',   label: 'Stopcriterium',                unit: '', description: true },
+    20: { key: 'zeroQcBefore',    label: 'Nulpunt conus voor',           unit: 'MPa' },
+    21: { key: 'zeroQcAfter',     label: 'Nulpunt conus na',             unit: 'MPa' },
+    22: { key: 'zeroFsBefore',    label: 'Nulpunt kleef voor',           unit: 'MPa' },
+    23: { key: 'zeroFsAfter',     label: 'Nulpunt kleef na',             unit: 'MPa' },
+    24: { key: 'zeroU1Before',    label: 'Nulpunt u1 voor',              unit: 'MPa' },
+    25: { key: 'zeroU1After',     label: 'Nulpunt u1 na',                unit: 'MPa' },
+    26: { key: 'zeroU2Before',    label: 'Nulpunt u2 voor',              unit: 'MPa' },
+    27: { key: 'zeroU2After',     label: 'Nulpunt u2 na',                unit: 'MPa' },
+    28: { key: 'zeroU3Before',    label: 'Nulpunt u3 voor',              unit: 'MPa' },
+    29: { key: 'zeroU3After',     label: 'Nulpunt u3 na',                unit: 'MPa' },
+};
+
+// #MEASUREMENTTEXT numbers of the GEF-CPT-Report standard, mapped to header fields
+const GEF_MEASUREMENT_TEXTS = {
+    1: { key: 'client',      label: 'Opdrachtgever' },
+    3: { key: 'location',    label: 'Plaatsnaam' },
+    4: { key: 'coneType',    label: 'Conustype' },
+    5: { key: 'equipment',   label: 'Sondeerequipment' },
+    6: { key: 'cptStandard', label: 'Norm' },
+};
+
 class GefParser {
     parse(text) {
         const lines = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
         const header = {};
         const columns = [];
+        const headerLines = {};   // keyword -> line number of its (last) occurrence
+        const diag = new ParserDiagnostics();
         let dataStartIndex = -1;
 
         // Parse header
@@ -49,7 +93,8 @@ class GefParser {
             const keyword = match[1].toUpperCase();
             const value = match[2].trim();
 
-            this._parseHeaderLine(header, columns, keyword, value);
+            headerLines[keyword] = i + 1;
+            this._parseHeaderLine(header, columns, keyword, value, i + 1);
         }
 
         if (dataStartIndex === -1) {
@@ -57,23 +102,37 @@ class GefParser {
         }
 
         // Build column mapping
-        const columnMap = this._buildColumnMap(columns, header);
+        const columnMap = this._buildColumnMap(columns, header, diag);
 
         // Parse data rows
         const separator = this._detectSeparator(header);
-        const data = this._parseData(lines, dataStartIndex, separator, columnMap, header);
+        const where = [];
+        const data = this._parseData(lines, dataStartIndex, separator, columnMap, header, diag, where);
+        this._validate(diag, header, headerLines, columns, columnMap, data, where);
+
+        const meta = this._extractMetadata(header);
+
+        // Dissipation file (GEF-DISS-Report): no CPT data, one test
+        if (this._isDissipation(header, columnMap)) {
+            return {
+                header: meta, columns: [], data: [],
+                dissipationTests: [this._dissipationTest(meta, columnMap, data)],
+                diagnostics: diag.list(),
+            };
+        }
 
         // Compute derived columns if missing
-        this._computeDerived(data, columnMap);
+        this._computeDerived(data, columnMap, meta);
 
         return {
-            header: this._extractMetadata(header),
+            header: meta,
             columns: columnMap,
             data,
+            diagnostics: diag.list(),
         };
     }
 
-    _parseHeaderLine(header, columns, keyword, value) {
+    _parseHeaderLine(header, columns, keyword, value, line) {
         if (keyword === 'COLUMNINFO') {
             const parts = value.split(',').map(s => s.trim());
             if (parts.length >= 3) {
@@ -81,7 +140,7 @@ class GefParser {
                 const unit = parts[1];
                 const colName = parts[2];
                 const colType = parts.length >= 4 ? parseInt(parts[3], 10) : null;
-                columns[colIndex] = { unit, name: colName, type: colType };
+                columns[colIndex] = { unit, name: colName, type: colType, line };
             }
         } else if (keyword === 'COLUMNSEPARATOR') {
             header.COLUMNSEPARATOR = value;
@@ -93,6 +152,9 @@ class GefParser {
                 if (!header.COLUMNVOID) header.COLUMNVOID = {};
                 header.COLUMNVOID[parseInt(parts[0], 10) - 1] = parseFloat(parts[1]);
             }
+        } else if (GEF_REPEATED_KEYWORDS.includes(keyword)) {
+            if (!header[keyword]) header[keyword] = [];
+            header[keyword].push(value);
         } else if (keyword.startsWith('COLUMN')) {
             // Store raw for reference
             if (!header._columns) header._columns = [];
@@ -104,13 +166,17 @@ class GefParser {
         header._rawColumns = columns;
     }
 
-    _buildColumnMap(columns, header) {
+    _buildColumnMap(columns, header, diag) {
         const map = [];
         for (let i = 0; i < columns.length; i++) {
             const col = columns[i];
             if (!col) continue;
 
             const typeInfo = col.type ? GEF_COLUMN_TYPES[col.type] : null;
+            if (!typeInfo) {
+                const reason = col.type ? `onbekend hoeveelheidsnummer ${col.type}` : 'geen hoeveelheidsnummer';
+                diag.add('warning', 'quantity', `Kolom ${i + 1} (${col.name}): ${reason}, niet herkend`, { line: col.line });
+            }
             map.push({
                 index: i,
                 key: typeInfo ? typeInfo.key : `col_${i + 1}`,
@@ -134,41 +200,95 @@ class GefParser {
         return /\s+/;  // default: whitespace
     }
 
-    _parseData(lines, startIndex, separator, columnMap, header) {
+    /**
+     * @param {ParserDiagnostics} diag - Receives skipped rows and unreadable values
+     * @param {Array} where - Filled with { line, row } per returned row
+     */
+    _parseData(lines, startIndex, separator, columnMap, header, diag, where) {
         const rows = [];
         const numCols = columnMap.length;
+        let records = 0;
 
         for (let i = startIndex; i < lines.length; i++) {
             const line = lines[i].trim();
             if (!line || line.startsWith('#') || line.startsWith('!')) continue;
+            records++;
 
             const parts = line.split(separator).map(s => s.trim()).filter(s => s !== '');
-            if (parts.length < numCols) continue;
+            if (parts.length < numCols) {
+                diag.add('warning', 'short-row', `${parts.length} van ${numCols} waarden, rij overgeslagen`, { line: i + 1, row: records });
+                continue;
+            }
 
             const row = {};
             for (const col of columnMap) {
                 let val = parseFloat(parts[col.index]);
-                if (isNaN(val)) { row[col.key] = null; continue; }
+                if (isNaN(val)) {
+                    diag.add('warning', 'not-a-number', `Kolom ${col.index + 1}: '${parts[col.index]}' is geen getal`, { line: i + 1, row: records });
+                    row[col.key] = null;
+                    continue;
+                }
                 if (col.voidValue !== undefined && val === col.voidValue) { row[col.key] = null; continue; }
                 row[col.key] = val;
             }
             rows.push(row);
+            where.push({ line: i + 1, row: records });
         }
 
+        header._records = records;
         return rows;
     }
 
-    _computeDerived(data, columnMap) {
+    _validate(diag, header, headerLines, columns, columnMap, data, where) {
+        if (!columnMap.length) diag.add('error', 'columns', 'Geen #COLUMNINFO gevonden', {});
+        if (header._records && !data.length) diag.add('error', 'no-data', 'Geen enkele datarij kon worden gelezen');
+
+        const lastScan = parseInt(header.LASTSCAN, 10);
+        if (!isNaN(lastScan) && lastScan !== header._records) {
+            diag.add('warning', 'lastscan', `#LASTSCAN is ${lastScan}, het bestand bevat ${header._records} datarijen`,
+                { line: headerLines.LASTSCAN });
+        }
+
+        const declared = columnMap.map(c => ({ ...c, line: columns[c.index].line }));
+        CptValidation.checkUnits(diag, data, declared);
+        // A dissipation test stays at one length; its time should increase
+        const order = this._isDissipation(header, columnMap) ? 'time' : undefined;
+        CptValidation.checkData(diag, data, columnMap, where, order);
+    }
+
+    _isDissipation(header, columnMap) {
+        const code = `${header.REPORTCODE || ''} ${header.PROCEDURECODE || ''}`;
+        if (/GEF-DISS/i.test(code)) return true;
+        return /GEF-CPT/i.test(code) ? false
+            : columnMap.some(c => c.key === 'time') && !columnMap.some(c => c.key === 'length');
+    }
+
+    /**
+     * Dissipation test of a GEF-DISS file. The test length comes from a
+     * penetration length column, else from #MEASUREMENTVAR 16.
+     */
+    _dissipationTest(meta, columnMap, data) {
+        const row = data.find(r => r.length != null);
+        const length = row ? row.length : (meta.finalDepth != null ? meta.finalDepth : null);
+        const columns = columnMap.filter(c => ['time', 'qc', 'u1', 'u2', 'u3'].includes(c.key));
+        return {
+            length,
+            depth: length,
+            startTime: meta.date || '',
+            columns,
+            data: data.map(r => Object.fromEntries(columns.map(c => [c.key, r[c.key]])))
+                .sort((a, b) => a.time - b.time),
+        };
+    }
+
+    _computeDerived(data, columnMap, meta) {
         const hasKey = key => columnMap.some(c => c.key === key);
 
-        // Compute depth from length if depth column not present
-        if (!hasKey('depth') && hasKey('length')) {
-            for (const row of data) {
-                if (row.length !== null) {
-                    row.depth = -row.length;  // depth as negative (below surface)
-                }
-            }
-            columnMap.push({ key: 'depth', label: 'Diepte (berekend)', unit: 'm', computed: true });
+        // Compute depth from length (and inclination) if depth column not present
+        if (!hasKey('depth')) {
+            // depth as negative (below surface)
+            const correction = CptCorrections.applyDepth(data, columnMap, -1);
+            if (correction) meta.depthCorrection = correction;
         }
 
         // Compute friction ratio if missing
@@ -182,6 +302,9 @@ class GefParser {
             }
             columnMap.push({ key: 'rf', label: 'Wrijvingsgetal (berekend)', unit: '%', computed: true });
         }
+
+        // Corrected cone resistance qt from u2 and the cone area ratio
+        CptCorrections.applyQt(data, columnMap, meta.coneAreaRatio);
     }
 
     _extractMetadata(header) {
@@ -198,8 +321,13 @@ class GefParser {
             }
         }
         if (header.ZID) {
+            // #ZID= height system, surface level, [accuracy]
             const parts = header.ZID.split(',').map(s => s.trim());
-            meta.surfaceLevel = parts.length >= 2 ? `${parts[1]} m NAP` : header.ZID;
+            const level = parseFloat(parts[1]);
+            if (!isNaN(level)) {
+                meta.surfaceLevel = level;
+                meta.verticalDatum = GEF_HEIGHT_SYSTEMS[parts[0]] || `ZID ${parts[0]}`;
+            }
         }
         if (header.XYID) {
             const parts = header.XYID.split(',').map(s => s.trim());
@@ -209,7 +337,20 @@ class GefParser {
                 meta.coordSystem = parts[0];
             }
         }
-        if (header.MEASUREMENTVAR) meta.measurementVar = header.MEASUREMENTVAR;
+        if (header.MEASUREMENTVAR) {
+            meta.measurementVars = header.MEASUREMENTVAR.map(v => this._parseMeasurementVar(v)).filter(v => v);
+            for (const v of meta.measurementVars) {
+                const def = GEF_MEASUREMENT_VARS[v.number];
+                if (def) meta[def.key] = def.description ? v.description : v.value;
+            }
+        }
+        if (header.MEASUREMENTTEXT) {
+            meta.measurementTexts = header.MEASUREMENTTEXT.map(t => this._parseMeasurementText(t)).filter(t => t);
+            for (const t of meta.measurementTexts) {
+                const def = GEF_MEASUREMENT_TEXTS[t.number];
+                if (def && t.text) meta[def.key] = t.text;
+            }
+        }
         if (header.GEFID) meta.gefVersion = header.GEFID;
         if (header.FILEOWNER) meta.fileOwner = header.FILEOWNER;
 
@@ -217,4 +358,36 @@ class GefParser {
 
         return meta;
     }
+
+    /**
+     * #MEASUREMENTVAR= number, value, unit, description
+     * @returns {object|null} { number, value, unit, description, raw } — value numeric when possible
+     */
+    _parseMeasurementVar(value) {
+        const parts = value.split(',').map(s => s.trim());
+        const number = parseInt(parts[0], 10);
+        if (isNaN(number)) return null;
+        const num = parseFloat(parts[1]);
+        return {
+            number,
+            value: isNaN(num) ? parts[1] || '' : num,
+            unit: parts[2] || '',
+            description: parts.slice(3).join(', '),
+            raw: value.slice(value.indexOf(',') + 1).trim(),
+        };
+    }
+
+    /**
+     * #MEASUREMENTTEXT= number, text, description
+     * The text itself may contain commas (e.g. 101: name, KvK number, country);
+     * raw keeps everything after the number.
+     * @returns {object|null} { number, text, raw }
+     */
+    _parseMeasurementText(value) {
+        const sep = value.indexOf(',');
+        const number = parseInt(value.slice(0, sep), 10);
+        if (sep < 0 || isNaN(number)) return null;
+        const raw = value.slice(sep + 1).trim();
+        return { number, text: raw.split(',')[0].trim(), raw };
+    }
 }
@@ -0,0 +1,166 @@
+/**
+ * GEF (Geotechnical Exchange Format) Writer
+ *
+ * Serializes a loaded dataset (GefParser or BroXmlParser output) to a
+ * GEF-CPT-Report 1.1 file. Column quantity numbers are the inverse of
+ * GEF_COLUMN_TYPES; columns without a GEF quantity number and columns the
+ * parsers compute themselves (depth from length, Rf from qc / fs) are not
+ * written, so parsing the output with GefParser gives the same data.
+ *
+ * Note: the BRO column elapsedTime is written as GEF quantity 12 and reads
+ * back as 'time'.
+ */
+
+const GEF_QUANTITY_NUMBERS = {
+    ...Object.fromEntries(Object.entries(GEF_COLUMN_TYPES).map(([n, t]) => [t.key, parseInt(n, 10)])),
+    elapsedTime: 12,
+};
+
+const GEF_WRITER_VOID = -999999;
+
+class GefWriter {
+    /**
+     * Write a dataset as GEF.
+     * @param {object} ds - Dataset { header, columns, data }
+     * @returns {string} GEF file contents
+     */
+    write(ds) {
+        const meta = ds.header;
+        const { columns } = GefWriter.writableColumns(ds.columns);
+        if (!columns.length) throw new Error('Geen kolommen om als GEF te schrijven');
+
+        const lines = [];
+        const add = (keyword, value) => lines.push(`#${keyword}= ${value}`);
+
+        add('GEFID', '1, 1, 0');
+        add('FILEOWNER', meta.fileOwner || 'CPT Viewer');
+        const now = new Date();
+        add('FILEDATE', `${now.getFullYear()}, ${now.getMonth() + 1}, ${now.getDate()}`);
+        if (meta.projectId) add('PROJECTID', meta.projectId);
+        if (meta.projectName) add('PROJECTNAME', meta.projectName);
+        if (meta.testId) add('TESTID', meta.testId);
+        if (meta.company) add('COMPANYID', meta.company);
+        const date = GefWriter._gefDate(meta.date);
+        if (date) add('STARTDATE', date);
+
+        add('COLUMN', columns.length);
+        columns.forEach((col, i) => {
+            // Commas separate the COLUMNINFO fields
+            const label = (col.label || col.key).replace(/,/g, ' ');
+            add('COLUMNINFO', `${i + 1}, ${col.unit || '-'}, ${label}, ${col.quantity}`);
+        });
+        columns.forEach((col, i) => add('COLUMNVOID', `${i + 1}, ${GEF_WRITER_VOID}`));
+        add('COLUMNSEPARATOR', ';');
+        add('RECORDSEPARATOR', '!');
+        add('LASTSCAN', ds.data.length);
+
+        const xyid = GefWriter._xyid(meta);
+        if (xyid) add('XYID', xyid);
+        const zid = GefWriter._heightSystem(meta.verticalDatum);
+        if (meta.surfaceLevel != null && zid) add('ZID', `${zid}, ${meta.surfaceLevel}`);
+
+        for (const [n, text] of GefWriter._measurementTexts(meta)) add('MEASUREMENTTEXT', `${n}, ${text}`);
+        for (const [n, text] of GefWriter._measurementVars(meta)) add('MEASUREMENTVAR', `${n}, ${text}`);
+
+        add('REPORTCODE', 'GEF-CPT-Report, 1, 1, 2');
+        lines.push('#EOH=');
+
+        for (const row of ds.data) {
+            lines.push(columns.map(col => GefWriter._number(row[col.key])).join(';') + ';!');
+        }
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Columns that can be written, with their GEF quantity number.
+     * Penetration length comes first, as GEF readers expect.
+     * @param {Array} columns - Column definitions of a dataset
+     * @returns {object} { columns: [column + { quantity }], skipped: [column] }
+     */
+    static writableColumns(columns) {
+        const writable = [];
+        const skipped = [];
+        for (const col of columns) {
+            if (col.computed) continue;
+            const quantity = col.type || GEF_QUANTITY_NUMBERS[col.key];
+            if (quantity) writable.push({ ...col, quantity });
+            else skipped.push(col);
+        }
+        writable.sort((a, b) => (b.quantity === 1) - (a.quantity === 1));
+        return { columns: writable, skipped };
+    }
+
+    /**
+     * Encode GEF text as ISO-8859-1, the encoding GEF files are read with.
+     * @param {string} text
+     * @returns {Uint8Array}
+     */
+    static encode(text) {
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            const code = text.charCodeAt(i);
+            bytes[i] = code > 255 ? 63 : code;  // '?'
+        }
+        return bytes;
+    }
+
+    // ---- Header helpers ----
+
+    /**
+     * #MEASUREMENTTEXT entries [number, text]: as read from GEF, or built
+     * from the header fields of GEF_MEASUREMENT_TEXTS (BRO-XML).
+     */
+    static _measurementTexts(meta) {
+        if (meta.measurementTexts) return meta.measurementTexts.map(t => [t.number, t.raw]);
+        // BRO keeps standard and quality class apart; GEF text 6 combines them
+        const fields = { ...meta, cptStandard: [meta.cptStandard, meta.qualityClass].filter(Boolean).join(' / ') };
+        return Object.entries(GEF_MEASUREMENT_TEXTS)
+            .filter(([, def]) => fields[def.key])
+            .map(([n, def]) => [n, `${String(fields[def.key]).replace(/,/g, ' ')}, ${def.label.toLowerCase()}`]);
+    }
+
+    /** #MEASUREMENTVAR entries [number, text], likewise from GEF_MEASUREMENT_VARS. */
+    static _measurementVars(meta) {
+        if (meta.measurementVars) return meta.measurementVars.map(v => [v.number, v.raw]);
+        return Object.entries(GEF_MEASUREMENT_VARS)
+            .filter(([, def]) => typeof meta[def.key] === 'number')
+            .map(([n, def]) => [n, `${meta[def.key]}, ${def.unit || '-'}, ${def.label}`]);
+    }
+
+    /**
+     * #XYID of the location: RD as given or transformed to RD (31000), other
+     * coordinates with their own code; null without a location.
+     */
+    static _xyid(meta) {
+        const system = Coordinates.system(meta.coordSystem);
+        if (meta.x && meta.y && (system === 'rd' || !meta.coordSystem)) return `31000, ${meta.x}, ${meta.y}`;
+        const loc = Coordinates.location(meta);
+        if (loc && loc.rd) return `31000, ${loc.rd.x.toFixed(2)}, ${loc.rd.y.toFixed(2)}`;
+        return meta.x && meta.y ? `${meta.coordSystem}, ${meta.x}, ${meta.y}` : null;
+    }
+
+    /** #ZID code of a vertical datum, null when GEF has none. */
+    static _heightSystem(datum) {
+        if (!datum) return null;
+        const code = Object.keys(GEF_HEIGHT_SYSTEMS).find(c => GEF_HEIGHT_SYSTEMS[c] === datum);
+        if (code) return code;
+        const m = datum.match(/^ZID (\d+)$/);
+        return m ? m[1] : null;
+    }
+
+    /** 'dd-mm-yyyy' (GEF) or 'yyyy-mm-dd' (BRO) to 'yyyy, mm, dd'. */
+    static _gefDate(date) {
+        if (!date) return null;
+        let m = date.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (m) return `${m[1]}, ${m[2]}, ${m[3]}`;
+        m = date.match(/^(\d{1,2})-(\d{1,2})-(\d{4})$/);
+        return m ? `${m[3]}, ${m[2]}, ${m[1]}` : null;
+    }
+
+    static _number(v) {
+        if (v === null || v === undefined || !isFinite(v)) return String(GEF_WRITER_VOID);
+        const s = String(v);
+        // No exponent notation: not all GEF readers accept it
+        return /e/i.test(s) ? v.toFixed(10).replace(/\.?0+$/, '') : s;
+    }
+}
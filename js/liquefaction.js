@@ -0,0 +1,194 @@
+/**
+ * Liquefaction triggering assessment from CPT data
+ *
+ * Methods:
+ * - boulanger-idriss: Boulanger & Idriss (2014), deterministic CRR curve,
+ *   fines content from Ic
+ *   (FC = 80·(Ic + CFC) − 137), qc1Ncs with iterated stress exponent
+ * - robertson-wride: Robertson & Wride (1998), Qtn,cs = Kc·Qtn with Kc from Ic
+ *
+ * Per depth: CSR, CRR (M = 7.5 and adjusted), factor of safety FoS = CRR / CSR.
+ * Points above the groundwater level or with Ic ≥ 2.6 are not liquefiable.
+ *
+ * Summary indices over the top 20 m:
+ * - LPI, Iwasaki et al. (1978): ∫ F(z)·(10 − 0.5z) dz, F = 1 − FoS for FoS < 1
+ * - LSN, van Ballegooy et al. (2014): 1000·∫ εv / z dz, εv after Zhang et al. (2002)
+ */
+
+const LIQUEFACTION_DEFAULTS = {
+    method: 'boulanger-idriss',
+    pga: 0.1,               // g
+    magnitude: 5.0,         // Mw
+    groundwaterDepth: 1.0,  // m below surface
+    cfc: 0,                 // fitting parameter for FC from Ic (B&I)
+};
+
+const LIQUEFACTION_METHODS = {
+    'boulanger-idriss': 'Boulanger & Idriss (2014)',
+    'robertson-wride':  'Robertson & Wride (1998)',
+};
+
+const LIQUEFACTION_IC_LIMIT = 2.6;
+const LIQUEFACTION_FOS_MAX = 5;        // FoS cap, also used for soil too dense to liquefy
+const LIQUEFACTION_INDEX_DEPTH = 20;  // m, integration depth for LPI / LSN
+
+// Constant of the B&I (2014) CRR curve. 2.80 gives the deterministic curve:
+// 2.60 − 0.20·Φ⁻¹(PL) at a probability of liquefaction PL of about 16%. The
+// median curve (PL = 50%, 2.60) gives a 22% higher CRR.
+const LIQUEFACTION_BI_C0 = 2.80;
+
+// Zhang et al. (2002): volumetric strain (%) = a·qc1Ncs^b per FoS curve, piecewise in qc1Ncs
+const ZHANG_CURVES = [
+    { fos: 0.5, parts: [[200, 102, -0.82]] },
+    { fos: 0.6, parts: [[147, 102, -0.82], [200, 2411, -1.45]] },
+    { fos: 0.7, parts: [[110, 102, -0.82], [200, 1701, -1.42]] },
+    { fos: 0.8, parts: [[80, 102, -0.82], [200, 1690, -1.46]] },
+    { fos: 0.9, parts: [[60, 102, -0.82], [200, 1430, -1.48]] },
+    { fos: 1.0, parts: [[200, 64, -0.93]] },
+    { fos: 1.1, parts: [[200, 11, -0.65]] },
+    { fos: 1.2, parts: [[200, 9.7, -0.69]] },
+    { fos: 1.3, parts: [[200, 7.6, -0.71]] },
+    { fos: 2.0, parts: [[200, 0, 0]] },
+];
+
+class Liquefaction {
+    /**
+     * Assess a dataset.
+     * @param {Array} data - Data rows { qc, fs, corrected_qc, ... }
+     * @param {object} [options] - Overrides for LIQUEFACTION_DEFAULTS; unit weights as in ROBERTSON_STRESS_DEFAULTS
+     * @returns {object} { points: [{ depth, csr, crr, fos, fc, qc1ncs, ic, liquefiable }], summary: { lpi, lsn, minFos, thickness } }
+     */
+    static assess(data, options = {}) {
+        const opt = { ...LIQUEFACTION_DEFAULTS, ...options };
+        if (!LIQUEFACTION_METHODS[opt.method]) throw new Error(`Onbekende verwekingsmethode: ${opt.method}`);
+
+        const normalized = Robertson.classifyDatasetNormalized(data, opt);
+        const points = data.map((row, i) => {
+            const n = normalized[i];
+            const empty = { depth: n.depth, csr: null, crr: null, fos: null, fc: null, qc1ncs: null, ic: n.Ic, liquefiable: false };
+            if (n.depth === null || n.Ic == null || !(n.sigmaV0Eff > 0)) return empty;
+
+            const qt = row.corrected_qc != null ? row.corrected_qc : row.qc;
+            const r = opt.method === 'robertson-wride'
+                ? Liquefaction._robertsonWride(n, opt)
+                : Liquefaction._boulangerIdriss(qt * 1000, n, opt);
+
+            const liquefiable = n.depth > opt.groundwaterDepth && n.Ic < LIQUEFACTION_IC_LIMIT;
+            return {
+                ...empty, ...r,
+                fos: liquefiable ? (r.crr === null ? LIQUEFACTION_FOS_MAX : Math.min(r.crr / r.csr, LIQUEFACTION_FOS_MAX)) : null,
+                liquefiable,
+            };
+        });
+
+        return { points, summary: Liquefaction.summary(points) };
+    }
+
+    static _boulangerIdriss(qtKpa, n, opt) {
+        const pa = ATMOSPHERIC_PRESSURE;
+        const z = n.depth;
+        const M = opt.magnitude;
+
+        const fc = Math.min(100, Math.max(0, 80 * (n.Ic + opt.cfc) - 137));
+
+        // Iterate qc1Ncs with the stress exponent m
+        let qc1ncs = qtKpa / pa;
+        let qc1n = qc1ncs;
+        for (let i = 0; i < 30; i++) {
+            const m = 1.338 - 0.249 * Math.pow(Math.max(21, Math.min(254, qc1ncs)), 0.264);
+            const cn = Math.min(1.7, Math.pow(pa / n.sigmaV0Eff, m));
+            qc1n = cn * qtKpa / pa;
+            const dq = (11.9 + qc1n / 14.6) * Math.exp(1.63 - 9.7 / (fc + 2) - Math.pow(15.7 / (fc + 2), 2));
+            const next = qc1n + dq;
+            if (Math.abs(next - qc1ncs) < 0.01) { qc1ncs = next; break; }
+            qc1ncs = next;
+        }
+
+        const alpha = -1.012 - 1.126 * Math.sin(z / 11.73 + 5.133);
+        const beta = 0.106 + 0.118 * Math.sin(z / 11.28 + 5.142);
+        const rd = Math.exp(alpha + beta * M);
+        const csr = 0.65 * (n.sigmaV0 / n.sigmaV0Eff) * opt.pga * rd;
+
+        const msfMax = Math.min(2.2, 1.09 + Math.pow(qc1ncs / 180, 3));
+        const msf = 1 + (msfMax - 1) * (8.64 * Math.exp(-M / 4) - 1.325);
+        const cSigma = Math.min(0.3, 1 / (37.3 - 8.27 * Math.pow(Math.min(211, qc1ncs), 0.264)));
+        const kSigma = Math.min(1.1, 1 - cSigma * Math.log(n.sigmaV0Eff / pa));
+
+        const q = Math.min(qc1ncs, 211);
+        const crr75 = Math.exp(q / 113 + Math.pow(q / 1000, 2) - Math.pow(q / 140, 3) + Math.pow(q / 137, 4) - LIQUEFACTION_BI_C0);
+
+        return { csr, crr: crr75 * msf * kSigma, fc, qc1ncs };
+    }
+
+    static _robertsonWride(n, opt) {
+        const z = n.depth;
+        const M = opt.magnitude;
+
+        let rd;
+        if (z <= 9.15) rd = 1 - 0.00765 * z;
+        else if (z <= 23) rd = 1.174 - 0.0267 * z;
+        else if (z <= 30) rd = 0.744 - 0.008 * z;
+        else rd = 0.5;
+        const csr = 0.65 * (n.sigmaV0 / n.sigmaV0Eff) * opt.pga * rd;
+
+        const ic = n.Ic;
+        const kc = ic <= 1.64 ? 1 : -0.403 * ic ** 4 + 5.581 * ic ** 3 - 21.63 * ic ** 2 + 33.75 * ic - 17.88;
+        const qtncs = kc * n.Qtn;
+
+        const msf = Math.pow(10, 2.24) / Math.pow(M, 2.56);
+        const fc = Math.min(100, Math.max(0, 1.75 * Math.pow(ic, 3.25) - 3.7));
+
+        // Qtn,cs ≥ 160: too dense to liquefy (crr null)
+        if (qtncs >= 160) return { csr, crr: null, fc, qc1ncs: qtncs };
+        const crr75 = qtncs < 50
+            ? 0.833 * (qtncs / 1000) + 0.05
+            : 93 * Math.pow(qtncs / 1000, 3) + 0.08;
+        return { csr, crr: crr75 * msf, fc, qc1ncs: qtncs };
+    }
+
+    /**
+     * Volumetric reconsolidation strain (decimal) after Zhang et al. (2002).
+     * Interpolates linearly in FoS between the published curves.
+     */
+    static volumetricStrain(fos, qc1ncs) {
+        const q = Math.min(200, Math.max(33, qc1ncs));
+        const ev = curve => {
+            const part = curve.parts.find(p => q <= p[0]) || curve.parts[curve.parts.length - 1];
+            return part[1] * Math.pow(q, part[2]);
+        };
+
+        if (fos <= ZHANG_CURVES[0].fos) return ev(ZHANG_CURVES[0]) / 100;
+        for (let i = 1; i < ZHANG_CURVES.length; i++) {
+            const a = ZHANG_CURVES[i - 1], b = ZHANG_CURVES[i];
+            if (fos <= b.fos) {
+                const t = (fos - a.fos) / (b.fos - a.fos);
+                return (ev(a) + (ev(b) - ev(a)) * t) / 100;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * LPI, LSN, minimum FoS and cumulative thickness with FoS < 1.
+     * @param {Array} points - Points from assess()
+     */
+    static summary(points) {
+        const valid = points.filter(p => p.depth !== null).sort((a, b) => a.depth - b.depth);
+        let lpi = 0, lsn = 0, thickness = 0, minFos = null;
+
+        for (let i = 0; i < valid.length; i++) {
+            const p = valid[i];
+            const next = valid[i + 1];
+            const dz = next ? next.depth - p.depth : 0;
+            if (p.fos === null || dz <= 0) continue;
+
+            minFos = minFos === null ? p.fos : Math.min(minFos, p.fos);
+            if (p.fos < 1) thickness += dz;
+            if (p.depth > LIQUEFACTION_INDEX_DEPTH) continue;
+
+            if (p.fos < 1) lpi += (1 - p.fos) * (10 - 0.5 * p.depth) * dz;
+            if (p.depth > 0) lsn += 1000 * Liquefaction.volumetricStrain(p.fos, p.qc1ncs) / p.depth * dz;
+        }
+        return { lpi, lsn, minFos, thickness };
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Map filter — attribute filters and thematic styling of the BRO map markers
+ *
+ * The attributes come from the WFS feature properties (names differ between
+ * service versions, see MAP_FILTER_PROPERTIES) or from the footprints in the
+ * offline store. A filter is
+ *   { depthMin, depthMax, dateFrom, dateTo, qualityClass, standard, party }
+ * with null or '' for no condition; a CPT without the attribute does not
+ * match a condition on it. A theme colors and sizes the markers by class of
+ * final depth or age (MAP_THEMES).
+ */
+
+// Feature properties per attribute, in order of preference
+const MAP_FILTER_PROPERTIES = {
+    depth:        ['final_depth', 'finalDepth'],
+    date:         ['research_report_date', 'researchReportDate'],
+    qualityClass: ['quality_class', 'qualityClass'],
+    standard:     ['cpt_standard', 'cptStandard'],
+    party:        ['delivery_accountable_party', 'deliveryAccountableParty'],
+};
+
+const MAP_FILTER_EMPTY = {
+    depthMin: null, depthMax: null, dateFrom: '', dateTo: '', qualityClass: '', standard: '', party: '',
+};
+
+// Themes: class breaks in the unit of the attribute; reverse gives the
+// first class the last color (recent CPTs stand out)
+const MAP_THEMES = {
+    none:  { label: 'Geen' },
+    depth: { label: 'Einddiepte', key: 'depth', unit: 'm', breaks: [10, 20, 30, 40] },
+    age:   { label: 'Ouderdom', key: 'age', unit: 'jaar', breaks: [2, 5, 10, 20], reverse: true },
+};
+
+// Marker color and size (px) per class, and for CPTs without the attribute
+const MAP_THEME_COLORS = ['#60a5fa', '#34d399', '#facc15', '#fb923c', '#ef4444'];
+const MAP_THEME_SIZES = [6, 8, 10, 12, 14];
+const MAP_THEME_UNKNOWN = { color: '#6b7280', size: 6 };
+
+class MapFilter {
+    /**
+     * Filter attributes of a CPT location.
+     * @param {object} props - Feature properties
+     * @returns {object} { depth, date, age, qualityClass, standard, party }, null when missing
+     */
+    static attributes(props) {
+        const get = key => {
+            const name = MAP_FILTER_PROPERTIES[key].find(n => props[n] !== undefined && props[n] !== null && props[n] !== '');
+            return name ? props[name] : null;
+        };
+        const depth = parseFloat(get('depth'));
+        const date = get('date') ? String(get('date')).slice(0, 10) : null;
+        const time = date ? Date.parse(date) : NaN;
+        const qualityClass = get('qualityClass') ? String(get('qualityClass')).match(/\d/) : null;
+        return {
+            depth: isNaN(depth) ? null : depth,
+            date,
+            age: isNaN(time) ? null : (Date.now() - time) / (365.25 * 86400000),
+            qualityClass: qualityClass ? parseInt(qualityClass[0], 10) : null,
+            standard: get('standard') !== null ? String(get('standard')) : null,
+            party: get('party') !== null ? String(get('party')) : null,
+        };
+    }
+
+    /** Whether a filter has any condition. */
+    static isActive(filter) {
+        return Object.keys(MAP_FILTER_EMPTY).some(k => filter[k] !== null && filter[k] !== '');
+    }
+
+    /**
+     * @param {object} attrs - From attributes()
+     * @param {object} filter
+     * @returns {boolean}
+     */
+    static matches(attrs, filter) {
+        const set = v => v !== null && v !== '';
+        if (set(filter.depthMin) && !(attrs.depth !== null && attrs.depth >= filter.depthMin)) return false;
+        if (set(filter.depthMax) && !(attrs.depth !== null && attrs.depth <= filter.depthMax)) return false;
+        // ISO dates compare as text
+        if (set(filter.dateFrom) && !(attrs.date && attrs.date >= filter.dateFrom)) return false;
+        if (set(filter.dateTo) && !(attrs.date && attrs.date <= filter.dateTo)) return false;
+        if (set(filter.qualityClass) && attrs.qualityClass !== parseInt(filter.qualityClass, 10)) return false;
+        if (set(filter.standard) && attrs.standard !== filter.standard) return false;
+        if (set(filter.party) && attrs.party !== filter.party) return false;
+        return true;
+    }
+
+    /**
+     * Marker style of a CPT for a theme.
+     * @returns {object|null} { color, size }, null for theme 'none'
+     */
+    static style(attrs, theme) {
+        const def = MAP_THEMES[theme];
+        if (!def || !def.key) return null;
+        const value = attrs[def.key];
+        if (value === null) return MAP_THEME_UNKNOWN;
+        let index = def.breaks.filter(b => value >= b).length;
+        if (def.reverse) index = def.breaks.length - index;
+        return { color: MAP_THEME_COLORS[index], size: MAP_THEME_SIZES[index] };
+    }
+
+    /**
+     * Legend of a theme.
+     * @returns {Array} [{ label, color, size }], empty for theme 'none'
+     */
+    static legend(theme) {
+        const def = MAP_THEMES[theme];
+        if (!def || !def.key) return [];
+        const b = def.breaks;
+        const items = [`< ${b[0]}`];
+        for (let i = 1; i < b.length; i++) items.push(`${b[i - 1]}–${b[i]}`);
+        items.push(`≥ ${b[b.length - 1]}`);
+        return items.map((range, i) => ({ label: `${range} ${def.unit}`, ...MapFilter.style({ [def.key]: i ? b[i - 1] : b[0] - 1 }, theme) }))
+            .concat([{ label: 'onbekend', ...MAP_THEME_UNKNOWN }]);
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * Map selection — shapes drawn on the map to select CPT locations
+ *
+ * A shape is { type, points: [{ lat, lon }], buffer }:
+ *   rectangle  two opposite corners
+ *   polygon    the vertices, at least three; closed automatically
+ *   line       a polyline; selects within buffer metres of the line
+ *
+ * Distances use the local equirectangular projection of CrossSection,
+ * accurate to well below a metre over the size of a selection.
+ */
+
+const MAP_SELECT_TYPES = {
+    rectangle: { label: 'Rechthoek', minPoints: 2 },
+    polygon:   { label: 'Polygoon', minPoints: 3 },
+    line:      { label: 'Langs lijn', minPoints: 2 },
+};
+
+const MAP_SELECT_BUFFER = 50;  // m, default buffer around a line
+
+class MapSelection {
+    /**
+     * Whether a point lies within a shape.
+     * @param {object} shape - { type, points, buffer }
+     * @param {object} p - { lat, lon }
+     * @returns {boolean}
+     */
+    static contains(shape, p) {
+        const pts = shape.points;
+        if (shape.type === 'rectangle') {
+            const [a, b] = pts;
+            return p.lat >= Math.min(a.lat, b.lat) && p.lat <= Math.max(a.lat, b.lat)
+                && p.lon >= Math.min(a.lon, b.lon) && p.lon <= Math.max(a.lon, b.lon);
+        }
+        const origin = pts[0];
+        const local = pts.map(q => MapSelection._toLocal(q, origin));
+        const point = MapSelection._toLocal(p, origin);
+        if (shape.type === 'line') return CrossSection.project(local, point).offset <= shape.buffer;
+
+        // Polygon: count the edges a ray to the right crosses
+        let inside = false;
+        for (let i = 0, j = local.length - 1; i < local.length; j = i++) {
+            const a = local[i], b = local[j];
+            if ((a.y > point.y) !== (b.y > point.y)
+                && point.x < a.x + (point.y - a.y) * (b.x - a.x) / (b.y - a.y)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Bounding box of a shape, a line widened by its buffer.
+     * @returns {object} { south, west, north, east }
+     */
+    static bounds(shape) {
+        const lats = shape.points.map(p => p.lat), lons = shape.points.map(p => p.lon);
+        const box = { south: Math.min(...lats), west: Math.min(...lons), north: Math.max(...lats), east: Math.max(...lons) };
+        if (shape.type === 'line') {
+            const rad = Math.PI / 180;
+            const dLat = shape.buffer / EARTH_RADIUS / rad;
+            const dLon = dLat / Math.cos(Math.max(Math.abs(box.south), Math.abs(box.north)) * rad);
+            box.south -= dLat;
+            box.north += dLat;
+            box.west -= dLon;
+            box.east += dLon;
+        }
+        return box;
+    }
+
+    /** Outline to draw: the corners of a rectangle, else the points. */
+    static outline(shape) {
+        if (shape.type !== 'rectangle' || shape.points.length < 2) return shape.points;
+        const [a, b] = shape.points;
+        return [a, { lat: a.lat, lon: b.lon }, b, { lat: b.lat, lon: a.lon }];
+    }
+
+    static _toLocal(p, origin) {
+        const rad = Math.PI / 180;
+        return {
+            x: (p.lon - origin.lon) * rad * EARTH_RADIUS * Math.cos(origin.lat * rad),
+            y: (p.lat - origin.lat) * rad * EARTH_RADIUS,
+        };
+    }
+}
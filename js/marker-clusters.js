@@ -0,0 +1,41 @@
+/**
+ * Marker clusters — groups of nearby map points, drawn as one marker with a count
+ *
+ * Points are grouped by a grid of square cells in screen pixels at the
+ * current zoom level. The grid is aligned to the projected world (not to
+ * the map container), so the clusters stay put while panning. Cells with a
+ * single point are returned as a cluster of one.
+ */
+
+class MarkerClusters {
+    /**
+     * @param {Array} points - [{ lat, lon, ... }]
+     * @param {Function} project - Point to pixel position { x, y } at the current zoom
+     * @param {number} cellSize - Grid cell size in pixels
+     * @returns {Array} [{ lat, lon, points, south, west, north, east }], lat / lon the mean position
+     */
+    static build(points, project, cellSize) {
+        const cells = new Map();
+        for (const p of points) {
+            const px = project(p);
+            const key = `${Math.floor(px.x / cellSize)},${Math.floor(px.y / cellSize)}`;
+            if (!cells.has(key)) cells.set(key, []);
+            cells.get(key).push(p);
+        }
+        return [...cells.values()].map(MarkerClusters._cluster);
+    }
+
+    static _cluster(points) {
+        const lats = points.map(p => p.lat);
+        const lons = points.map(p => p.lon);
+        return {
+            lat: lats.reduce((a, b) => a + b, 0) / points.length,
+            lon: lons.reduce((a, b) => a + b, 0) / points.length,
+            points,
+            south: Math.min(...lats),
+            north: Math.max(...lats),
+            west: Math.min(...lons),
+            east: Math.max(...lons),
+        };
+    }
+}
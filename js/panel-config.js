@@ -0,0 +1,143 @@
+/**
+ * Chart panel configuration
+ *
+ * The data panels of CptChart are described by a list of panel definitions:
+ *
+ *   { id, width, min, max, series: [{ key, color }] }
+ *
+ * id      unique panel identifier
+ * width   relative width (the default qc/fs/Rf panels use 45/25/30)
+ * min/max fixed scale range, null for automatic
+ * series  data columns (keys from ds.columns) drawn in the panel
+ *
+ * Panels whose columns are all missing in a CPT are not drawn for that CPT.
+ * The configuration is stored in localStorage so it survives a reload.
+ */
+
+const PANEL_CONFIG_STORAGE_KEY = 'cpt-viewer.panels';
+
+const PANEL_DEFAULTS = [
+    { id: 'qc', width: 45, min: null, max: null, series: [{ key: 'qc', color: '#3b82f6' }] },
+    { id: 'fs', width: 25, min: null, max: null, series: [{ key: 'fs', color: '#ef4444' }] },
+    { id: 'rf', width: 30, min: null, max: null, series: [{ key: 'rf', color: '#22c55e' }] },
+];
+
+const PANEL_COLORS = [
+    '#3b82f6', '#ef4444', '#22c55e', '#f59e0b', '#a855f7',
+    '#06b6d4', '#ec4899', '#84cc16', '#f97316', '#e6edf3',
+];
+
+// Short series names for panel headers; other columns use their parser label
+const COLUMN_SHORT_LABELS = {
+    qc: 'qc', corrected_qc: 'qt', net_qc: 'qn', fs: 'fs', rf: 'Rf', rf_qt: 'Rf(qt)', pore_ratio: 'Bq',
+    u1: 'u1', u2: 'u2', u3: 'u3',
+    inclination: 'Incl.', incl_ns: 'Incl. N-Z', incl_ew: 'Incl. O-W', incl_x: 'Incl. X', incl_y: 'Incl. Y',
+    temp: 'T', electric_cond: 'EC', speed: 'v', friction_total: 'Fw', depth_offset: 'Δz',
+};
+
+// Columns that cannot be plotted against depth
+const PANEL_EXCLUDED_COLUMNS = ['length', 'depth'];
+
+class PanelConfig {
+    /**
+     * @returns {Array} Fresh copy of the default qc / fs / Rf panels
+     */
+    static defaults() {
+        return PanelConfig.clone(PANEL_DEFAULTS);
+    }
+
+    static clone(panels) {
+        return panels.map(p => ({ ...p, series: p.series.map(s => ({ ...s })) }));
+    }
+
+    /**
+     * Load the stored configuration, falling back to the defaults when
+     * nothing is stored or the stored value is invalid.
+     * @returns {Array} Panel definitions
+     */
+    static load() {
+        try {
+            const raw = localStorage.getItem(PANEL_CONFIG_STORAGE_KEY);
+            if (!raw) return PanelConfig.defaults();
+            const panels = JSON.parse(raw);
+            if (!Array.isArray(panels) || !panels.length || !panels.every(PanelConfig._isValid)) {
+                return PanelConfig.defaults();
+            }
+            return PanelConfig.clone(panels);
+        } catch (err) {
+            console.warn('Panelconfiguratie niet geladen:', err);
+            return PanelConfig.defaults();
+        }
+    }
+
+    static save(panels) {
+        try {
+            localStorage.setItem(PANEL_CONFIG_STORAGE_KEY, JSON.stringify(panels));
+        } catch (err) {
+            console.warn('Panelconfiguratie niet opgeslagen:', err);
+        }
+    }
+
+    static reset() {
+        try {
+            localStorage.removeItem(PANEL_CONFIG_STORAGE_KEY);
+        } catch (err) {
+            // Storage unavailable: nothing to reset
+        }
+        return PanelConfig.defaults();
+    }
+
+    /**
+     * Create a panel for a single column, colored with the first palette
+     * color not yet used by the existing panels.
+     * @param {Array} panels - Current panel definitions
+     * @param {string} key - Column key
+     * @returns {object} New panel definition
+     */
+    static createPanel(panels, key) {
+        let id = key, n = 2;
+        while (panels.some(p => p.id === id)) id = `${key}-${n++}`;
+        return { id, width: 25, min: null, max: null, series: [{ key, color: PanelConfig.nextColor(panels) }] };
+    }
+
+    static nextColor(panels) {
+        const used = new Set(panels.flatMap(p => p.series.map(s => s.color)));
+        return PANEL_COLORS.find(c => !used.has(c)) || PANEL_COLORS[0];
+    }
+
+    /**
+     * Short display name of a column.
+     * @param {string} key - Column key
+     * @param {Array} [columns] - Column definitions of a dataset, used for unknown keys
+     */
+    static seriesLabel(key, columns) {
+        if (COLUMN_SHORT_LABELS[key]) return COLUMN_SHORT_LABELS[key];
+        const col = columns && columns.find(c => c.key === key);
+        return col ? col.label : key;
+    }
+
+    /**
+     * Header text of a panel, e.g. "qc / qt (MPa)".
+     * @param {object} panel - Panel definition
+     * @param {Array} [columns] - Column definitions of a dataset
+     */
+    static panelLabel(panel, columns) {
+        const names = panel.series.map(s => PanelConfig.seriesLabel(s.key, columns)).join(' / ');
+        const first = columns && columns.find(c => c.key === panel.series[0].key);
+        return first && first.unit ? `${names} (${first.unit})` : names;
+    }
+
+    /**
+     * Columns of a dataset that can be shown in a panel.
+     * @param {Array} columns - Column definitions
+     */
+    static plottableColumns(columns) {
+        return columns.filter(c => !PANEL_EXCLUDED_COLUMNS.includes(c.key));
+    }
+
+    static _isValid(p) {
+        return p && typeof p.id === 'string' && p.width > 0
+            && Array.isArray(p.series) && p.series.length > 0
+            && p.series.every(s => s && typeof s.key === 'string' && typeof s.color === 'string');
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Minimal PDF writer for vector drawings
+ *
+ * Produces a PDF 1.4 document from pages of drawing items in millimetres
+ * (origin top left, y downward), the same items CptReport renders to SVG:
+ *
+ *   { type: 'line', x1, y1, x2, y2, color, width, dash }
+ *   { type: 'polyline', points: [[x, y], ...], color, width, dash }
+ *   { type: 'rect', x, y, w, h, stroke, fill, width }
+ *   { type: 'text', x, y, text, size, color, align, bold }
+ *
+ * Text uses the standard Helvetica fonts (no embedding) with WinAnsi
+ * encoding; characters outside it are replaced by '?'.
+ */
+
+const PDF_MM = 72 / 25.4;  // pt per mm
+
+// Helvetica glyph widths (1/1000 em) for ASCII 32..126, from the standard AFM
+const PDF_HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// WinAnsi code points for characters outside Latin-1
+const PDF_WINANSI_EXTRA = { '€': 0x80, '–': 0x96, '—': 0x97, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95 };
+
+class PdfWriter {
+    constructor() {
+        this.pages = [];   // [{ w, h, content }]
+    }
+
+    /**
+     * Add a page.
+     * @param {number} w - Page width (mm)
+     * @param {number} h - Page height (mm)
+     * @param {Array} items - Drawing items
+     */
+    addPage(w, h, items) {
+        // Flip to millimetres with y downward
+        const ops = [`${PDF_MM.toFixed(5)} 0 0 ${(-PDF_MM).toFixed(5)} 0 ${(h * PDF_MM).toFixed(3)} cm`, '1 J 1 j'];
+        for (const item of items) ops.push(this._item(item));
+        this.pages.push({ w, h, content: ops.join('\n') });
+    }
+
+    /**
+     * Serialize the document.
+     * @returns {Uint8Array} PDF file contents
+     */
+    build() {
+        const objects = [];
+        const add = body => { objects.push(body); return objects.length; };
+
+        const catalog = add(null);
+        const pagesObj = add(null);
+        const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const fontBold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+        const kids = this.pages.map(page => {
+            const stream = add(`<< /Length ${page.content.length} >>\nstream\n${page.content}\nendstream`);
+            return add(`<< /Type /Page /Parent ${pagesObj} 0 R ` +
+                `/MediaBox [0 0 ${(page.w * PDF_MM).toFixed(2)} ${(page.h * PDF_MM).toFixed(2)}] ` +
+                `/Resources << /Font << /F1 ${font} 0 R /F2 ${fontBold} 0 R >> >> /Contents ${stream} 0 R >>`);
+        });
+        objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+        objects[pagesObj - 1] = `<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+        // All content is single-byte, so string length equals byte offset
+        let out = '%PDF-1.4\n';
+        const offsets = objects.map((body, i) => {
+            const offset = out.length;
+            out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xref = out.length;
+        out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        out += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+        out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(out.length);
+        for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i) & 0xFF;
+        return bytes;
+    }
+
+    /**
+     * Approximate text width in mm (Helvetica metrics).
+     * @param {string} text
+     * @param {number} size - Font size (mm)
+     */
+    static textWidth(text, size) {
+        let w = 0;
+        for (const ch of String(text)) {
+            const code = ch.charCodeAt(0);
+            w += code >= 32 && code <= 126 ? PDF_HELVETICA_WIDTHS[code - 32] : 556;
+        }
+        return w / 1000 * size;
+    }
+
+    // ---- Drawing items ----
+
+    _item(item) {
+        const n = v => +v.toFixed(3);
+        if (item.type === 'line') {
+            return `q ${this._stroke(item)} ${n(item.x1)} ${n(item.y1)} m ${n(item.x2)} ${n(item.y2)} l S Q`;
+        }
+        if (item.type === 'polyline') {
+            if (item.points.length < 2) return '';
+            const path = item.points.map(([x, y], i) => `${n(x)} ${n(y)} ${i ? 'l' : 'm'}`).join(' ');
+            return `q ${this._stroke(item)} ${path} S Q`;
+        }
+        if (item.type === 'rect') {
+            const op = item.fill && item.stroke ? 'B' : item.fill ? 'f' : 'S';
+            const fill = item.fill ? `${this._rgb(item.fill)} rg ` : '';
+            const stroke = item.stroke ? `${this._stroke({ color: item.stroke, width: item.width })} ` : '';
+            return `q ${fill}${stroke}${n(item.x)} ${n(item.y)} ${n(item.w)} ${n(item.h)} re ${op} Q`;
+        }
+        if (item.type === 'text') {
+            const size = item.size || 3;
+            let x = item.x;
+            if (item.align === 'right') x -= PdfWriter.textWidth(item.text, size);
+            else if (item.align === 'center') x -= PdfWriter.textWidth(item.text, size) / 2;
+            // Text matrix flips the glyphs back upright in the y-down page space
+            return `BT ${this._rgb(item.color || '#000000')} rg /${item.bold ? 'F2' : 'F1'} ${n(size)} Tf ` +
+                `1 0 0 -1 ${n(x)} ${n(item.y)} Tm (${this._string(item.text)}) Tj ET`;
+        }
+        return '';
+    }
+
+    _stroke(item) {
+        const dash = item.dash ? `[${item.dash.join(' ')}] 0 d` : '[] 0 d';
+        return `${this._rgb(item.color || '#000000')} RG ${item.width || 0.2} w ${dash}`;
+    }
+
+    _rgb(hex) {
+        const v = parseInt(hex.slice(1), 16);
+        return [(v >> 16) & 255, (v >> 8) & 255, v & 255].map(c => +(c / 255).toFixed(3)).join(' ');
+    }
+
+    _string(text) {
+        let s = '';
+        for (const ch of String(text)) {
+            let code = PDF_WINANSI_EXTRA[ch] || ch.charCodeAt(0);
+            if (code > 255 || (code < 32 && code !== 9)) code = 63;  // '?'
+            const c = String.fromCharCode(code);
+            s += c === '\\' || c === '(' || c === ')' ? '\\' + c : c;
+        }
+        return s;
+    }
+}
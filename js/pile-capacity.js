@@ -0,0 +1,224 @@
+/**
+ * Pile bearing capacity — Koppejan 4D/8D method (NEN 9997-1, art. 7.6.2.3)
+ *
+ *   pr;max;punt = 0.5 · αp · β · s · ((qc;I + qc;II) / 2 + qc;III)
+ *
+ * qc;I   mean qc from the pile tip down to between 0.7·Deq and 4·Deq
+ *        (the depth giving the lowest capacity is governing)
+ * qc;II  mean of the minimum path going back up from that depth to the tip
+ * qc;III mean of the minimum path from the tip up to 8·Deq above it
+ *
+ * Shaft friction in sand/gravel: pr;max;schacht = αs · qc (qc capped at 15 MPa).
+ * Friction in clay and peat is neglected. Negative skin friction above the
+ * chosen level is estimated from the measured local friction fs.
+ *
+ * All results are maximum (characteristic, unfactored) values.
+ */
+
+const PILE_TYPES = {
+    prefab:   { label: 'Prefab beton, geheid',              alphaP: 1.0,  alphaS: 0.010 },
+    steel:    { label: 'Stalen buis, gesloten, geheid',     alphaP: 1.0,  alphaS: 0.010 },
+    vibro:    { label: 'In de grond gevormd (Vibro)',       alphaP: 1.0,  alphaS: 0.014 },
+    screw:    { label: 'Schroefpaal (grondverdringend)',    alphaP: 0.8,  alphaS: 0.009 },
+    cfa:      { label: 'Boorpaal (avegaar, CFA)',           alphaP: 0.56, alphaS: 0.006 },
+    bored:    { label: 'Boorpaal met steunvloeistof',       alphaP: 0.5,  alphaS: 0.006 },
+};
+
+const PILE_DEFAULTS = {
+    type: 'prefab',
+    shape: 'square',        // 'square' | 'round'
+    size: 0.25,             // m, side (square) or diameter (round)
+    beta: 1.0,              // pile foot shape factor
+    s: 1.0,                 // cross-section shape factor
+    nsfLevel: 0,            // m below surface, negative skin friction down to this level (0 = none)
+    tipStep: 0.25,          // m between calculated tip levels
+    minTip: 2.0,            // m below surface
+};
+
+const KOPPEJAN_QC_CAP = 15;    // MPa, limit on qc values and on pr;max;punt
+const KOPPEJAN_SAND_RF = 2.0;  // %, points with lower Rf count as sand for shaft friction
+const KOPPEJAN_GRID = 0.02;    // m, resampling step
+
+class PileCapacity {
+    /**
+     * Equivalent diameter and geometry of the pile cross-section.
+     * @param {object} pile - { shape, size }
+     * @returns {object} { deq, area, perimeter } in m / m²
+     */
+    static geometry(pile) {
+        if (pile.shape === 'round') {
+            return {
+                deq: pile.size,
+                area: Math.PI * pile.size * pile.size / 4,
+                perimeter: Math.PI * pile.size,
+            };
+        }
+        return {
+            deq: 1.13 * pile.size,
+            area: pile.size * pile.size,
+            perimeter: 4 * pile.size,
+        };
+    }
+
+    /**
+     * Resample the qc/fs/Rf profile on a uniform depth grid.
+     * @param {Array} data - Data rows { depth | length, qc, fs, rf }
+     * @returns {object} { step, depth: [], qc: [], fs: [], rf: [] }
+     */
+    static profile(data) {
+        const pts = data
+            .map(row => ({
+                depth: row.depth != null ? Math.abs(row.depth) : row.length,
+                qc: row.qc, fs: row.fs, rf: row.rf,
+            }))
+            .filter(p => p.depth != null && p.qc != null)
+            .sort((a, b) => a.depth - b.depth);
+
+        const grid = { step: KOPPEJAN_GRID, depth: [], qc: [], fs: [], rf: [] };
+        if (pts.length < 2) return grid;
+
+        let j = 0;
+        const end = pts[pts.length - 1].depth;
+        for (let z = pts[0].depth; z <= end + 1e-9; z += KOPPEJAN_GRID) {
+            while (j < pts.length - 2 && pts[j + 1].depth < z) j++;
+            const a = pts[j], b = pts[j + 1];
+            const t = b.depth > a.depth ? Math.min(1, Math.max(0, (z - a.depth) / (b.depth - a.depth))) : 0;
+            const lerp = k => (a[k] != null && b[k] != null) ? a[k] + (b[k] - a[k]) * t : (a[k] != null ? a[k] : b[k]);
+            grid.depth.push(z);
+            grid.qc.push(Math.max(0, lerp('qc')));
+            grid.fs.push(lerp('fs'));
+            grid.rf.push(lerp('rf'));
+        }
+        return grid;
+    }
+
+    /**
+     * Koppejan tip resistance for a single pile tip depth.
+     * @param {object} grid - Output from profile()
+     * @param {number} tipDepth - m below surface
+     * @param {object} pile - Pile options (see PILE_DEFAULTS)
+     * @returns {object|null} { qcI, qcII, qcIII, qbMax, governingDepth } in MPa / m, or null if the CPT
+     *   does not reach 4·Deq below the tip
+     */
+    static koppejan(grid, tipDepth, pile) {
+        const type = PILE_TYPES[pile.type];
+        const { deq } = PileCapacity.geometry(pile);
+        const n = grid.depth.length;
+        if (!n) return null;
+
+        const idx = z => Math.round((z - grid.depth[0]) / grid.step);
+        const iTip = idx(tipDepth);
+        const iMin = idx(tipDepth + 0.7 * deq);
+        const iMax = idx(tipDepth + 4 * deq);
+        // The minimum over a shortened trajectory I would be unconservative
+        if (iTip < 0 || iMax > n - 1) return null;
+
+        const qc = i => Math.min(grid.qc[i], KOPPEJAN_QC_CAP);
+        const iTop = Math.max(0, idx(tipDepth - 8 * deq));
+
+        let best = null;
+        for (let iEnd = Math.max(iMin, iTip + 1); iEnd <= iMax; iEnd++) {
+            // Trajectory I: plain mean from tip down to iEnd
+            let sumI = 0;
+            for (let i = iTip; i <= iEnd; i++) sumI += qc(i);
+            const qcI = sumI / (iEnd - iTip + 1);
+
+            // Trajectory II: minimum path back up to the tip
+            let cur = qc(iEnd), sumII = 0;
+            for (let i = iEnd; i >= iTip; i--) {
+                cur = Math.min(cur, qc(i));
+                sumII += cur;
+            }
+            const qcII = sumII / (iEnd - iTip + 1);
+
+            // Trajectory III: minimum path continued from the tip up to 8·Deq above it
+            let sumIII = 0;
+            for (let i = iTip; i >= iTop; i--) {
+                cur = Math.min(cur, qc(i));
+                sumIII += cur;
+            }
+            const qcIII = sumIII / (iTip - iTop + 1);
+
+            const qbMax = Math.min(
+                0.5 * type.alphaP * pile.beta * pile.s * ((qcI + qcII) / 2 + qcIII),
+                KOPPEJAN_QC_CAP
+            );
+            if (!best || qbMax < best.qbMax) {
+                best = { qcI, qcII, qcIII, qbMax, governingDepth: grid.depth[iEnd] };
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Bearing capacity versus pile tip level.
+     * @param {Array} data - Data rows of the CPT
+     * @param {object} [options] - Overrides for PILE_DEFAULTS
+     * @returns {Array} Array of { tipDepth, qcI, qcII, qcIII, qbMax, rb, rs, fnk, rc } (MPa / kN)
+     */
+    static calculate(data, options = {}) {
+        const pile = { ...PILE_DEFAULTS, ...options };
+        const type = PILE_TYPES[pile.type];
+        if (!type) throw new Error(`Onbekend paaltype: ${pile.type}`);
+
+        const grid = PileCapacity.profile(data);
+        if (!grid.depth.length) return [];
+        const geo = PileCapacity.geometry(pile);
+        const dz = grid.step;
+
+        // Cumulative shaft friction (sand) and negative skin friction per grid point, kN
+        const shaft = new Array(grid.depth.length).fill(0);
+        const nsf = new Array(grid.depth.length).fill(0);
+        for (let i = 1; i < grid.depth.length; i++) {
+            const z = grid.depth[i];
+            const inNsf = z <= pile.nsfLevel;
+            const isSand = grid.rf[i] != null && grid.rf[i] < KOPPEJAN_SAND_RF;
+            const fs = grid.fs[i] != null ? Math.max(0, grid.fs[i]) : 0;
+
+            nsf[i] = nsf[i - 1] + (inNsf ? fs * geo.perimeter * dz * 1000 : 0);
+            shaft[i] = shaft[i - 1] + (!inNsf && isSand
+                ? type.alphaS * Math.min(grid.qc[i], KOPPEJAN_QC_CAP) * geo.perimeter * dz * 1000
+                : 0);
+        }
+
+        const results = [];
+        const first = Math.max(pile.minTip, grid.depth[0]);
+        for (let tip = first; tip <= grid.depth[grid.depth.length - 1]; tip = +(tip + pile.tipStep).toFixed(6)) {
+            const k = PileCapacity.koppejan(grid, tip, pile);
+            if (!k) break;
+            const i = Math.round((tip - grid.depth[0]) / dz);
+            const rb = k.qbMax * geo.area * 1000;
+            const rs = shaft[i];
+            const fnk = nsf[Math.min(i, nsf.length - 1)];
+            results.push({
+                tipDepth: tip,
+                qcI: k.qcI, qcII: k.qcII, qcIII: k.qcIII, qbMax: k.qbMax,
+                rb, rs, fnk,
+                rc: rb + rs - fnk,
+            });
+        }
+        return results;
+    }
+
+    /**
+     * Serialize results as CSV (semicolon separated).
+     * @param {Array} results - Output from calculate()
+     * @param {object} [options] - Pile options used, written as comment lines
+     * @returns {string}
+     */
+    static toCsv(results, options = {}) {
+        const pile = { ...PILE_DEFAULTS, ...options };
+        const lines = [
+            `# Koppejan draagvermogen (NEN 9997-1), paaltype: ${PILE_TYPES[pile.type].label}`,
+            `# vorm: ${pile.shape}, afmeting: ${pile.size} m, beta: ${pile.beta}, s: ${pile.s}, negatieve kleef tot: ${pile.nsfLevel} m-mv`,
+            'paalpunt_m_mv;qc_I_MPa;qc_II_MPa;qc_III_MPa;pr_max_punt_MPa;Rb_kN;Rs_kN;Fnk_kN;Rc_kN',
+        ];
+        for (const r of results) {
+            lines.push([
+                r.tipDepth.toFixed(2), r.qcI.toFixed(3), r.qcII.toFixed(3), r.qcIII.toFixed(3),
+                r.qbMax.toFixed(3), r.rb.toFixed(1), r.rs.toFixed(1), r.fnk.toFixed(1), r.rc.toFixed(1),
+            ].join(';'));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
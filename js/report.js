@@ -0,0 +1,352 @@
+/**
+ * CPT report — standard Dutch sondeerplot for print
+ *
+ * Fixed vertical scale (1:scale), qc on a 0–30 MPa scale with values beyond
+ * the scale folded back (drawn again from 0, dashed), fs on its own scale in
+ * the same panel and Rf in a separate panel. Every page ends with a title
+ * block filled from ds.header; long CPTs continue on the next page.
+ *
+ * Pages are lists of drawing items in mm (see PdfWriter), rendered to SVG
+ * by toSvg or to a multi-page PDF by toPdf.
+ */
+
+const REPORT_PAPERS = {
+    A4: { w: 210, h: 297 },
+    A3: { w: 297, h: 420 },
+};
+
+const REPORT_SCALES = [50, 100, 200];
+
+const REPORT_DEFAULTS = {
+    paper: 'A4',
+    scale: 100,   // vertical scale 1:scale
+    qcMax: 30,    // MPa, qc beyond is folded back
+    fsMax: 0.6,   // MPa, fs beyond is folded back
+    rfMax: 10,    // %, Rf is clipped
+};
+
+const REPORT_COLORS = {
+    text:      '#000000',
+    label:     '#606060',
+    grid:      '#d4d4d4',
+    gridMajor: '#8c8c8c',
+    frame:     '#000000',
+    qc:        '#1d4ed8',
+    fs:        '#dc2626',
+    rf:        '#15803d',
+};
+
+const REPORT_MARGIN = { l: 12, r: 10, t: 12, b: 10 };  // mm
+const REPORT_HEADER_H = 16;   // mm, scale labels above the plot
+const REPORT_TITLE_H = 30;    // mm, title block
+const REPORT_AXIS_W = 12;     // mm, depth / NAP label columns
+const REPORT_FOLD_DASH = [1.2, 0.8];
+
+class CptReport {
+    /**
+     * Lay out the report pages of a CPT.
+     * @param {object} ds - Dataset { header, columns, data }
+     * @param {object} [options] - Overrides for REPORT_DEFAULTS
+     * @returns {Array} Pages [{ w, h, items }]
+     */
+    static pages(ds, options = {}) {
+        const opt = { ...REPORT_DEFAULTS, ...options };
+        const paper = REPORT_PAPERS[opt.paper];
+        if (!paper) throw new Error(`Onbekend papierformaat: ${opt.paper}`);
+
+        const mmPerM = 1000 / opt.scale;
+        const plotT = REPORT_MARGIN.t + REPORT_HEADER_H;
+        const plotMaxB = paper.h - REPORT_MARGIN.b - REPORT_TITLE_H - 8;
+        const metresPerPage = Math.floor((plotMaxB - plotT) / mmPerM);
+        if (metresPerPage < 1) throw new Error(`Schaal 1:${opt.scale} past niet op ${opt.paper}`);
+
+        const runs = {
+            qc: CptReport._runs(ds.data, 'qc'),
+            fs: CptReport._runs(ds.data, 'fs'),
+            rf: CptReport._runs(ds.data, 'rf'),
+        };
+        const depths = ds.data.map(CptReport._depth).filter(d => d !== null);
+        const maxDepth = depths.length ? Math.max(...depths) : 0;
+        const count = Math.max(1, Math.ceil(maxDepth / metresPerPage));
+
+        const pages = [];
+        for (let i = 0; i < count; i++) {
+            const L = CptReport._layout(paper, opt, plotT, metresPerPage * mmPerM);
+            L.d0 = i * metresPerPage;
+            L.d1 = L.d0 + metresPerPage;
+            L.mmPerM = mmPerM;
+
+            const items = [];
+            CptReport._drawGrid(items, L, opt, ds.header);
+            CptReport._drawSeries(items, L, runs.fs, opt.fsMax, L.qc, REPORT_COLORS.fs, 0.25);
+            CptReport._drawSeries(items, L, runs.qc, opt.qcMax, L.qc, REPORT_COLORS.qc, 0.35);
+            CptReport._drawSeries(items, L, runs.rf, opt.rfMax, L.rf, REPORT_COLORS.rf, 0.25, false);
+            CptReport._drawFrame(items, L);
+            CptReport._drawTitleBlock(items, L, opt, ds.header, i + 1, count);
+            pages.push({ w: paper.w, h: paper.h, items });
+        }
+        return pages;
+    }
+
+    /**
+     * Render a page as a standalone SVG document.
+     * @param {object} page - Page from pages()
+     * @returns {string} SVG source
+     */
+    static toSvg(page) {
+        const body = page.items.map(CptReport._svgItem).join('\n');
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${page.w}mm" height="${page.h}mm" viewBox="0 0 ${page.w} ${page.h}">\n` +
+            `<rect width="${page.w}" height="${page.h}" fill="#ffffff"/>\n${body}\n</svg>\n`;
+    }
+
+    /**
+     * Render pages (of one or more CPTs) as a single PDF document.
+     * @param {Array} pages - Pages from pages()
+     * @returns {Uint8Array} PDF file contents
+     */
+    static toPdf(pages) {
+        const pdf = new PdfWriter();
+        for (const page of pages) pdf.addPage(page.w, page.h, page.items);
+        return pdf.build();
+    }
+
+    // ---- Layout ----
+
+    static _layout(paper, opt, plotT, plotH) {
+        const l = REPORT_MARGIN.l + REPORT_AXIS_W;
+        const r = paper.w - REPORT_MARGIN.r - REPORT_AXIS_W;
+        const gap = 4;
+        const qcW = (r - l - gap) * 0.72;
+        return {
+            w: paper.w, h: paper.h,
+            t: plotT, b: plotT + plotH,
+            qc: { l, r: l + qcW },
+            rf: { l: l + qcW + gap, r },
+        };
+    }
+
+    static _y(L, depth) { return L.t + (depth - L.d0) * L.mmPerM; }
+    static _x(panel, v, max) { return panel.l + (v / max) * (panel.r - panel.l); }
+
+    // ---- Grid, scales and frame ----
+
+    static _drawGrid(items, L, opt, meta) {
+        const C = REPORT_COLORS;
+        const labelStep = L.mmPerM >= 8 ? 1 : 2;
+        // A level without datum (AGS without LOCA_DATM) is not labelled as NAP
+        const hasLevel = meta.surfaceLevel != null && !!meta.verticalDatum;
+
+        // Depth lines with m-mv labels left, m NAP labels right
+        for (let d = L.d0; d <= L.d1; d++) {
+            const y = CptReport._y(L, d);
+            const major = d % 5 === 0;
+            for (const panel of [L.qc, L.rf]) {
+                items.push({ type: 'line', x1: panel.l, y1: y, x2: panel.r, y2: y, color: major ? C.gridMajor : C.grid, width: major ? 0.2 : 0.1 });
+            }
+            if (d % labelStep) continue;
+            items.push({ type: 'text', x: L.qc.l - 1.5, y: y + 1, text: String(d), size: 2.6, align: 'right', color: C.text });
+            if (hasLevel) {
+                items.push({ type: 'text', x: L.rf.r + 1.5, y: y + 1, text: (meta.surfaceLevel - d).toFixed(2), size: 2.4, color: C.label });
+            }
+        }
+        items.push({ type: 'text', x: L.qc.l - 1.5, y: L.t - 2, text: 'm-mv', size: 2.4, align: 'right', color: C.label });
+        if (hasLevel) {
+            items.push({ type: 'text', x: L.rf.r + 1.5, y: L.t - 2, text: `m ${meta.verticalDatum}`, size: 2.4, color: C.label });
+        }
+
+        // qc grid every 2 MPa; fs shares the labelled qc lines (6 intervals)
+        for (let v = 0; v <= opt.qcMax; v += 2) {
+            const x = CptReport._x(L.qc, v, opt.qcMax);
+            const major = v % 10 === 0;
+            items.push({ type: 'line', x1: x, y1: L.t, x2: x, y2: L.b, color: major ? C.gridMajor : C.grid, width: major ? 0.2 : 0.1 });
+        }
+        for (let i = 0; i <= 6; i++) {
+            const x = L.qc.l + (i / 6) * (L.qc.r - L.qc.l);
+            items.push({ type: 'text', x, y: L.t - 2, text: CptReport._fmt(opt.qcMax * i / 6), size: 2.6, align: 'center', color: C.qc });
+            items.push({ type: 'text', x, y: L.t - 6, text: CptReport._fmt(opt.fsMax * i / 6), size: 2.4, align: 'center', color: C.fs });
+        }
+        items.push({ type: 'text', x: L.qc.l, y: L.t - 11, text: 'qc (MPa)', size: 3, bold: true, color: C.qc });
+        items.push({ type: 'text', x: L.qc.l + 18, y: L.t - 11, text: 'fs (MPa)', size: 3, bold: true, color: C.fs });
+
+        // Rf grid every 1 %, labels every 2 %
+        for (let v = 0; v <= opt.rfMax; v++) {
+            const x = CptReport._x(L.rf, v, opt.rfMax);
+            items.push({ type: 'line', x1: x, y1: L.t, x2: x, y2: L.b, color: v % 5 === 0 ? C.gridMajor : C.grid, width: 0.1 });
+            if (v % 2 === 0) items.push({ type: 'text', x, y: L.t - 2, text: String(v), size: 2.6, align: 'center', color: C.rf });
+        }
+        items.push({ type: 'text', x: L.rf.l, y: L.t - 11, text: 'Rf (%)', size: 3, bold: true, color: C.rf });
+
+        items.push({
+            type: 'text', x: L.qc.l, y: L.b + 4, size: 2.4, color: C.label,
+            text: `Waarden boven ${CptReport._fmt(opt.qcMax)} MPa (qc) en ${CptReport._fmt(opt.fsMax)} MPa (fs) zijn teruggevouwen (gestreept)`,
+        });
+    }
+
+    static _drawFrame(items, L) {
+        for (const panel of [L.qc, L.rf]) {
+            items.push({ type: 'rect', x: panel.l, y: L.t, w: panel.r - panel.l, h: L.b - L.t, stroke: REPORT_COLORS.frame, width: 0.3 });
+        }
+    }
+
+    /**
+     * Draw a series within the page depth range. With fold, values beyond max
+     * continue from 0 (dashed); otherwise they are clipped at max.
+     */
+    static _drawSeries(items, L, runs, max, panel, color, width, fold = true) {
+        for (const run of runs) {
+            for (const part of CptReport._crop(run, L.d0, L.d1)) {
+                const segments = fold
+                    ? CptReport._fold(part, max)
+                    : [{ level: 0, points: part.map(([v, d]) => [Math.min(max, Math.max(0, v)), d]) }];
+                for (const seg of segments) {
+                    if (seg.points.length < 2) continue;
+                    items.push({
+                        type: 'polyline', color, width,
+                        dash: seg.level > 0 ? REPORT_FOLD_DASH : null,
+                        points: seg.points.map(([v, d]) => [CptReport._x(panel, v, max), CptReport._y(L, d)]),
+                    });
+                }
+            }
+        }
+    }
+
+    static _drawTitleBlock(items, L, opt, meta, pageNo, pageCount) {
+        const C = REPORT_COLORS;
+        const x0 = REPORT_MARGIN.l, x1 = L.w - REPORT_MARGIN.r;
+        const y0 = L.h - REPORT_MARGIN.b - REPORT_TITLE_H;
+        const rowH = REPORT_TITLE_H / 3;
+        const colW = (x1 - x0) / 3;
+
+        const value = v => (v !== undefined && v !== null && v !== '' ? String(v) : '—');
+        const loc = Coordinates.location(meta);
+        const rd = loc && loc.rd;
+        const cells = [
+            ['Project', value(meta.projectName || meta.projectId)],
+            ['Sondering', value(meta.testId || meta.name)],
+            ['Datum', value(meta.date)],
+            ['RD-coördinaten (x, y)', rd ? `${rd.x.toFixed(2)}, ${rd.y.toFixed(2)}` : '—'],
+            ['Maaiveld', meta.surfaceLevel != null ? `${meta.surfaceLevel.toFixed(2)} m ${meta.verticalDatum || '(referentievlak onbekend)'}` : '—'],
+            ['Conustype', value(meta.coneType)],
+            ['Bedrijf', value(meta.company)],
+            ['Schaal', `1:${opt.scale} (${opt.paper})`],
+            ['Blad', `${pageNo} van ${pageCount}`],
+        ];
+
+        items.push({ type: 'rect', x: x0, y: y0, w: x1 - x0, h: REPORT_TITLE_H, stroke: C.frame, width: 0.3 });
+        for (let i = 1; i < 3; i++) {
+            items.push({ type: 'line', x1: x0, y1: y0 + i * rowH, x2: x1, y2: y0 + i * rowH, color: C.frame, width: 0.15 });
+            items.push({ type: 'line', x1: x0 + i * colW, y1: y0, x2: x0 + i * colW, y2: y0 + REPORT_TITLE_H, color: C.frame, width: 0.15 });
+        }
+        cells.forEach(([label, text], i) => {
+            const x = x0 + (i % 3) * colW + 2;
+            const y = y0 + Math.floor(i / 3) * rowH;
+            items.push({ type: 'text', x, y: y + 3.2, text: label, size: 2.2, color: C.label });
+            items.push({ type: 'text', x, y: y + 7.6, text, size: 3.2, bold: i === 1, color: C.text });
+        });
+    }
+
+    // ---- Data ----
+
+    static _depth(row) {
+        if (row.depth !== undefined && row.depth !== null) return Math.abs(row.depth);
+        if (row.length !== undefined && row.length !== null) return row.length;
+        return null;
+    }
+
+    /** Continuous runs of [value, depth], split at missing values. */
+    static _runs(data, key) {
+        const runs = [];
+        let cur = null;
+        for (const row of data) {
+            const d = CptReport._depth(row);
+            const v = row[key];
+            if (d === null || v === null || v === undefined || isNaN(v)) {
+                cur = null;
+                continue;
+            }
+            if (!cur) runs.push(cur = []);
+            cur.push([v, d]);
+        }
+        return runs;
+    }
+
+    /** Parts of a run within [d0, d1], interpolated at the page edges. */
+    static _crop(run, d0, d1) {
+        const at = (a, b, d) => [a[0] + (b[0] - a[0]) * (d - a[1]) / (b[1] - a[1]), d];
+        const parts = [];
+        let cur = null;
+        for (let i = 1; i < run.length; i++) {
+            let a = run[i - 1], b = run[i];
+            if (Math.max(a[1], b[1]) < d0 || Math.min(a[1], b[1]) > d1) {
+                cur = null;
+                continue;
+            }
+            if (a[1] < d0) a = at(a, b, d0); else if (a[1] > d1) a = at(a, b, d1);
+            const clipped = b[1] < d0 || b[1] > d1;
+            if (b[1] < d0) b = at(a, b, d0); else if (b[1] > d1) b = at(a, b, d1);
+            if (!cur) parts.push(cur = [a]);
+            cur.push(b);
+            if (clipped) cur = null;
+        }
+        return parts;
+    }
+
+    /**
+     * Fold values beyond max back onto the scale.
+     * @returns {Array} [{ level, points }] — level 0 on scale, 1 = max..2·max, ...
+     */
+    static _fold(points, max) {
+        const level = v => (v <= max ? 0 : Math.ceil(v / max) - 1);
+        const segments = [];
+        let cur = null, prev = null;
+        for (const [raw, d] of points) {
+            const v = Math.max(0, raw);
+            const k = level(v);
+            if (!cur) {
+                segments.push(cur = { level: k, points: [] });
+            }
+            // Close the segment at the scale edge and continue on the other side
+            while (cur.level !== k) {
+                const up = k > cur.level;
+                const edge = (up ? cur.level + 1 : cur.level) * max;
+                const de = prev[1] + (d - prev[1]) * (edge - prev[0]) / (v - prev[0]);
+                cur.points.push([up ? max : 0, de]);
+                segments.push(cur = { level: cur.level + (up ? 1 : -1), points: [[up ? 0 : max, de]] });
+            }
+            cur.points.push([v - k * max, d]);
+            prev = [v, d];
+        }
+        return segments;
+    }
+
+    static _fmt(v) {
+        return String(+v.toFixed(2));
+    }
+
+    // ---- SVG ----
+
+    static _svgItem(item) {
+        const n = v => +v.toFixed(3);
+        const stroke = it => `stroke="${it.color || '#000000'}" stroke-width="${it.width || 0.2}"` +
+            (it.dash ? ` stroke-dasharray="${it.dash.join(' ')}"` : '');
+        if (item.type === 'line') {
+            return `<line x1="${n(item.x1)}" y1="${n(item.y1)}" x2="${n(item.x2)}" y2="${n(item.y2)}" ${stroke(item)}/>`;
+        }
+        if (item.type === 'polyline') {
+            const pts = item.points.map(([x, y]) => `${n(x)},${n(y)}`).join(' ');
+            return `<polyline points="${pts}" fill="none" stroke-linejoin="round" ${stroke(item)}/>`;
+        }
+        if (item.type === 'rect') {
+            const s = item.stroke ? stroke({ color: item.stroke, width: item.width }) : 'stroke="none"';
+            return `<rect x="${n(item.x)}" y="${n(item.y)}" width="${n(item.w)}" height="${n(item.h)}" fill="${item.fill || 'none'}" ${s}/>`;
+        }
+        if (item.type === 'text') {
+            const anchor = { left: 'start', center: 'middle', right: 'end' }[item.align || 'left'];
+            const text = String(item.text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+            return `<text x="${n(item.x)}" y="${n(item.y)}" font-family="Helvetica, Arial, sans-serif" font-size="${item.size || 3}"` +
+                `${item.bold ? ' font-weight="bold"' : ''} text-anchor="${anchor}" fill="${item.color || '#000000'}">${text}</text>`;
+        }
+        return '';
+    }
+}
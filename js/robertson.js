@@ -1,8 +1,11 @@
 /**
  * Robertson (1990) Soil Behaviour Type Classification
  *
- * Simplified classification based on raw qc (MPa) and Rf (%)
- * without effective stress correction — common in Dutch geotechnical practice.
+ * Two modes:
+ * - simplified: raw qc (MPa) and Rf (%) without effective stress
+ *   correction — common in Dutch geotechnical practice.
+ * - normalized: Robertson (1990/2009) SBTn based on Qtn, Fr, Bq and the
+ *   soil behaviour type index Ic, with an iterated stress exponent n.
  */
 
 const ROBERTSON_ZONES = [
@@ -17,6 +20,16 @@ const ROBERTSON_ZONES = [
     { zone: 9, name: 'Zeer vast fijnkorrelig',  color: '#9C27B0' },
 ];
 
+// Default stress parameters for the normalized classification
+const ROBERTSON_STRESS_DEFAULTS = {
+    groundwaterDepth: 1.0,  // m below surface
+    gammaDry: 18,           // kN/m³ above groundwater level
+    gammaSat: 20,           // kN/m³ below groundwater level
+    gammaWater: 9.81,       // kN/m³
+};
+
+const ATMOSPHERIC_PRESSURE = 100;  // kPa
+
 class Robertson {
     /**
      * Classify a single measurement point.
@@ -77,22 +90,143 @@ class Robertson {
 
     /**
      * Classify an entire dataset.
+     * The result is aligned with the input rows; rows without a depth
+     * get depth null and are skipped by mergeLayers.
      * @param {Array} data - Array of { depth, qc, rf, ... } objects
      * @returns {Array} Array of { depth, zone } where zone is the Robertson zone object
      */
     static classifyDataset(data) {
-        return data
-            .filter(row => {
-                const d = row.depth !== undefined ? row.depth : row.length;
-                return d !== null && d !== undefined;
-            })
-            .map(row => {
-                const depth = row.depth !== undefined ? Math.abs(row.depth) : row.length;
-                return {
-                    depth,
-                    zone: Robertson.classify(row.qc, row.rf),
-                };
-            });
+        return data.map(row => ({
+            depth: Robertson._rowDepth(row),
+            zone: Robertson.classify(row.qc, row.rf),
+        }));
+    }
+
+    /**
+     * Normalized Robertson SBTn classification of a single point.
+     * Iterates the stress exponent n (Robertson 2009) until it converges.
+     *
+     * @param {number} qt - Corrected cone resistance in MPa
+     * @param {number} fs - Sleeve friction in MPa
+     * @param {number|null} u2 - Pore pressure behind the cone in MPa
+     * @param {number} sigmaV0 - Total vertical stress in kPa
+     * @param {number} sigmaV0Eff - Effective vertical stress in kPa
+     * @param {number} [u0=0] - Hydrostatic pore pressure in kPa
+     * @returns {object|null} { zone, Qtn, Fr, Bq, Ic, n }
+     */
+    static classifyNormalized(qt, fs, u2, sigmaV0, sigmaV0Eff, u0 = 0) {
+        if (qt == null || fs == null || qt <= 0 || fs < 0) return null;
+        if (!(sigmaV0Eff > 0)) return null;
+
+        const pa = ATMOSPHERIC_PRESSURE;
+        const qtKpa = qt * 1000;
+        const qnet = qtKpa - sigmaV0;
+        if (qnet <= 0) return null;
+
+        const Fr = Math.max((fs * 1000 / qnet) * 100, 0.1);
+        const Bq = u2 != null ? (u2 * 1000 - u0) / qnet : null;
+
+        let n = 1.0;
+        let Qtn = 0;
+        let Ic = 0;
+        for (let i = 0; i < 20; i++) {
+            Qtn = Math.max((qnet / pa) * Math.pow(pa / sigmaV0Eff, n), 1);
+            Ic = Math.sqrt(Math.pow(3.47 - Math.log10(Qtn), 2) + Math.pow(Math.log10(Fr) + 1.22, 2));
+            const nNew = Math.min(1.0, 0.381 * Ic + 0.05 * (sigmaV0Eff / pa) - 0.15);
+            if (Math.abs(nNew - n) < 0.01) { n = nNew; break; }
+            n = nNew;
+        }
+
+        return { zone: Robertson.zoneFromIc(Ic, Qtn, Fr), Qtn, Fr, Bq, Ic, n };
+    }
+
+    /**
+     * Map Ic to an SBTn zone (Robertson 2009). Zones 1, 8 and 9 are not
+     * covered by Ic and are taken from their chart regions.
+     * @param {number} Ic - Soil behaviour type index
+     * @param {number} Qtn - Normalized cone resistance
+     * @param {number} Fr - Normalized friction ratio in %
+     * @returns {object} Zone object { zone, name, color }
+     */
+    static zoneFromIc(Ic, Qtn, Fr) {
+        // Zone 1: sensitive fine-grained, below the lower-left boundary
+        if (Qtn < 12 * Math.exp(-1.4 * Fr)) return ROBERTSON_ZONES[0];
+
+        // Zones 8 and 9: very stiff, overconsolidated soils (boundary flattens beyond Fr = 4.5)
+        if (Fr > 1.5) {
+            const f = Math.min(Fr, 4.5) - 1;
+            const denom = 0.005 * f - 0.0003 * f * f - 0.002;
+            if (denom > 0 && Qtn > 1 / denom) return Fr < 4.5 ? ROBERTSON_ZONES[7] : ROBERTSON_ZONES[8];
+        }
+
+        if (Ic < 1.31) return ROBERTSON_ZONES[6];
+        if (Ic < 2.05) return ROBERTSON_ZONES[5];
+        if (Ic < 2.60) return ROBERTSON_ZONES[4];
+        if (Ic < 2.95) return ROBERTSON_ZONES[3];
+        if (Ic < 3.60) return ROBERTSON_ZONES[2];
+        return ROBERTSON_ZONES[1];
+    }
+
+    /**
+     * Compute total stress, hydrostatic pore pressure and effective stress
+     * for each row from unit weights and a groundwater level.
+     *
+     * @param {Array} data - Array of { depth, length, ... } objects
+     * @param {object} [options] - Overrides for ROBERTSON_STRESS_DEFAULTS
+     * @returns {Array} Array of { depth, sigmaV0, u0, sigmaV0Eff } in kPa, aligned with data
+     */
+    static computeStress(data, options = {}) {
+        const opt = { ...ROBERTSON_STRESS_DEFAULTS, ...options };
+        const gwl = opt.groundwaterDepth;
+
+        return data.map(row => {
+            const depth = Robertson._rowDepth(row);
+            if (depth === null) return { depth, sigmaV0: null, u0: null, sigmaV0Eff: null };
+
+            const dry = Math.min(depth, Math.max(gwl, 0));
+            const wet = Math.max(depth - Math.max(gwl, 0), 0);
+            const sigmaV0 = dry * opt.gammaDry + wet * opt.gammaSat;
+            const u0 = Math.max(depth - gwl, 0) * opt.gammaWater;
+            return { depth, sigmaV0, u0, sigmaV0Eff: sigmaV0 - u0 };
+        });
+    }
+
+    /**
+     * Normalized classification of an entire dataset.
+     * Uses corrected_qc (qt) where present, else qc.
+     *
+     * @param {Array} data - Array of { depth, qc, fs, u2, ... } objects
+     * @param {object} [options] - Stress parameters, see ROBERTSON_STRESS_DEFAULTS
+     * @returns {Array} Array of { depth, zone, Qtn, Fr, Bq, Ic, n, sigmaV0, u0, sigmaV0Eff }, aligned with data
+     */
+    static classifyDatasetNormalized(data, options = {}) {
+        const stress = Robertson.computeStress(data, options);
+
+        return data.map((row, i) => {
+            const s = stress[i];
+            const qt = row.corrected_qc != null ? row.corrected_qc : row.qc;
+            const result = s.depth !== null
+                ? Robertson.classifyNormalized(qt, row.fs, row.u2, s.sigmaV0, s.sigmaV0Eff, s.u0)
+                : null;
+            return {
+                depth: s.depth,
+                zone: result ? result.zone : null,
+                Qtn: result ? result.Qtn : null,
+                Fr: result ? result.Fr : null,
+                Bq: result ? result.Bq : null,
+                Ic: result ? result.Ic : null,
+                n: result ? result.n : null,
+                sigmaV0: s.sigmaV0,
+                u0: s.u0,
+                sigmaV0Eff: s.sigmaV0Eff,
+            };
+        });
+    }
+
+    static _rowDepth(row) {
+        if (row.depth !== undefined && row.depth !== null) return Math.abs(row.depth);
+        if (row.length !== undefined && row.length !== null) return row.length;
+        return null;
     }
 
     /**
@@ -108,7 +242,7 @@ class Robertson {
         if (!classifications || classifications.length === 0) return [];
 
         // Filter out unclassified points
-        const valid = classifications.filter(c => c.zone !== null);
+        const valid = classifications.filter(c => c.zone !== null && c.depth !== null);
         if (valid.length === 0) return [];
 
         // Sort by depth
@@ -165,9 +299,10 @@ class Robertson {
     /**
      * Compute distribution percentages for each zone in a layer set.
      * @param {Array} layers - Output from mergeLayers
+     * @param {Array} [zones=ROBERTSON_ZONES] - Zone definitions of the classification method
      * @returns {Array} Array of { zone, thickness, percentage } sorted by percentage desc
      */
-    static computeDistribution(layers) {
+    static computeDistribution(layers, zones = ROBERTSON_ZONES) {
         if (!layers || layers.length === 0) return [];
 
         const totals = {};
@@ -183,7 +318,7 @@ class Robertson {
 
         if (totalThickness === 0) return [];
 
-        return ROBERTSON_ZONES
+        return zones
             .map(z => ({
                 zone: z,
                 thickness: totals[z.zone] || 0,
@@ -0,0 +1,376 @@
+/**
+ * SBT Chart — Robertson Qt–Fr scatter plot (log-log)
+ *
+ * Plots every measurement point of the active CPT (Qtn vs Fr) against
+ * the 9 normalized zone boundaries. Points are colored by depth or zone.
+ *
+ * Interaction:
+ * - Drag a rectangle to select points (onBrush receives the row indices)
+ * - setHoverIndex() highlights the point under the CPT chart crosshair
+ */
+
+const SBT_CHART_RANGE = {
+    frMin: 0.1, frMax: 10,     // Normalized friction ratio (%)
+    qtMin: 1,   qtMax: 1000,   // Normalized cone resistance (-)
+};
+
+// Representative label positions (Fr, Qtn) for each zone
+const SBT_ZONE_LABELS = [
+    { zone: 1, fr: 0.2, qt: 3 },
+    { zone: 2, fr: 6,   qt: 2 },
+    { zone: 3, fr: 3,   qt: 6 },
+    { zone: 4, fr: 1.5, qt: 15 },
+    { zone: 5, fr: 0.8, qt: 40 },
+    { zone: 6, fr: 0.4, qt: 150 },
+    { zone: 7, fr: 0.15, qt: 600 },
+    { zone: 8, fr: 3,   qt: 500 },
+    { zone: 9, fr: 7,   qt: 300 },
+];
+
+class SbtChart {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.dpr = window.devicePixelRatio || 1;
+
+        this.points = null;     // [{ depth, Qtn, Fr }] aligned with ds.data
+        this.zones = null;      // [zone] aligned with points, used for zone coloring
+        this.colorMode = 'depth';
+        this.depthMax = 1;
+
+        // Interaction
+        this.hoverIndex = -1;
+        this.selected = null;   // Set of selected indices
+        this.brush = null;      // { x0, y0, x1, y1 } in CSS pixels
+        this.onBrush = null;
+
+        this.COLORS = {
+            bg:         '#0d1117',
+            panelBg:    '#0f1318',
+            grid:       'rgba(255,255,255,0.05)',
+            gridMajor:  'rgba(255,255,255,0.10)',
+            border:     'rgba(255,255,255,0.08)',
+            boundary:   'rgba(230,237,243,0.45)',
+            text:       '#6e7681',
+            textBright: '#8b949e',
+            hover:      '#e6edf3',
+            brush:      'rgba(59,130,246,0.15)',
+            brushEdge:  '#3b82f6',
+        };
+
+        this._bindEvents();
+    }
+
+    _bindEvents() {
+        this.canvas.addEventListener('mousedown', e => this._onMouseDown(e));
+        this.canvas.addEventListener('mousemove', e => this._onMouseMove(e));
+        window.addEventListener('mouseup', e => this._onMouseUp(e));
+    }
+
+    resize() {
+        const p = this.canvas.parentElement;
+        if (!p) return;
+        const r = p.getBoundingClientRect();
+        const w = Math.floor(r.width);
+        const h = Math.floor(r.height);
+        if (w < 10 || h < 10) return;
+        this.dpr = window.devicePixelRatio || 1;
+        this.canvas.width = w * this.dpr;
+        this.canvas.height = h * this.dpr;
+        this.canvas.style.width = w + 'px';
+        this.canvas.style.height = h + 'px';
+        this.W = w;
+        this.H = h;
+        this.draw();
+    }
+
+    /**
+     * @param {Array} points - Normalized classification per row ({ depth, Qtn, Fr })
+     * @param {Array} zones - Zone object per row (for 'zone' coloring)
+     */
+    setData(points, zones) {
+        this.points = points;
+        this.zones = zones;
+        this.hoverIndex = -1;
+        this.selected = null;
+        const depths = points ? points.map(p => p.depth).filter(d => d !== null) : [];
+        this.depthMax = depths.length ? Math.max(...depths) : 1;
+        this.draw();
+    }
+
+    clear() {
+        this.setData(null, null);
+    }
+
+    setColorMode(mode) {
+        this.colorMode = mode;
+        this.draw();
+    }
+
+    setHoverIndex(index) {
+        if (index === this.hoverIndex) return;
+        this.hoverIndex = index;
+        this.draw();
+    }
+
+    clearSelection() {
+        this.selected = null;
+        this.draw();
+        if (this.onBrush) this.onBrush(null);
+    }
+
+    // ---- Layout / scales ----
+
+    _layout() {
+        const LEFT = 30, RIGHT = 6, TOP = 6, BOTTOM = 24;
+        return {
+            l: LEFT, t: TOP,
+            w: Math.max(10, this.W - LEFT - RIGHT),
+            h: Math.max(10, this.H - TOP - BOTTOM),
+        };
+    }
+
+    _fr2x(fr, L) {
+        const R = SBT_CHART_RANGE;
+        return L.l + (Math.log10(fr / R.frMin) / Math.log10(R.frMax / R.frMin)) * L.w;
+    }
+
+    _qt2y(qt, L) {
+        const R = SBT_CHART_RANGE;
+        return L.t + L.h - (Math.log10(qt / R.qtMin) / Math.log10(R.qtMax / R.qtMin)) * L.h;
+    }
+
+    // ---- Drawing ----
+
+    draw() {
+        if (!this.W || !this.H) return;
+        const c = this.ctx;
+        c.save();
+        c.scale(this.dpr, this.dpr);
+        c.fillStyle = this.COLORS.bg;
+        c.fillRect(0, 0, this.W, this.H);
+
+        const L = this._layout();
+        c.fillStyle = this.COLORS.panelBg;
+        c.fillRect(L.l, L.t, L.w, L.h);
+
+        this._drawGrid(c, L);
+
+        c.save();
+        c.beginPath();
+        c.rect(L.l, L.t, L.w, L.h);
+        c.clip();
+        this._drawBoundaries(c, L);
+        this._drawZoneLabels(c, L);
+        this._drawPoints(c, L);
+        this._drawBrush(c);
+        c.restore();
+
+        c.strokeStyle = this.COLORS.border;
+        c.lineWidth = 1;
+        c.strokeRect(L.l + 0.5, L.t + 0.5, L.w - 1, L.h - 1);
+        this._drawAxisLabels(c, L);
+        c.restore();
+    }
+
+    _drawGrid(c, L) {
+        const R = SBT_CHART_RANGE;
+        c.lineWidth = 1;
+        for (let decade = R.frMin; decade < R.frMax; decade *= 10) {
+            for (let m = 1; m < 10; m++) {
+                const x = Math.round(this._fr2x(decade * m, L)) + 0.5;
+                c.strokeStyle = m === 1 ? this.COLORS.gridMajor : this.COLORS.grid;
+                c.beginPath(); c.moveTo(x, L.t); c.lineTo(x, L.t + L.h); c.stroke();
+            }
+        }
+        for (let decade = R.qtMin; decade < R.qtMax; decade *= 10) {
+            for (let m = 1; m < 10; m++) {
+                const y = Math.round(this._qt2y(decade * m, L)) + 0.5;
+                c.strokeStyle = m === 1 ? this.COLORS.gridMajor : this.COLORS.grid;
+                c.beginPath(); c.moveTo(L.l, y); c.lineTo(L.l + L.w, y); c.stroke();
+            }
+        }
+    }
+
+    _drawBoundaries(c, L) {
+        c.strokeStyle = this.COLORS.boundary;
+        c.lineWidth = 1.2;
+
+        // Ic contours: circles around (log Fr, log Qtn) = (-1.22, 3.47)
+        for (const ic of [1.31, 2.05, 2.60, 2.95, 3.60]) {
+            c.beginPath();
+            for (let i = 0; i <= 60; i++) {
+                const t = (i / 60) * (Math.PI / 2);
+                const fr = Math.pow(10, -1.22 + ic * Math.cos(t));
+                const qt = Math.pow(10, 3.47 - ic * Math.sin(t));
+                const x = this._fr2x(fr, L), y = this._qt2y(qt, L);
+                if (i === 0) c.moveTo(x, y); else c.lineTo(x, y);
+            }
+            c.stroke();
+        }
+
+        // Zone 1 boundary: Qtn = 12·exp(-1.4·Fr)
+        c.beginPath();
+        for (let i = 0; i <= 40; i++) {
+            const fr = SBT_CHART_RANGE.frMin + (i / 40) * 2;
+            const x = this._fr2x(fr, L), y = this._qt2y(12 * Math.exp(-1.4 * fr), L);
+            if (i === 0) c.moveTo(x, y); else c.lineTo(x, y);
+        }
+        c.stroke();
+
+        // Zones 8/9 boundary, flat beyond Fr = 4.5 with a vertical split at 4.5
+        c.beginPath();
+        let limit = 0;
+        for (let i = 0; i <= 40; i++) {
+            const fr = 1.5 + (i / 40) * 3;
+            const f = fr - 1;
+            limit = 1 / (0.005 * f - 0.0003 * f * f - 0.002);
+            const x = this._fr2x(fr, L), y = this._qt2y(limit, L);
+            if (i === 0) c.moveTo(x, y); else c.lineTo(x, y);
+        }
+        c.lineTo(this._fr2x(SBT_CHART_RANGE.frMax, L), this._qt2y(limit, L));
+        c.moveTo(this._fr2x(4.5, L), this._qt2y(limit, L));
+        c.lineTo(this._fr2x(4.5, L), L.t);
+        c.stroke();
+    }
+
+    _drawZoneLabels(c, L) {
+        c.font = '600 9px Inter, system-ui, sans-serif';
+        c.textAlign = 'center';
+        c.textBaseline = 'middle';
+        for (const lbl of SBT_ZONE_LABELS) {
+            c.fillStyle = ROBERTSON_ZONES[lbl.zone - 1].color;
+            c.fillText(String(lbl.zone), this._fr2x(lbl.fr, L), this._qt2y(lbl.qt, L));
+        }
+    }
+
+    _pointColor(i) {
+        if (this.colorMode === 'zone') {
+            const z = this.zones ? this.zones[i] : null;
+            return z ? z.color : this.COLORS.text;
+        }
+        const t = Math.min(1, Math.max(0, this.points[i].depth / this.depthMax));
+        return `hsl(${Math.round(190 + t * 110)}, 80%, ${Math.round(65 - t * 20)}%)`;
+    }
+
+    _drawPoints(c, L) {
+        if (!this.points) return;
+        const sel = this.selected;
+
+        for (let i = 0; i < this.points.length; i++) {
+            const p = this.points[i];
+            if (p.Qtn == null || p.Fr == null) continue;
+            const x = this._fr2x(p.Fr, L), y = this._qt2y(p.Qtn, L);
+            c.globalAlpha = sel && !sel.has(i) ? 0.12 : 0.75;
+            c.fillStyle = this._pointColor(i);
+            c.fillRect(x - 1.5, y - 1.5, 3, 3);
+        }
+        c.globalAlpha = 1;
+
+        const h = this.hoverIndex >= 0 ? this.points[this.hoverIndex] : null;
+        if (h && h.Qtn != null && h.Fr != null) {
+            const x = this._fr2x(h.Fr, L), y = this._qt2y(h.Qtn, L);
+            c.strokeStyle = this.COLORS.hover;
+            c.lineWidth = 1.5;
+            c.beginPath();
+            c.arc(x, y, 5, 0, Math.PI * 2);
+            c.stroke();
+        }
+    }
+
+    _drawBrush(c) {
+        if (!this.brush) return;
+        const b = this.brush;
+        const x = Math.min(b.x0, b.x1), y = Math.min(b.y0, b.y1);
+        const w = Math.abs(b.x1 - b.x0), h = Math.abs(b.y1 - b.y0);
+        c.fillStyle = this.COLORS.brush;
+        c.fillRect(x, y, w, h);
+        c.strokeStyle = this.COLORS.brushEdge;
+        c.lineWidth = 1;
+        c.strokeRect(x + 0.5, y + 0.5, w, h);
+    }
+
+    _drawAxisLabels(c, L) {
+        const R = SBT_CHART_RANGE;
+        c.font = '8px JetBrains Mono, monospace';
+        c.fillStyle = this.COLORS.text;
+
+        c.textAlign = 'center';
+        c.textBaseline = 'top';
+        for (let v = R.frMin; v <= R.frMax * 1.001; v *= 10) {
+            c.fillText(this._fmtLog(v), this._fr2x(v, L), L.t + L.h + 2);
+        }
+        c.font = '600 9px Inter, system-ui, sans-serif';
+        c.fillStyle = this.COLORS.textBright;
+        c.fillText('Fr (%)', L.l + L.w / 2, L.t + L.h + 12);
+
+        c.font = '8px JetBrains Mono, monospace';
+        c.fillStyle = this.COLORS.text;
+        c.textAlign = 'right';
+        c.textBaseline = 'middle';
+        for (let v = R.qtMin; v <= R.qtMax * 1.001; v *= 10) {
+            c.fillText(this._fmtLog(v), L.l - 3, this._qt2y(v, L));
+        }
+
+        c.save();
+        c.translate(8, L.t + L.h / 2);
+        c.rotate(-Math.PI / 2);
+        c.textAlign = 'center';
+        c.font = '600 9px Inter, system-ui, sans-serif';
+        c.fillStyle = this.COLORS.textBright;
+        c.fillText('Qtn', 0, 0);
+        c.restore();
+    }
+
+    _fmtLog(v) {
+        return v < 1 ? v.toFixed(1) : Math.round(v).toString();
+    }
+
+    // ---- Mouse interaction ----
+
+    _pos(e) {
+        const r = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - r.left, y: e.clientY - r.top };
+    }
+
+    _onMouseDown(e) {
+        if (e.button !== 0 || !this.points) return;
+        const p = this._pos(e);
+        this.brush = { x0: p.x, y0: p.y, x1: p.x, y1: p.y };
+        this.draw();
+    }
+
+    _onMouseMove(e) {
+        if (!this.brush) return;
+        const p = this._pos(e);
+        this.brush.x1 = p.x;
+        this.brush.y1 = p.y;
+        this.draw();
+    }
+
+    _onMouseUp() {
+        if (!this.brush) return;
+        const b = this.brush;
+        this.brush = null;
+
+        // A click without dragging clears the selection
+        if (Math.abs(b.x1 - b.x0) < 3 && Math.abs(b.y1 - b.y0) < 3) {
+            this.clearSelection();
+            return;
+        }
+
+        const L = this._layout();
+        const x0 = Math.min(b.x0, b.x1), x1 = Math.max(b.x0, b.x1);
+        const y0 = Math.min(b.y0, b.y1), y1 = Math.max(b.y0, b.y1);
+        const selected = new Set();
+        this.points.forEach((p, i) => {
+            if (p.Qtn == null || p.Fr == null) return;
+            const x = this._fr2x(p.Fr, L), y = this._qt2y(p.Qtn, L);
+            if (x >= x0 && x <= x1 && y >= y0 && y <= y1) selected.add(i);
+        });
+
+        this.selected = selected;
+        this.draw();
+        if (this.onBrush) this.onBrush([...selected]);
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * ZIP archive reader — the files in a ZIP archive, unpacked in the browser
+ *
+ * Reads the central directory at the end of the archive for the list of
+ * entries; read() unpacks one entry, with DecompressionStream for deflated
+ * entries. Supports the compression methods stored (0) and deflate (8) and
+ * ZIP64 archives (more than 65535 entries or larger than 4 GB), which
+ * covers BRO bulk downloads and archives made by Windows, macOS and 7-Zip.
+ * Encrypted entries are not supported.
+ */
+
+const ZIP_SIGNATURES = {
+    local:        0x04034b50,
+    central:      0x02014b50,
+    end:          0x06054b50,
+    zip64End:     0x06064b50,
+    zip64Locator: 0x07064b50,
+};
+
+const ZIP_METHODS = { stored: 0, deflate: 8 };
+
+// End of central directory record: 22 bytes and a comment of at most 65535
+const ZIP_END_SIZE = 22;
+const ZIP_MAX_COMMENT = 65535;
+
+class ZipArchive {
+    /**
+     * @param {ArrayBuffer} buffer - Archive contents
+     */
+    constructor(buffer) {
+        this.bytes = new Uint8Array(buffer);
+        this.view = new DataView(buffer);
+        this.entries = this._readCentralDirectory();
+    }
+
+    /**
+     * Whether a file is a ZIP archive, from its first bytes.
+     * @param {ArrayBuffer} buffer
+     * @returns {boolean}
+     */
+    static isZip(buffer) {
+        if (buffer.byteLength < ZIP_END_SIZE) return false;
+        const signature = new DataView(buffer).getUint32(0, true);
+        // An empty archive is only the end record
+        return signature === ZIP_SIGNATURES.local || signature === ZIP_SIGNATURES.end;
+    }
+
+    /**
+     * Unpack an entry.
+     * @param {object} entry - One of this.entries
+     * @returns {Promise<ArrayBuffer>} Uncompressed contents
+     */
+    async read(entry) {
+        if (entry.encrypted) throw new Error('versleuteld bestand');
+        const offset = entry.offset;
+        if (this.view.getUint32(offset, true) !== ZIP_SIGNATURES.local) {
+            throw new Error('archief beschadigd (lokale header ontbreekt)');
+        }
+        const start = offset + 30 + this.view.getUint16(offset + 26, true) + this.view.getUint16(offset + 28, true);
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+        let result;
+        if (entry.method === ZIP_METHODS.stored) {
+            result = data.slice().buffer;
+        } else if (entry.method === ZIP_METHODS.deflate) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('deze browser kan geen ZIP-bestanden uitpakken');
+            }
+            const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            result = await new Response(stream).arrayBuffer();
+        } else {
+            throw new Error(`compressiemethode ${entry.method} niet ondersteund`);
+        }
+        if (result.byteLength !== entry.size) throw new Error('archief beschadigd (grootte klopt niet)');
+        return result;
+    }
+
+    // ---- Central directory ----
+
+    /** Entries { name, method, compressedSize, size, offset, encrypted }, without directories. */
+    _readCentralDirectory() {
+        const end = this._findEnd();
+        if (end < 0) throw new Error('Geen geldig ZIP-archief (einde centrale map niet gevonden)');
+
+        let count = this.view.getUint16(end + 10, true);
+        let offset = this.view.getUint32(end + 16, true);
+        const locator = end - 20;
+        if ((count === 0xFFFF || offset === 0xFFFFFFFF) && locator >= 0
+            && this.view.getUint32(locator, true) === ZIP_SIGNATURES.zip64Locator) {
+            const zip64End = this._uint64(locator + 8);
+            if (this.view.getUint32(zip64End, true) !== ZIP_SIGNATURES.zip64End) {
+                throw new Error('Geen geldig ZIP-archief (ZIP64-record ontbreekt)');
+            }
+            count = this._uint64(zip64End + 32);
+            offset = this._uint64(zip64End + 48);
+        }
+
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > this.bytes.length || this.view.getUint32(offset, true) !== ZIP_SIGNATURES.central) {
+                throw new Error('Geen geldig ZIP-archief (centrale map beschadigd)');
+            }
+            const flags = this.view.getUint16(offset + 8, true);
+            const nameLength = this.view.getUint16(offset + 28, true);
+            const extraLength = this.view.getUint16(offset + 30, true);
+            const commentLength = this.view.getUint16(offset + 32, true);
+            // Bit 11: UTF-8 names; others are code page 437, of which
+            // Latin-1 reads at least the ASCII part
+            const nameBytes = this.bytes.subarray(offset + 46, offset + 46 + nameLength);
+            const name = new TextDecoder(flags & 0x800 ? 'utf-8' : 'iso-8859-1').decode(nameBytes);
+
+            const entry = {
+                name,
+                method: this.view.getUint16(offset + 10, true),
+                compressedSize: this.view.getUint32(offset + 20, true),
+                size: this.view.getUint32(offset + 24, true),
+                offset: this.view.getUint32(offset + 42, true),
+                encrypted: (flags & 0x1) !== 0,
+            };
+            this._applyZip64(entry, offset + 46 + nameLength, extraLength);
+            if (!name.endsWith('/')) entries.push(entry);
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    /** Offset of the end of central directory record, -1 when not found. */
+    _findEnd() {
+        const last = this.bytes.length - ZIP_END_SIZE;
+        const first = Math.max(0, last - ZIP_MAX_COMMENT);
+        for (let i = last; i >= first; i--) {
+            if (this.view.getUint32(i, true) === ZIP_SIGNATURES.end) return i;
+        }
+        return -1;
+    }
+
+    /** Sizes and offset from the ZIP64 extra field, for those that did not fit in 32 bits. */
+    _applyZip64(entry, start, length) {
+        let pos = start;
+        while (pos + 4 <= start + length) {
+            const id = this.view.getUint16(pos, true);
+            const size = this.view.getUint16(pos + 2, true);
+            if (id === 0x0001) {
+                let field = pos + 4;
+                for (const key of ['size', 'compressedSize', 'offset']) {
+                    if (entry[key] !== 0xFFFFFFFF) continue;
+                    entry[key] = this._uint64(field);
+                    field += 8;
+                }
+                return;
+            }
+            pos += 4 + size;
+        }
+    }
+
+    _uint64(offset) {
+        return this.view.getUint32(offset, true) + this.view.getUint32(offset + 4, true) * 0x100000000;
+    }
+}